@@ -0,0 +1,2333 @@
+// Spencer Jorgensen, Broc Cuartas, Brandon Wood, Josh Clarke
+// Ella Rises Web Application
+// Every page and route of our website: users logging in, managers updating events, participants filling
+// out surveys, and so on. createApp() builds all of it around the database, file storage and sessions it's
+// given, so index.js can hand it the real ones (PostgreSQL and AWS S3) and the tests in test/ can hand it
+// a test database and a temporary folder instead.
+
+// First, we import all the tools we need to make the app work.
+import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+import session from "express-session";
+
+// This tool lets us accept file uploads. Where profile pictures end up is up to the "storage" we're given.
+import multer from "multer";
+import { createStorage } from "./lib/storage.js";
+import { MAX_UPLOAD_BYTES, discardProfilePictures, processProfilePicture, saveProfilePicture, thumbnailUrl } from "./lib/images.js";
+
+// Our own helpers for password hashing and sending emails.
+import crypto from "crypto";
+import { hashPassword, verifyPassword } from "./lib/passwords.js";
+import { createMailer } from "./lib/mailer.js";
+import { ROLES, hasPermission, normalizeRole, roleChangeError } from "./lib/permissions.js";
+import { createListQueries } from "./lib/lists.js";
+import { npsBucketFor } from "./lib/nps.js";
+import { createRegistrations } from "./lib/registrations.js";
+import { createApiRouter, generateApiToken, hashApiToken } from "./routes/api.js";
+import { createPaymentsRouter } from "./routes/payments.js";
+import { parseCsvWithHeaders } from "./lib/csv.js";
+import { IMPORT_TYPES, MAX_IMPORT_ROWS, createImporter, guessMapping } from "./lib/importer.js";
+import { EXPORTABLE_LISTS, EXPORT_FORMATS, streamExport } from "./lib/exports.js";
+import { receiptNumber, writeReceiptPdf, writeStatementPdf } from "./lib/receipts.js";
+import { PLEDGE_FREQUENCIES, PLEDGE_STATUSES, createPledges } from "./lib/pledges.js";
+import { createPayments } from "./lib/payments.js";
+import { AUDITED_ENTITIES, AUDIT_ACTIONS, AUDIT_SOURCES, actorFromRequest, createAuditLog } from "./lib/audit.js";
+import { TRASHABLE_ENTITIES, createTrash } from "./lib/trash.js";
+import { createSettings } from "./lib/settings.js";
+import { MERGE_FIELDS, confidenceFor, createDuplicates } from "./lib/duplicates.js";
+import { REPORT_GROUPINGS, SURVEY_SCORES, TREND_INTERVALS, createSurveyReports } from "./lib/reports.js";
+import { QUESTION_TYPES, SURVEY_COLUMNS, answerField, createSurveys, questionFromForm } from "./lib/surveys.js";
+import { createSurveyInvitations } from "./lib/invitations.js";
+import { createCheckIn, tokenFromScan } from "./lib/checkin.js";
+import { FREQUENCIES, WEEKDAYS, createEventSeries, ruleFromForm } from "./lib/series.js";
+import { SETUP_KINDS, createEventSetup, locationFromForm, templateFromForm } from "./lib/setup.js";
+import { CALENDAR_VIEWS, calendarRange, createCalendar, dayKey, toICalendar } from "./lib/calendar.js";
+import { MIN_PASSWORD_LENGTH, createProfile } from "./lib/profile.js";
+import { STEP_STATUSES, createPathways, stepFromForm } from "./lib/pathways.js";
+import { SCHEMAS, dateInputValue, firstError, isRealDate, validate, withTyped } from "./lib/validation.js";
+import { UserError } from "./lib/errors.js";
+
+// Since we are using modules, we need to manually figure out where our files live on the computer.
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Builds the whole app. Options:
+//   db      - the knex database connection
+//   storage - where uploaded files are kept (default: whatever STORAGE_DRIVER picks, see lib/storage.js)
+//   session - extra express-session settings, like { secret, store }. Without a store, sessions are kept in memory.
+//   mailer  - how emails get sent (default: whatever MAIL_TRANSPORT picks, see lib/mailer.js)
+//   baseUrl - the site's address, for links in emails sent in the background
+// Returns { app, jobs }: the Express app (not listening yet) and the background jobs index.js starts.
+export function createApp({ db, storage = createStorage(), session: sessionOptions = {}, mailer = createMailer(), baseUrl = process.env.APP_BASE_URL || "http://localhost:3000" }) {
+    // Now we start up the Express server.
+    const app = express();
+
+    // Here we set up the basics: we tell Express to use EJS for templates and where to find our files.
+    app.set("view engine", "ejs");
+    app.set("views", path.join(__dirname, "views"));
+    // Every view can format dates for <input type="date"> boxes with dateInputValue(...)
+    app.locals.dateInputValue = dateInputValue;
+    // ...and show the small version of a profile picture with thumbnailUrl(...)
+    app.locals.thumbnailUrl = thumbnailUrl;
+    app.use(express.static(path.join(__dirname, "public")));
+    // Uploads kept in a folder on this computer (STORAGE_DRIVER=local) are served from here
+    if (storage.staticFiles) {
+        app.use(storage.staticFiles.urlPath, express.static(storage.staticFiles.directory));
+    }
+
+    // Every add/edit/delete goes through the audit log so we know who changed what (see lib/audit.js).
+    const audit = createAuditLog(db);
+    // Delete buttons move things to the trash, where managers can restore them (see lib/trash.js).
+    // Purging a participant deletes them for good, so it also deletes their picture from storage.
+    // Online donations that are refunded in full go to the trash too.
+    const registrations = createRegistrations(db);
+    const settings = createSettings(db);
+    const trash = createTrash(db, { audit, registrations, settings, storage });
+    const payments = createPayments(db, { audit, trash });
+    // The payment provider's webhook (and the fake provider's checkout page). See lib/payments.js.
+    // This has to come before the form reader below: the webhook checks its signature against the body exactly
+    // as it was sent, and once express.urlencoded has read a form-encoded body, there's nothing left to check.
+    app.use("/payments", createPaymentsRouter({ payments }));
+
+    // This line lets us read data from forms when users hit "Submit".
+    app.use(express.urlencoded({ extended: true }));
+
+    // We need sessions to remember who is logged in as they click around the site.
+    app.use(session({
+        resave: false,
+        saveUninitialized: false,
+        cookie: { secure: false },
+        ...sessionOptions
+    }));
+
+    // Profile pictures stay in memory until lib/images.js has checked and resized them. Then they go to "storage".
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+
+    // Password reset links only work for one hour.
+    const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+    // The shared search/pagination queries behind every list page (and the JSON API).
+    const listQueries = createListQueries(db);
+    const importer = createImporter(db, { audit });
+    const pledges = createPledges(db, { audit });
+    // Merging duplicates deletes participants for good as well, so it also needs the storage.
+    const duplicates = createDuplicates(db, { audit, registrations, storage });
+    const surveyReports = createSurveyReports(db);
+    const surveyForms = createSurveys(db, { audit });
+    const checkIn = createCheckIn(db);
+    // Repeating events ("every Tuesday until June") are created and edited together (see lib/series.js).
+    const eventSeries = createEventSeries(db, { audit, trash, registrations });
+    // Event templates (program types) and locations, managed on the Event Setup page (see lib/setup.js).
+    const eventSetup = createEventSetup(db, { audit });
+    // The public calendar page and the .ics feeds phones subscribe to (see lib/calendar.js).
+    const calendar = createCalendar(db, { listQueries });
+    const profile = createProfile(db);
+    // Ordered milestone paths (Enrolled -> First Project -> ...) and who is stuck on them (see lib/pathways.js).
+    const pathways = createPathways(db);
+    // Background emails don't have a request to read the site's address from, so they use baseUrl
+    const surveyInvitations = createSurveyInvitations(db, { mailer, settings, baseUrl });
+
+    // Spreadsheet uploads for the import screen. These stay in memory (no need to keep the file) and are capped at 5MB.
+    const MAX_CSV_BYTES = 5 * 1024 * 1024;
+    const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_CSV_BYTES } });
+
+    // --- HELPER FUNCTIONS (MIDDLEWARE) ---
+
+    // This is the one gatekeeper every protected route uses. It checks that the person is logged in
+    // and, if a permission is given (like "donations.edit"), that their role has it.
+    // Which role gets which permission is decided in lib/permissions.js.
+    const authorize = (permission) => (req, res, next) => {
+        if (!req.session.isLoggedIn) return res.redirect('/login');
+        if (permission && !hasPermission(req.session.role, permission)) {
+            return res.status(403).send(`Access Denied: you don't have the "${permission}" permission.`);
+        }
+        next();
+    };
+
+    // Who is looking at a list: null if they can see everyone's records, otherwise just their own.
+    const listScope = (req, resource) => req.can(`${resource}.view_all`) ? null : { participantId: req.session.participantId ?? null };
+
+    // The audit entries for one record, for the History panel on its edit page. Only people who can see the
+    // audit log get them; everyone else gets null and the panel stays hidden.
+    const historyFor = async (req, entity, id) => req.can('audit.view') ? await audit.history(entity, id) : null;
+
+    // The site's address, for links that are used outside the site (like calendar feeds)
+    const siteUrl = (req) => process.env.APP_BASE_URL || `${req.protocol}://${req.get("host")}`;
+
+    // This runs on every single request to make sure our views always know who is logged in.
+    // It saves us from having to pass "user: req.session.username" into every res.render call manually.
+    app.use(async (req, res, next) => {
+        res.locals.isLoggedIn = req.session.isLoggedIn || false;
+        res.locals.user = req.session.username || null;
+        res.locals.role = req.session.role || null;
+        res.locals.roleLabel = req.session.role && ROLES[req.session.role] ? ROLES[req.session.role].label : null;
+        // req.can("events.edit") / can("events.edit") in views: quick permission checks for the current person
+        req.can = (permission) => hasPermission(req.session.role, permission);
+        res.locals.can = req.can;
+        res.locals.userProfilePic = req.session.profilePictureUrl || null;
+        // Accounts tied to a participant record have a My Ella Rises page
+        res.locals.hasProfile = Boolean(req.session.participantId);
+        // Messages for single form boxes, when a form is shown again after a mistake (see lib/validation.js)
+        res.locals.errors = {};
+        next();
+    });
+
+    // --- JSON API ---
+    // Reporting scripts and apps talk to /api/v1 instead of the web pages (see routes/api.js).
+    // It uses the same list queries and permissions, so it can never show more than the website would.
+    app.use("/api/v1", createApiRouter({ db, listQueries, registrations, audit, trash, payments, eventSetup }));
+
+    // --- WEBSITE ROUTES ---
+
+    // The home page that everyone sees first.
+    app.get("/", (req, res) => {
+        res.render("landing");
+    });
+
+    // This shows the form where new people can create an account.
+    app.get("/signup", (req, res) => {
+        res.render("signup", { error_message: null });
+    });
+
+    // When someone fills out the signup form, this logic creates their account.
+    // It creates a "Participant" record first, then links a "User" login to it.
+    app.post("/signup", async (req, res) => {
+        const { username, password, first_name, last_name, email } = req.body;
+        try {
+            // Nobody is logged in yet, so the audit log just shows the new username
+            const actor = { ...actorFromRequest(req), username };
+            const hashed = await hashPassword(password);
+            const { newPerson, newUser } = await db.transaction(async (trx) => {
+                const newPerson = await audit.create(trx, actor, "participants", { first_name, last_name, email });
+                const newUser = await audit.create(trx, actor, "users", {
+                    username,
+                    password: hashed,
+                    role: 'participant', // Everyone starts as a normal participant
+                    participant_id: newPerson.participant_id
+                });
+                return { newPerson, newUser };
+            });
+
+            // We log them in automatically so they don't have to type their password again immediately.
+            req.session.isLoggedIn = true;
+            req.session.username = username;
+            req.session.user_id = newUser.user_id;
+            req.session.role = 'participant';
+            req.session.participantId = newPerson.participant_id;
+
+            // Normal users go straight to their events page.
+            req.session.save(() => res.redirect("/events"));
+
+        } catch (err) {
+            console.error(err);
+            res.render("signup", { error_message: "Error creating account. Username or Email might already be taken." });
+        }
+    });
+
+    // This shows the donation page. If a user is already logged in, we try to pre-fill their name for convenience.
+    app.get("/donate", async (req, res) => {
+        let participant = null;
+
+        if (req.session.isLoggedIn && req.session.participantId) {
+            try {
+                participant = await db("participants")
+                    .where({ participant_id: req.session.participantId })
+                    .whereNull("deletion_id")
+                    .first();
+            } catch (err) {
+                console.error("Error fetching participant for donation:", err);
+            }
+        }
+
+        res.render("donate_public", { 
+            success_message: null,
+            // Coming back from the checkout page without paying
+            notice: req.query.cancelled ? "Your donation was cancelled. No payment was taken." : null,
+            participant: participant
+        });
+    });
+
+    // Sends the donor to the payment provider's checkout page. Nothing is added to donations yet:
+    // that only happens once the provider confirms the payment (see lib/payments.js).
+    app.post("/donate", async (req, res) => {
+        const { values, errors } = validate(SCHEMAS.donate, req.body);
+        if (errors) {
+            // Show the form again with what they typed and a message under each box that needs fixing
+            return res.status(400).render("donate_public", {
+                success_message: null,
+                participant: req.body,
+                amount: req.body.donation_amount,
+                errors
+            });
+        }
+
+        try {
+            const { first_name, last_name, email, donation_amount: amount } = values;
+            const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get("host")}`;
+            const { paymentId, checkoutUrl } = await payments.startCheckout({ donor: { first_name, last_name, email }, amount, baseUrl });
+
+            // Remember which payment this visitor started so the "complete" page can show how it went
+            req.session.pendingPaymentId = paymentId;
+            req.session.save(() => res.redirect(checkoutUrl));
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error processing donation.");
+        }
+    });
+
+    // Where the checkout page sends donors back to. The webhook may not have arrived yet, so "pending" is normal here.
+    app.get("/donate/complete", async (req, res) => {
+        if (!req.session.pendingPaymentId) return res.redirect("/donate");
+
+        try {
+            const payment = await payments.findPayment({ payment_id: req.session.pendingPaymentId });
+            if (!payment) return res.redirect("/donate");
+
+            const page = { success_message: null, participant: null };
+            if (payment.payment_status === "succeeded") {
+                const donation = { donation_id: payment.donation_id };
+                page.success_message = `Thank you, ${payment.donor_first_name}! Your receipt number is ${receiptNumber(donation)}.`;
+                // Logged-in donors giving as themselves can grab their receipt right away (everyone else finds it in their history later)
+                if (req.session.isLoggedIn && req.session.participantId === payment.participant_id) {
+                    page.receiptUrl = `/donations/receipt/${payment.donation_id}`;
+                }
+            } else if (payment.payment_status === "failed") {
+                page.error_message = `Your payment didn't go through${payment.failure_reason ? `: ${payment.failure_reason}` : "."} You have not been charged.`;
+            } else {
+                page.notice = "Thanks! We're waiting for the payment provider to confirm your donation. This usually only takes a moment.";
+            }
+            res.render("donate_public", page);
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error checking donation.");
+        }
+    });
+
+    // Shows the login screen.
+    app.get("/login", (req, res) => res.render("login", { error_message: null }));
+
+    // This checks if the username and password match what's in our database.
+    app.post("/login", async (req, res) => {
+        try {
+            // Accounts in the trash can't log in
+            const user = await db("users").where({ username: req.body.username }).whereNull("deletion_id").first();
+            const check = user ? await verifyPassword(req.body.password, user.password) : { valid: false };
+            if (check.valid) {
+                // Accounts from before we hashed passwords get upgraded the first time they log in successfully
+                if (check.needsRehash) {
+                    await db("users").where({ user_id: user.user_id }).update({ password: await hashPassword(req.body.password) });
+                }
+
+                // Success! Set up their session.
+                req.session.isLoggedIn = true;
+                req.session.username = user.username;
+                req.session.role = normalizeRole(user.role);
+                req.session.user_id = user.user_id;
+                req.session.participantId = user.participant_id; 
+
+                // If they have a profile picture, grab it now so we can show it in the navbar.
+                if (user.participant_id) {
+                    const participant = await db("participants")
+                        .select("profilePictureUrl")
+                        .where({ participant_id: user.participant_id })
+                        .first();
+                    req.session.profilePictureUrl = participant ? participant.profilePictureUrl : null;
+                }
+
+                // Direct anyone who can see the Dashboard there, participants to their own page, and everyone else to Events.
+                req.session.save(() => {
+                    if (hasPermission(req.session.role, 'dashboard.view')) {
+                        res.redirect("/dashboard");
+                    } else if (req.session.participantId) {
+                        res.redirect("/me");
+                    } else {
+                        res.redirect("/events");
+                    }
+                });
+
+            } else {
+                res.render("login", { error_message: "Invalid credentials" });
+            }
+        } catch (err) {
+            console.error(err);
+            res.render("login", { error_message: "System Error" });
+        }
+    });
+
+    // Shows the "Forgot your password?" form.
+    app.get("/forgot-password", (req, res) => res.render("forgot_password", { message: null }));
+
+    // Emails a one-time reset link to the person who owns the account.
+    // We always show the same message, whether or not we found an account, so nobody can use this
+    // form to find out which usernames or emails are registered.
+    app.post("/forgot-password", async (req, res) => {
+        const identifier = (req.body.identifier || "").trim();
+        const message = "If that account exists, we've sent a link to reset your password. It expires in one hour.";
+
+        try {
+            // People can type either their username or the email on their participant record
+            const user = await db("users")
+                .leftJoin("participants", "users.participant_id", "participants.participant_id")
+                .select("users.user_id", "users.username", "participants.email", "participants.first_name")
+                .whereNull("users.deletion_id")
+                .andWhere(sub => {
+                    sub.where("users.username", identifier)
+                       .orWhereRaw("LOWER(participants.email) = LOWER(?)", [identifier]);
+                })
+                .first();
+
+            if (identifier && user && user.email) {
+                // We email the raw token but only store a hash of it, just like a password
+                const token = crypto.randomBytes(32).toString("hex");
+                await db("password_resets").insert({
+                    user_id: user.user_id,
+                    token_hash: crypto.createHash("sha256").update(token).digest("hex"),
+                    expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+                });
+
+                const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get("host")}`;
+                const link = `${baseUrl}/reset-password/${token}`;
+                await mailer.sendMail({
+                    to: user.email,
+                    subject: "Reset your Ella Rises password",
+                    text: `Hi ${user.first_name || user.username},\n\n` +
+                          `Someone asked to reset the password for your Ella Rises account (${user.username}).\n` +
+                          `If it was you, use this link within the next hour:\n\n${link}\n\n` +
+                          `If you didn't ask for this, you can ignore this email and your password will stay the same.`
+                });
+            }
+            res.render("forgot_password", { message });
+        } catch (err) {
+            console.error("Password Reset Error:", err);
+            res.render("forgot_password", { message });
+        }
+    });
+
+    // Looks up a reset token and makes sure it hasn't expired or already been used.
+    const findValidResetToken = (token) => db("password_resets")
+        .where({ token_hash: crypto.createHash("sha256").update(token || "").digest("hex") })
+        .whereNull("used_at")
+        .where("expires_at", ">", new Date())
+        .first();
+
+    // Shows the "choose a new password" form, if the link is still good.
+    app.get("/reset-password/:token", async (req, res) => {
+        try {
+            const reset = await findValidResetToken(req.params.token);
+            res.render("reset_password", {
+                token: req.params.token,
+                error_message: reset ? null : "This reset link is invalid or has expired. Please request a new one."
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error loading password reset");
+        }
+    });
+
+    // Saves the new password and uses up the token so the link can't be used again.
+    app.post("/reset-password/:token", async (req, res) => {
+        const { password, confirm_password } = req.body;
+        const token = req.params.token;
+
+        if (!password || password !== confirm_password) {
+            return res.render("reset_password", { token, error_message: "The passwords don't match." });
+        }
+
+        try {
+            const reset = await findValidResetToken(token);
+            if (!reset) {
+                return res.render("reset_password", { token, error_message: "This reset link is invalid or has expired. Please request a new one." });
+            }
+
+            const hashed = await hashPassword(password);
+            await db.transaction(async (trx) => {
+                await audit.update(trx, { userId: reset.user_id, username: null, source: "web" }, "users", reset.user_id, { password: hashed });
+                // Any other reset links for this account stop working too
+                await trx("password_resets").where({ user_id: reset.user_id }).whereNull("used_at").update({ used_at: new Date() });
+            });
+
+            res.render("login", { error_message: null, success_message: "Your password has been reset. Please log in." });
+        } catch (err) {
+            console.error("Password Reset Error:", err);
+            res.status(500).send("Error resetting password");
+        }
+    });
+
+    // This kills the session to log the user out safely.
+    app.get("/logout", (req, res) => req.session.destroy(() => res.redirect("/")));
+
+    // The Manager Dashboard - shows high-level stats and charts
+    app.get("/dashboard", authorize('dashboard.view'), async (req, res) => {
+        // A nice touch: we check the time to say Good Morning, Afternoon, or Evening.
+        const hour = new Date().getHours();
+        let greeting = "Good Morning";
+
+        if (hour >= 12 && hour < 17) {
+            greeting = "Good Afternoon";
+        } else if (hour >= 17) {
+            greeting = "Good Evening";
+        }
+
+        // Ensure the name looks nice (Capitalized)
+        let displayUser = req.session.username;
+        if (displayUser) {
+            displayUser = displayUser.charAt(0).toUpperCase() + displayUser.slice(1);
+        }
+
+        // Grab some quick numbers for the top cards
+        let stats = { participants: 0, events: 0, donations: 0, nps: null };
+        try {
+            const p = await db("participants").whereNull("deletion_id").count("participant_id as count").first();
+            const d = await db("donations").whereNull("deletion_id").count("donation_id as count").first();
+            const e = await db("event_occurrences").whereNull("deletion_id").count("event_occurrence_id as count").first();
+            const surveys = await surveyReports.summary();
+            stats = { participants: p.count, donations: d.count, events: e.count, nps: surveys.nps };
+        } catch (e) { console.error(e); }
+
+        res.render("dashboard", { greeting, user: displayUser, stats });
+    });
+
+    // This route lists all the participants. It handles search and pagination to keep things fast.
+    app.get("/participants", authorize('participants.view'), async (req, res) => {
+        // People who can only see themselves get their own page instead of a one-row table
+        if (!req.can('participants.view_all') && req.session.participantId) return res.redirect("/me");
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = 100; // Only show 100 people at a time
+        const searchQuery = req.query.q;
+
+        try {
+            // Regular users can only see themselves. The search and paging rules live in lib/lists.js.
+            const { rows: participants, totalPages } = await listQueries.fetchPage("participants", {
+                scope: listScope(req, "participants"), search: searchQuery, page, limit
+            });
+
+            res.render("participants", { 
+                participants, 
+                isManager: req.can('participants.view_all'), 
+                query: searchQuery,
+                currentPage: page,
+                totalPages: totalPages,
+                error_message: req.query.error || null
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error fetching participants");
+        }
+    });
+
+
+    // Runs the picture upload, but turns multer's complaints (like a file over 5MB) into req.uploadError,
+    // so the route can send people back with a message instead of an error page.
+    const pictureUpload = (field) => (req, res, next) => upload.single(field)(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            req.uploadError = err.code === "LIMIT_FILE_SIZE"
+                ? `That picture is too big. Please upload one under ${MAX_UPLOAD_BYTES / 1024 / 1024}MB.`
+                : "Please upload one picture at a time.";
+            return next();
+        }
+        next(err);
+    });
+
+    // Whose picture is being changed: your own, or (for staff who can edit participants) whoever the form says
+    const pictureTarget = (req) => req.can('participants.edit') && req.body.participant_id
+        ? req.body.participant_id
+        : req.session.participantId;
+
+    // This receives a picture from the form, checks it, shrinks it (see lib/images.js) and saves it to storage.
+    // The picture it replaces is deleted from storage afterwards.
+    app.post("/participants/upload-image", authorize('participants.view'), pictureUpload('profile_pic'), async (req, res) => {
+        // The My Ella Rises page sends people back there instead of to the participant list
+        const backTo = req.body.returnTo === "me" ? "/me" : "/participants";
+        const fail = (message) => res.redirect(`${backTo}?error=${encodeURIComponent(message)}`);
+        if (req.uploadError) return fail(req.uploadError);
+        if (!req.file) {
+            return res.redirect(backTo); 
+        }
+
+        try {
+            const targetId = pictureTarget(req);
+            const participant = await db("participants").where({ participant_id: targetId }).whereNull("deletion_id").first();
+            if (!participant) return fail("That participant couldn't be found.");
+
+            const pictureUrl = await saveProfilePicture(storage, await processProfilePicture(req.file.buffer));
+
+            // Save the new URL to the database
+            await audit.update(db, actorFromRequest(req), "participants", targetId, { profilePictureUrl: pictureUrl });
+            await discardProfilePictures(storage, [participant.profilePictureUrl]);
+
+            // If the user updated their own photo, update their session immediately so the navbar refreshes
+            if (parseInt(targetId) === req.session.participantId) {
+                req.session.profilePictureUrl = pictureUrl;
+                req.session.save(() => res.redirect(backTo));
+            } else {
+                res.redirect(backTo);
+            }
+
+        } catch (err) {
+            if (err instanceof UserError) return fail(err.message);
+            console.error("Upload Error", err);
+            res.status(500).send("Error uploading image");
+        }
+    });
+
+    // This removes a profile photo: the database field goes back to null and the files are deleted from storage.
+    app.post("/participants/delete-image", authorize('participants.view'), async (req, res) => {
+        try {
+            const targetId = pictureTarget(req);
+            const backTo = req.body.returnTo === "me" ? "/me" : "/participants";
+            const participant = await db("participants").where({ participant_id: targetId }).whereNull("deletion_id").first();
+            if (!participant) return res.redirect(`${backTo}?error=${encodeURIComponent("That participant couldn't be found.")}`);
+
+            await audit.update(db, actorFromRequest(req), "participants", targetId, { profilePictureUrl: null });
+            await discardProfilePictures(storage, [participant.profilePictureUrl]);
+
+            if (parseInt(targetId) === req.session.participantId) {
+                req.session.profilePictureUrl = null;
+                req.session.save(() => res.redirect(backTo));
+            } else {
+                res.redirect(backTo);
+            }
+
+        } catch (err) {
+            console.error("Delete Error", err);
+            res.status(500).send("Error deleting image");
+        }
+    });
+
+    // --- PARTICIPANT CRUD ROUTES (Create, Read, Update, Delete) ---
+
+    // Two active participants can't share an email (participants_email_active_unique in db/migrations/009_trash.js).
+    // These turn that into a message under the Email box instead of an error page. exceptId is the person being edited.
+    const EMAIL_TAKEN = "Another participant already uses that email.";
+    const withEmailCheck = async (values, errors, exceptId = null) => {
+        if (!values.email || (errors && errors.email)) return errors;
+        const taken = await db("participants")
+            .where({ email: values.email })
+            .whereNull("deletion_id")
+            .modify(query => { if (exceptId) query.whereNot({ participant_id: exceptId }); })
+            .first();
+        return taken ? { ...errors, email: EMAIL_TAKEN } : errors;
+    };
+    // Someone could still take the email between the check and the save. 23505 = unique violation.
+    const isEmailTaken = (err) => err.code === "23505" && err.constraint === "participants_email_active_unique";
+
+    app.get("/participants/add", authorize('participants.create'), (req, res) => res.render("participants_add", { returnTo: req.query.returnTo, values: {} }));
+
+    app.post("/participants/add", authorize('participants.create'), async (req, res) => {
+        // 'returnTo' isn't a column in the database. validate() only keeps the participant fields, so it's left out.
+        const { returnTo } = req.body;
+        const { values, errors: problems } = validate(SCHEMAS.participants, req.body);
+        const errors = await withEmailCheck(values, problems);
+        // Show the form again with what they typed and a message under each box that needs fixing
+        if (errors) return res.status(400).render("participants_add", { returnTo, values: req.body, errors });
+
+        try {
+            const newP = await audit.create(db, actorFromRequest(req), "participants", values);
+
+            // If we came from the donation page, send us back there to finish the donation
+            if (returnTo === 'donations_add') {
+                res.redirect(`/donations/add?newParticipantId=${newP.participant_id}`);
+            } else {
+                res.redirect("/participants");
+            }
+        } catch (err) { 
+            if (isEmailTaken(err)) return res.status(400).render("participants_add", { returnTo, values: req.body, errors: { email: EMAIL_TAKEN } });
+            console.error(err); 
+            res.status(500).send("Error adding participant"); 
+        }
+    });
+
+    // The Edit Participant form. After a mistake it's shown again with what was typed on top of the saved record.
+    const renderEditParticipant = async (req, res, participant, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("participants_edit", {
+            participant,
+            attendance: await checkIn.participantAttendance(participant.participant_id),
+            history: await historyFor(req, "participants", participant.participant_id),
+            errors
+        });
+    };
+
+    app.get("/participants/edit/:id", authorize('participants.edit'), async (req, res) => {
+        const participant = await db("participants").where({ participant_id: req.params.id }).whereNull("deletion_id").first();
+        if (!participant) return res.redirect("/participants");
+        await renderEditParticipant(req, res, participant);
+    });
+
+    app.post("/participants/edit/:id", authorize('participants.edit'), async (req, res) => {
+        const { values, errors: problems } = validate(SCHEMAS.participants, req.body);
+        const showAgain = async (errors) => {
+            const participant = await db("participants").where({ participant_id: req.params.id }).whereNull("deletion_id").first();
+            if (!participant) return res.redirect("/participants");
+            return renderEditParticipant(req, res, withTyped(SCHEMAS.participants, participant, req.body), errors);
+        };
+        const errors = await withEmailCheck(values, problems, req.params.id);
+        if (errors) return showAgain(errors);
+        try {
+            await audit.update(db, actorFromRequest(req), "participants", req.params.id, values);
+        } catch (err) {
+            if (isEmailTaken(err)) return showAgain({ email: EMAIL_TAKEN });
+            throw err;
+        }
+        res.redirect("/participants");
+    });
+
+    // --- MY ELLA RISES ---
+    // A participant's own page: their contact details, photo and password, and a timeline of everything
+    // they've done with us (see lib/profile.js). Staff accounts without a participant record don't have one.
+    const mePage = (params) => "/me?" + new URLSearchParams(params).toString();
+
+    // The page itself. After a mistake in the contact details it's shown again with what was typed.
+    const renderMe = async (req, res, participant, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("me", {
+            participant,
+            timeline: await profile.timeline(participant.participant_id),
+            upcoming: await profile.upcoming(participant.participant_id),
+            attendance: await checkIn.participantAttendance(participant.participant_id),
+            pathwayProgress: await pathways.participantProgress(participant.participant_id),
+            minPasswordLength: MIN_PASSWORD_LENGTH,
+            notice: req.query.notice || null,
+            // My Details is at the bottom of the page, so point there when something in it needs fixing
+            error_message: req.query.error || (Object.keys(errors).length ? "Some of your details need fixing, see My Details below." : null),
+            errors
+        });
+    };
+
+    app.get("/me", authorize('participants.view'), async (req, res) => {
+        if (!req.session.participantId) return res.redirect("/participants");
+        try {
+            const participant = await db("participants").where({ participant_id: req.session.participantId }).whereNull("deletion_id").first();
+            if (!participant) return res.redirect("/events");
+            await renderMe(req, res, participant);
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error loading your page");
+        }
+    });
+
+    app.post("/me/profile", authorize('participants.view'), async (req, res) => {
+        if (!req.session.participantId) return res.redirect("/participants");
+        const { values, errors } = validate(SCHEMAS.participants, req.body);
+        // We email participants about their events, so (unlike on Add Participant) their email can't be blank
+        const problems = { ...await withEmailCheck(values, errors, req.session.participantId) };
+        if (!values.email && !problems.email) problems.email = "Your email can't be blank.";
+        const showAgain = async (problems) => {
+            const participant = await db("participants").where({ participant_id: req.session.participantId }).whereNull("deletion_id").first();
+            if (!participant) return res.redirect("/events");
+            return renderMe(req, res, withTyped(SCHEMAS.participants, participant, req.body), problems);
+        };
+        if (Object.keys(problems).length) return showAgain(problems);
+        try {
+            await audit.update(db, actorFromRequest(req), "participants", req.session.participantId, values);
+        } catch (err) {
+            if (isEmailTaken(err)) return showAgain({ email: EMAIL_TAKEN });
+            throw err;
+        }
+        res.redirect(mePage({ notice: "Your details were saved." }));
+    });
+
+    // Changing your password needs the current one, so someone using a computer you left logged in can't lock you out
+    app.post("/me/password", authorize('participants.view'), async (req, res) => {
+        const { current_password, password, confirm_password } = req.body;
+        const user = await db("users").where({ user_id: req.session.user_id }).whereNull("deletion_id").first();
+        const check = user ? await verifyPassword(current_password || "", user.password) : { valid: false };
+
+        if (!check.valid) return res.redirect(mePage({ error: "Your current password isn't right." }));
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            return res.redirect(mePage({ error: `Your new password needs at least ${MIN_PASSWORD_LENGTH} characters.` }));
+        }
+        if (password !== confirm_password) return res.redirect(mePage({ error: "The new passwords don't match." }));
+
+        await audit.update(db, actorFromRequest(req), "users", user.user_id, { password: await hashPassword(password) });
+        res.redirect(mePage({ notice: "Your password was changed." }));
+    });
+
+    // This allows a manager to delete a person. They go to the trash together with all their history
+    // (donations, surveys, etc.), so a manager can bring everything back from the Trash page.
+    app.post("/participants/delete/:id", authorize('participants.delete'), async (req, res) => {
+        const targetId = req.params.id;
+        try {
+            await trash.remove(actorFromRequest(req), "participants", targetId);
+            res.redirect("/participants");
+        } catch (err) {
+            console.error("Delete Error:", err);
+            res.status(500).send("Error deleting participant.");
+        }
+    });
+
+    // --- DUPLICATE PARTICIPANTS ---
+    // Finds people who are probably in the system twice and lets a manager combine them (see lib/duplicates.js).
+    app.get("/participants/duplicates", authorize('participants.merge'), async (req, res) => {
+        try {
+            const pairs = await duplicates.findDuplicates();
+            res.render("participants_duplicates", {
+                pairs: pairs.map(pair => ({ ...pair, confidence: confidenceFor(pair.score) })),
+                notice: req.query.notice || null
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error finding duplicates");
+        }
+    });
+
+    // "Not a duplicate": hides the pair from the list for good
+    app.post("/participants/duplicates/dismiss", authorize('participants.merge'), async (req, res) => {
+        const { participant_id_a, participant_id_b } = req.body;
+        if (!parseInt(participant_id_a) || !parseInt(participant_id_b)) return res.redirect("/participants/duplicates");
+        await duplicates.dismiss(participant_id_a, participant_id_b, actorFromRequest(req));
+        res.redirect(`/participants/duplicates?notice=${encodeURIComponent("Marked as different people.")}`);
+    });
+
+    // Side-by-side view of the two records, where the manager picks which value of each field to keep.
+    // e.g. /participants/merge?keep=12&merge=40
+    app.get("/participants/merge", authorize('participants.merge'), async (req, res) => {
+        const keepId = parseInt(req.query.keep);
+        const mergeId = parseInt(req.query.merge);
+        if (!keepId || !mergeId || keepId === mergeId) return res.redirect("/participants/duplicates");
+
+        const [keep, merged] = await Promise.all([keepId, mergeId].map(id =>
+            db("participants").where({ participant_id: id }).whereNull("deletion_id").first()));
+        if (!keep || !merged) return res.redirect("/participants/duplicates");
+
+        res.render("participants_merge", {
+            keep,
+            merged,
+            fields: MERGE_FIELDS,
+            keepCounts: await duplicates.relatedCounts(keepId),
+            mergedCounts: await duplicates.relatedCounts(mergeId)
+        });
+    });
+
+    // Combines the two. Each field_<name> says whose value to use: "keep" or "merge".
+    app.post("/participants/merge", authorize('participants.merge'), async (req, res) => {
+        const keepId = parseInt(req.body.keep_id);
+        const mergeId = parseInt(req.body.merge_id);
+        if (!keepId || !mergeId || keepId === mergeId) return res.redirect("/participants/duplicates");
+
+        const useMerged = Object.keys(MERGE_FIELDS).filter(field => req.body[`field_${field}`] === "merge");
+        try {
+            const participant = await duplicates.mergeParticipants(keepId, mergeId, { useMerged, actor: actorFromRequest(req) });
+            if (!participant) {
+                return res.redirect(`/participants/duplicates?notice=${encodeURIComponent("One of those participants no longer exists.")}`);
+            }
+            res.redirect(`/participants/edit/${participant.participant_id}`);
+        } catch (err) {
+            // Picking the merged email while someone else already has it
+            if (err.code === "23505") {
+                return res.status(400).send("Another participant already uses one of those values (like the email). Go back and keep the other one.");
+            }
+            console.error("Merge Error:", err);
+            res.status(500).send("Error merging participants.");
+        }
+    });
+
+    // Shows the donation history table with pagination.
+    app.get("/donations", authorize('donations.view'), async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 100;
+        const searchQuery = req.query.q;
+
+        try {
+            // Filter by donor name, amount, or date
+            const { rows: donations, totalPages } = await listQueries.fetchPage("donations", {
+                scope: listScope(req, "donations"), search: searchQuery, page, limit
+            });
+
+            // The years this person gave in, for the "download my giving statement" picker
+            const statementYears = req.session.participantId
+                ? (await db("donations")
+                    .where({ participant_id: req.session.participantId })
+                    .whereNull("deletion_id")
+                    .distinct(db.raw("EXTRACT(YEAR FROM donation_date)::int AS year"))
+                    .orderBy("year", "desc")).map(r => r.year)
+                : [];
+
+            res.render("donations", { 
+                donations, 
+                isManager: req.can('donations.view_all'), 
+                query: searchQuery,
+                currentPage: page,
+                totalPages: totalPages,
+                statementParticipantId: req.session.participantId,
+                statementYears
+            });
+        } catch(e) { console.error(e); res.status(500).send("Error"); }
+    });
+
+
+    // Donation CRUD routes
+    // After a mistake the forms are shown again with what was typed ("values") and a message under each box.
+    const participantChoices = () => db("participants").whereNull("deletion_id").select("participant_id", "first_name", "last_name").orderBy("last_name");
+
+    const renderAddDonation = async (res, values = {}, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("donations_add", { participants: await participantChoices(), values, errors });
+    };
+    const renderEditDonation = async (req, res, donation, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("donations_edit", {
+            donation, participants: await participantChoices(), history: await historyFor(req, "donations", donation.donation_id), errors
+        });
+    };
+
+    app.get("/donations/add", authorize('donations.create'), async (req, res) => {
+        // Coming back from "+ Add New Person": pick the person who was just added
+        await renderAddDonation(res, { participant_id: req.query.newParticipantId });
+    });
+    app.post("/donations/add", authorize('donations.create'), async (req, res) => {
+        const { values, errors } = validate(SCHEMAS.donations, req.body);
+        if (errors) return renderAddDonation(res, req.body, errors);
+        await audit.create(db, actorFromRequest(req), "donations", values);
+        res.redirect("/donations");
+    });
+    app.get("/donations/edit/:id", authorize('donations.edit'), async (req, res) => {
+        const donation = await db("donations").where({ donation_id: req.params.id }).whereNull("deletion_id").first();
+        if (!donation) return res.redirect("/donations");
+        await renderEditDonation(req, res, donation);
+    });
+    app.post("/donations/edit/:id", authorize('donations.edit'), async (req, res) => {
+        const { values, errors } = validate(SCHEMAS.donations, req.body);
+        if (errors) {
+            const donation = await db("donations").where({ donation_id: req.params.id }).whereNull("deletion_id").first();
+            if (!donation) return res.redirect("/donations");
+            return renderEditDonation(req, res, withTyped(SCHEMAS.donations, donation, req.body), errors);
+        }
+        await audit.update(db, actorFromRequest(req), "donations", req.params.id, values);
+        res.redirect("/donations");
+    });
+    app.post("/donations/delete/:id", authorize('donations.delete'), async (req, res) => {
+        // Online donations are refunded through the payment provider first (see lib/payments.js)
+        await payments.removeDonation(actorFromRequest(req), req.params.id);
+        res.redirect("/donations");
+    });
+
+    // --- RECEIPTS & GIVING STATEMENTS ---
+    // PDFs for tax time (see lib/receipts.js). Donors can download their own; staff who see every donation can download anyone's.
+
+    // A numbered receipt for one donation
+    app.get("/donations/receipt/:id", authorize('donations.view'), async (req, res) => {
+        try {
+            // Using the list query means regular users simply can't find donations that aren't theirs
+            const donation = await listQueries.buildQuery("donations", { scope: listScope(req, "donations") })
+                .where("donations.donation_id", req.params.id)
+                .first();
+            if (!donation) return res.status(404).send("Donation not found.");
+
+            const participant = await db("participants").where({ participant_id: donation.participant_id }).first();
+
+            res.setHeader("Content-Type", "application/pdf");
+            res.setHeader("Content-Disposition", `attachment; filename="receipt-${receiptNumber(donation)}.pdf"`);
+            writeReceiptPdf(res, { donation, participant });
+        } catch (err) {
+            console.error("Receipt Error:", err);
+            res.status(500).send("Error creating receipt");
+        }
+    });
+
+    // A year-end statement of everything one participant gave in a tax year, e.g. /donations/statement/12?year=2025
+    app.get("/donations/statement/:participantId", authorize('donations.view'), async (req, res) => {
+        const participantId = parseInt(req.params.participantId);
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+
+        if (!req.can('donations.view_all') && participantId !== req.session.participantId) {
+            return res.status(403).send("You can only download your own giving statement.");
+        }
+
+        try {
+            const participant = await db("participants").where({ participant_id: participantId }).whereNull("deletion_id").first();
+            if (!participant) return res.status(404).send("Participant not found.");
+
+            const donations = await db("donations")
+                .where({ participant_id: participantId })
+                .whereNull("deletion_id")
+                .whereRaw("EXTRACT(YEAR FROM donation_date) = ?", [year])
+                .orderBy([{ column: "donation_date" }, { column: "donation_id" }]);
+
+            res.setHeader("Content-Type", "application/pdf");
+            res.setHeader("Content-Disposition", `attachment; filename="giving-statement-${year}-${participantId}.pdf"`);
+            writeStatementPdf(res, { participant, year, donations });
+        } catch (err) {
+            console.error("Statement Error:", err);
+            res.status(500).send("Error creating giving statement");
+        }
+    });
+
+    // --- PLEDGES & RECURRING DONATIONS ---
+    // A pledge is a promise to give once or on a schedule. The pledge job (see lib/pledges.js) adds an
+    // installment for each payment as it comes due, and staff record payments against those installments.
+
+    // Lists pledges with tabs for each status (outstanding, lapsed, fulfilled, cancelled)
+    app.get("/pledges", authorize('pledges.view'), async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 100;
+        const searchQuery = req.query.q;
+        const status = PLEDGE_STATUSES[req.query.status] ? req.query.status : null;
+        const scope = listScope(req, "pledges");
+
+        try {
+            const { rows, totalPages } = await listQueries.fetchPage("pledges", {
+                scope, search: searchQuery, filters: { status }, page, limit
+            });
+
+            // How many pledges are in each status, for the numbers on the tabs
+            const counts = await db.from(listQueries.buildQuery("pledges", { scope, search: searchQuery }).as("p"))
+                .select("status")
+                .count("* as count")
+                .groupBy("status");
+            const statusCounts = Object.fromEntries(counts.map(c => [c.status, parseInt(c.count)]));
+
+            res.render("pledges", {
+                pledges: rows,
+                statuses: PLEDGE_STATUSES,
+                frequencies: PLEDGE_FREQUENCIES,
+                status,
+                statusCounts,
+                query: searchQuery,
+                currentPage: page,
+                totalPages
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error fetching pledges");
+        }
+    });
+
+    // Shows the add or edit form, or shows it again with a message under each box that needs fixing
+    // (and whatever was already typed in). A blank end date means the pledge keeps going until it's cancelled.
+    const renderPledgeForm = async (res, view, pledge, errors = {}, history = null) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render(view, {
+            pledge, participants: await participantChoices(), frequencies: PLEDGE_FREQUENCIES, errors, history
+        });
+    };
+
+    app.get("/pledges/add", authorize('pledges.create'), (req, res) =>
+        renderPledgeForm(res, "pledges_add", { participant_id: req.query.participantId, frequency: "monthly" }));
+
+    app.post("/pledges/add", authorize('pledges.create'), async (req, res) => {
+        const { values: pledge, errors } = validate(SCHEMAS.pledges, req.body);
+        if (errors) return renderPledgeForm(res, "pledges_add", req.body, errors);
+
+        // Save the pledge and fill in any payments that are already due (e.g. a pledge that started last month)
+        const pledgeId = await db.transaction(async (trx) => {
+            const newPledge = await audit.create(trx, actorFromRequest(req), "pledges", pledge);
+            await pledges.generateInstallments(trx, { pledgeId: newPledge.pledge_id });
+            return newPledge.pledge_id;
+        });
+        res.redirect(`/pledges/view/${pledgeId}`);
+    });
+
+    app.get("/pledges/edit/:id", authorize('pledges.edit'), async (req, res) => {
+        const pledge = await db("pledges").where({ pledge_id: req.params.id }).whereNull("deletion_id").first();
+        if (!pledge) return res.redirect("/pledges");
+        renderPledgeForm(res, "pledges_edit", pledge, {}, await historyFor(req, "pledges", req.params.id));
+    });
+
+    app.post("/pledges/edit/:id", authorize('pledges.edit'), async (req, res) => {
+        const { values: pledge, errors } = validate(SCHEMAS.pledges, req.body);
+        if (errors) {
+            const saved = await db("pledges").where({ pledge_id: req.params.id }).whereNull("deletion_id").first();
+            if (!saved) return res.redirect("/pledges");
+            return renderPledgeForm(res, "pledges_edit", withTyped(SCHEMAS.pledges, saved, req.body), errors);
+        }
+
+        // A new amount or schedule changes which payments we're still waiting on
+        await db.transaction(async (trx) => {
+            await audit.update(trx, actorFromRequest(req), "pledges", req.params.id, pledge);
+            await pledges.rebuildSchedule(trx, req.params.id);
+        });
+        res.redirect(`/pledges/view/${req.params.id}`);
+    });
+
+    // Cancelling keeps the pledge and its payment history, but stops new installments from being added
+    app.post("/pledges/cancel/:id", authorize('pledges.edit'), async (req, res) => {
+        const existing = await db("pledges").where({ pledge_id: req.params.id }).whereNull("deletion_id").first();
+        if (existing && !existing.cancelled_at) {
+            await audit.update(db, actorFromRequest(req), "pledges", req.params.id, { cancelled_at: new Date() });
+        }
+        res.redirect(`/pledges/view/${req.params.id}`);
+    });
+
+    // Deleting moves the pledge (and its schedule) to the trash. Donations that were paid against it are kept.
+    app.post("/pledges/delete/:id", authorize('pledges.delete'), async (req, res) => {
+        await trash.remove(actorFromRequest(req), "pledges", req.params.id);
+        res.redirect("/pledges");
+    });
+
+    // One pledge with every payment we've expected so far and whether it came in
+    app.get("/pledges/view/:id", authorize('pledges.view'), async (req, res) => {
+        try {
+            const pledge = await listQueries.buildQuery("pledges", { scope: listScope(req, "pledges") })
+                .where("pledges.pledge_id", req.params.id)
+                .first();
+            if (!pledge) return res.redirect("/pledges");
+
+            const installments = await db("pledge_installments")
+                .leftJoin("donations", "pledge_installments.donation_id", "donations.donation_id")
+                .select("pledge_installments.*", "donations.donation_date", "donations.donation_amount")
+                .where("pledge_installments.pledge_id", req.params.id)
+                .orderBy("pledge_installments.due_date", "desc");
+
+            res.render("pledge_view", {
+                pledge, installments, statuses: PLEDGE_STATUSES, frequencies: PLEDGE_FREQUENCIES, error_message: req.query.error || null
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error fetching pledge");
+        }
+    });
+
+    // Marks one installment as paid by recording a donation for it
+    app.post("/pledges/installments/pay/:id", authorize('donations.create'), async (req, res) => {
+        const installment = await db("pledge_installments").where({ pledge_installment_id: req.params.id }).first();
+        if (!installment) return res.redirect("/pledges");
+        const { values, errors } = validate(SCHEMAS.pledgePayments, req.body);
+        if (errors) return res.redirect(`/pledges/view/${installment.pledge_id}?error=${encodeURIComponent(firstError(errors))}`);
+
+        await pledges.recordPayment(installment.pledge_installment_id, {
+            donationDate: values.donation_date || new Date(),
+            amount: values.donation_amount ?? null,
+            actor: actorFromRequest(req)
+        });
+        res.redirect(`/pledges/view/${installment.pledge_id}`);
+    });
+
+    // Displays the survey form for a specific event. Which questions it has depends on the event (see lib/surveys.js).
+    app.get("/survey/:eventId", authorize('surveys.submit'), async (req, res) => {
+        const form = await surveyForms.formForEvent(req.params.eventId);
+        if (!form) return res.redirect("/events");
+        res.render("survey", { eventId: req.params.eventId, form, answerField, values: {}, error_message: null });
+    });
+
+    // Lets a user or manager view a past survey response
+    app.get("/survey/view/:surveyId", authorize('surveys.view'), async (req, res) => {
+        try {
+            const survey = await db("surveys")
+                .where({ survey_id: req.params.surveyId })
+                .whereNull("deletion_id")
+                .first();
+
+            if (!survey) {
+                return res.redirect("/events");
+            }
+
+            // Security check: You can only see your own survey (unless you can see everyone's)
+            if (!req.can('surveys.view_all') && survey.participant_id !== req.session.participantId) {
+                return res.status(403).send("You are not authorized to view this survey.");
+            }
+
+            const source = req.query.source || 'events';
+            // Responses from before the survey builder have no answers and show the original five questions
+            const answers = await surveyForms.answersFor(survey.survey_id);
+            res.render("survey_view", { survey, answers, source });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error viewing survey");
+        }
+    });
+
+    // Saves a new survey response
+    app.post("/submit-survey", authorize('surveys.submit'), async (req, res) => {
+        const eventId = req.body.event_id;
+        try {
+            // The NPS bucket comes from whichever question is marked "recommend"
+            await surveyForms.submit(actorFromRequest(req), {
+                participantId: req.session.participantId,
+                eventId,
+                body: req.body
+            });
+            res.redirect("/events");
+        } catch (err) {
+            // Show the form again with what they already filled in
+            if (err instanceof UserError) {
+                const form = await surveyForms.formForEvent(eventId);
+                if (!form) return res.redirect("/events");
+                return res.status(err.status).render("survey", { eventId, form, answerField, values: req.body, error_message: err.message });
+            }
+            console.error("Error submitting survey", err);
+            res.status(500).send("Error submitting survey: " + err.message);
+        }
+    });
+
+    // Lists all survey responses with search and pagination
+    app.get("/surveys", authorize('surveys.view'), async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 100;
+        const searchQuery = req.query.q;
+
+        try {
+            // Filter by name, event, date or comments
+            const { rows: surveys, totalPages } = await listQueries.fetchPage("surveys", {
+                scope: listScope(req, "surveys"), search: searchQuery, page, limit
+            });
+
+            res.render("surveys", { 
+                surveys, 
+                isManager: req.can('surveys.view_all'), 
+                query: searchQuery,
+                currentPage: page,
+                totalPages: totalPages
+            });
+        } catch(e) { console.error(e); res.status(500).send("Error"); }
+    });
+
+
+    // Survey CRUD routes
+    // Like donations, the forms are shown again with what was typed and a message under each box after a mistake.
+    const surveyEventChoices = () => db("event_occurrences").whereNull("event_occurrences.deletion_id").join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id").select("event_occurrences.event_occurrence_id", "event_templates.event_name", "event_occurrences.start_time").orderBy("event_occurrences.start_time", "desc");
+
+    const renderAddSurvey = async (res, values = {}, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("surveys_add", {
+            participants: await participantChoices(), events: await surveyEventChoices(), values, errors
+        });
+    };
+    // "form" is the response's questions and answers when it was made with the survey builder (see lib/surveys.js).
+    // Older responses (form: null) are edited through the five score boxes.
+    const renderEditSurvey = async (req, res, survey, form, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("surveys_edit", {
+            survey,
+            form,
+            answerField,
+            participants: await participantChoices(),
+            events: await surveyEventChoices(),
+            history: await historyFor(req, "surveys", survey.survey_id),
+            errors
+        });
+    };
+
+    app.get("/surveys/add", authorize('surveys.create'), async (req, res) => {
+        await renderAddSurvey(res);
+    });
+
+    app.post("/surveys/add", authorize('surveys.create'), async (req, res) => {
+        const { values, errors } = validate(SCHEMAS.surveys, req.body);
+        if (errors) return renderAddSurvey(res, req.body, errors);
+
+        try {
+            await audit.create(db, actorFromRequest(req), "surveys", {
+                ...values,
+                // Promoter / Passive / Detractor, based on the recommend score (see lib/nps.js)
+                nps_bucket_id: npsBucketFor(values.score_recommendation),
+                submission_date: new Date()
+            });
+
+            res.redirect("/surveys");
+        } catch (err) {
+            console.error("Error adding survey manually", err);
+            res.status(500).send("Error saving survey");
+        }
+    });
+
+    app.get("/surveys/edit/:id", authorize('surveys.edit'), async (req, res) => {
+        const survey = await db("surveys").where({ survey_id: req.params.id }).whereNull("deletion_id").first();
+        if (!survey) return res.redirect("/surveys");
+        await renderEditSurvey(req, res, survey, await surveyForms.editFormFor(survey));
+    });
+    app.post("/surveys/edit/:id", authorize('surveys.edit'), async (req, res) => {
+        const survey = await db("surveys").where({ survey_id: req.params.id }).whereNull("deletion_id").first();
+        if (!survey) return res.redirect("/surveys");
+
+        // Made with the survey builder: the answers are edited, and the scores follow from them
+        const form = await surveyForms.editFormFor(survey);
+        if (form) {
+            // Shown again with what was typed
+            const showAgain = (errors) => renderEditSurvey(req, res, withTyped(SCHEMAS.surveyResponses, survey, req.body), { ...form, values: req.body }, errors);
+            const { values: links, errors } = validate(SCHEMAS.surveyResponses, req.body);
+            if (errors) return showAgain(errors);
+            try {
+                await surveyForms.updateAnswers(actorFromRequest(req), survey, links, req.body);
+            } catch (err) {
+                if (err instanceof UserError) return showAgain({ [err.field]: err.message });
+                throw err;
+            }
+            return res.redirect("/surveys");
+        }
+
+        const { values, errors } = validate(SCHEMAS.surveys, req.body);
+        if (errors) return renderEditSurvey(req, res, withTyped(SCHEMAS.surveys, survey, req.body), null, errors);
+        // The NPS bucket always follows the recommend score, so it isn't picked on the form
+        await audit.update(db, actorFromRequest(req), "surveys", req.params.id, { ...values, nps_bucket_id: npsBucketFor(values.score_recommendation) });
+        res.redirect("/surveys");
+    });
+    app.post("/surveys/delete/:id", authorize('surveys.delete'), async (req, res) => {
+        await trash.remove(actorFromRequest(req), "surveys", req.params.id);
+        res.redirect("/surveys");
+    });
+
+    // --- SURVEY BUILDER ---
+    // Managers build the feedback forms here and pick which events use them (see lib/surveys.js).
+    // Problems (like a multiple choice question without choices) come back as ?error=... on the edit page.
+    const surveyTemplatePage = (id, error) => `/survey-templates/edit/${id}` + (error ? `?error=${encodeURIComponent(error)}` : "");
+
+    app.get("/survey-templates", authorize('surveys.design'), async (req, res) => {
+        try {
+            const templates = await db("survey_templates")
+                .select("survey_templates.*")
+                .select(db.raw("(SELECT COUNT(*)::int FROM survey_questions q WHERE q.survey_template_id = survey_templates.survey_template_id) AS question_count"))
+                .select(db.raw("(SELECT COUNT(*)::int FROM surveys s WHERE s.survey_template_id = survey_templates.survey_template_id AND s.deletion_id IS NULL) AS response_count"))
+                .select(db.raw("(SELECT STRING_AGG(et.event_name, ', ' ORDER BY et.event_name) FROM event_templates et WHERE et.survey_template_id = survey_templates.survey_template_id) AS event_names"))
+                .orderBy("template_name");
+            res.render("survey_templates", {
+                templates,
+                reminderDays: await surveyInvitations.getReminderDays(),
+                inviteStats: await surveyInvitations.stats(),
+                notice: req.query.notice || null,
+                error_message: req.query.error || null
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error fetching surveys");
+        }
+    });
+
+    // How many days after the invitation to send the reminder. 0 turns reminders off.
+    app.post("/survey-templates/invitations", authorize('surveys.design'), async (req, res) => {
+        const days = parseInt(req.body.reminder_days);
+        if (Number.isNaN(days) || days < 0 || days > 60) {
+            return res.redirect(`/survey-templates?error=${encodeURIComponent("Enter a number of days between 0 and 60.")}`);
+        }
+        await surveyInvitations.setReminderDays(days);
+        res.redirect(`/survey-templates?notice=${encodeURIComponent(days === 0 ? "Reminders are turned off." : `Reminders now go out ${days} day(s) after the invitation.`)}`);
+    });
+
+    // Sends any invitations and reminders that are due right away, instead of waiting for the job
+    app.post("/survey-templates/invitations/send", authorize('surveys.design'), async (req, res) => {
+        const { invited, reminded } = await surveyInvitations.sendDue();
+        res.redirect(`/survey-templates?notice=${encodeURIComponent(`Sent ${invited} invitation(s) and ${reminded} reminder(s).`)}`);
+    });
+
+    app.post("/survey-templates/add", authorize('surveys.design'), async (req, res) => {
+        const template_name = String(req.body.template_name || "").trim();
+        if (!template_name) return res.redirect("/survey-templates");
+        const [template] = await db("survey_templates").insert({ template_name, description: req.body.description || null }).returning("*");
+        res.redirect(surveyTemplatePage(template.survey_template_id));
+    });
+
+    app.get("/survey-templates/edit/:id", authorize('surveys.design'), async (req, res) => {
+        const template = await db("survey_templates").where({ survey_template_id: req.params.id }).first();
+        if (!template) return res.redirect("/survey-templates");
+        res.render("survey_templates_edit", {
+            template,
+            questions: await surveyForms.questionsFor(template.survey_template_id),
+            eventTemplates: await db("event_templates").select("event_template_id", "event_name", "survey_template_id").orderBy("event_name"),
+            questionTypes: QUESTION_TYPES,
+            surveyColumns: SURVEY_COLUMNS,
+            error_message: req.query.error || null
+        });
+    });
+
+    // Saves the name, description, default flag and which events use this survey
+    app.post("/survey-templates/edit/:id", authorize('surveys.design'), async (req, res) => {
+        const id = parseInt(req.params.id);
+        const template_name = String(req.body.template_name || "").trim();
+        if (!template_name) return res.redirect(surveyTemplatePage(id, "The survey needs a name."));
+
+        await db("survey_templates").where({ survey_template_id: id }).update({ template_name, description: req.body.description || null });
+        if (req.body.is_default === "on") await surveyForms.setDefault(id);
+        // A single checked box comes through as a string, several as an array
+        const eventTemplateIds = [req.body.event_template_ids || []].flat().map(Number).filter(Boolean);
+        await surveyForms.assignEventTemplates(id, eventTemplateIds);
+        res.redirect("/survey-templates");
+    });
+
+    app.post("/survey-templates/delete/:id", authorize('surveys.design'), async (req, res) => {
+        try {
+            await surveyForms.removeTemplate(req.params.id);
+            res.redirect("/survey-templates");
+        } catch (err) {
+            if (err instanceof UserError) return res.redirect(`/survey-templates?error=${encodeURIComponent(err.message)}`);
+            throw err;
+        }
+    });
+
+    app.post("/survey-templates/:id/questions/add", authorize('surveys.design'), async (req, res) => {
+        try {
+            await surveyForms.saveQuestion(req.params.id, questionFromForm(req.body));
+            res.redirect(surveyTemplatePage(req.params.id));
+        } catch (err) {
+            if (err instanceof UserError) return res.redirect(surveyTemplatePage(req.params.id, err.message));
+            throw err;
+        }
+    });
+
+    app.post("/survey-templates/:id/questions/edit/:questionId", authorize('surveys.design'), async (req, res) => {
+        try {
+            await surveyForms.saveQuestion(req.params.id, questionFromForm(req.body), req.params.questionId);
+            res.redirect(surveyTemplatePage(req.params.id));
+        } catch (err) {
+            if (err instanceof UserError) return res.redirect(surveyTemplatePage(req.params.id, err.message));
+            throw err;
+        }
+    });
+
+    app.post("/survey-templates/:id/questions/delete/:questionId", authorize('surveys.design'), async (req, res) => {
+        await surveyForms.removeQuestion(req.params.questionId);
+        res.redirect(surveyTemplatePage(req.params.id));
+    });
+
+    // Moves a question up or down the list
+    app.post("/survey-templates/:id/questions/move/:questionId", authorize('surveys.design'), async (req, res) => {
+        await surveyForms.moveQuestion(req.params.questionId, req.body.direction === "up" ? "up" : "down");
+        res.redirect(surveyTemplatePage(req.params.id));
+    });
+
+    // --- SURVEY REPORTS ---
+    // NPS and average scores, worked out live from the surveys table (see lib/reports.js).
+    // e.g. /reports/surveys?group_by=location&interval=quarter&from=2025-01-01&template_id=2
+    app.get("/reports/surveys", authorize('surveys.reports'), async (req, res) => {
+        // Dates that aren't real days are left out of the report, with a message under their box
+        const { values: dates, errors } = validate(SCHEMAS.reportDates, { from: req.query.from, to: req.query.to });
+        const filters = {
+            templateId: parseInt(req.query.template_id) || null,
+            locationId: parseInt(req.query.location_id) || null,
+            from: dates.from || null,
+            to: dates.to || null
+        };
+        const groupBy = REPORT_GROUPINGS[req.query.group_by] ? req.query.group_by : "template";
+        const interval = TREND_INTERVALS[req.query.interval] ? req.query.interval : "month";
+
+        try {
+            res.render("reports_surveys", {
+                summary: await surveyReports.summary(filters),
+                breakdown: await surveyReports.breakdown(groupBy, filters),
+                trend: await surveyReports.trend(interval, filters),
+                scores: SURVEY_SCORES,
+                groupings: REPORT_GROUPINGS,
+                intervals: TREND_INTERVALS,
+                templates: await db("event_templates").select("event_template_id", "event_name").orderBy("event_name"),
+                locations: await db("locations").select("location_id", "location_name").orderBy("location_name"),
+                filters,
+                groupBy,
+                interval,
+                errors: errors || {}
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error building survey reports");
+        }
+    });
+
+    // Lists events with pagination. For users, it also checks if they have completed feedback.
+    app.get("/events", authorize('events.view'), async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 100;
+        const searchQuery = req.query.q;
+
+        try {
+            // For users, this also checks which events they have done the survey for
+            const { rows: events, totalPages } = await listQueries.fetchPage("events", {
+                scope: listScope(req, "events"), search: searchQuery, page, limit
+            });
+
+            // Participants get a private link for subscribing to their events from a phone calendar
+            const calendarToken = req.session.participantId ? await calendar.tokenFor(req.session.participantId) : null;
+
+            res.render("events", { 
+                events, 
+                isManager: req.can('events.view_all'), 
+                query: searchQuery,
+                currentPage: page,
+                totalPages: totalPages,
+                notice: req.query.notice || null,
+                calendarLink: calendarToken ? `${siteUrl(req)}/calendar/${calendarToken}.ics` : null
+            });
+        } catch(e) { console.error(e); res.status(500).send("Error"); }
+    });
+
+    // Event CRUD routes
+    // The Add Event form. After a mistake it's shown again with what was typed ("values") and either one
+    // error_message (for the repeat settings) or a message under each box that needs fixing ("errors").
+    const renderAddEvent = async (res, values = {}, error_message = null, errors = {}) => {
+        res.status(error_message || Object.keys(errors).length ? 400 : 200).render("events_add", {
+            templates: await eventSetup.choices("templates"),
+            locations: await eventSetup.choices("locations"),
+            frequencies: FREQUENCIES,
+            weekdays: WEEKDAYS,
+            values,
+            error_message,
+            errors
+        });
+    };
+    // The Edit Event form, with what was typed ("body") on top of the saved event after a mistake.
+    const renderEditEvent = async (req, res, event, errors = {}, body = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("events_edit", {
+            event: withTyped(SCHEMAS.events, event, body),
+            // Retired templates and locations aren't offered, except the ones this event already uses
+            templates: await eventSetup.choices("templates", event.event_template_id),
+            locations: await eventSetup.choices("locations", event.location_id),
+            series: await eventSeries.seriesFor(event),
+            history: await historyFor(req, "events", event.event_occurrence_id),
+            errors
+        });
+    };
+
+    // Checks an event form: the schema in lib/validation.js, then that the room is big enough.
+    // Returns { event, errors } like validate() does.
+    const checkEventForm = async (body) => {
+        const { values: event, errors } = validate(SCHEMAS.events, body);
+        if (errors) return { event, errors };
+        const capacityError = await eventSetup.capacityError(event.location_id, event.capacity);
+        return { event, errors: capacityError ? { capacity: capacityError } : null };
+    };
+
+    app.get("/events/add", authorize('events.create'), async (req, res) => {
+        await renderAddEvent(res);
+    });
+    app.post("/events/add", authorize('events.create'), async (req, res) => {
+        const { event, errors } = await checkEventForm(req.body);
+        if (errors) return renderAddEvent(res, req.body, null, errors);
+        try {
+            // "Repeat" picked: create every event in the series at once
+            const rule = ruleFromForm(req.body);
+            if (rule) {
+                const created = await eventSeries.createSeries(actorFromRequest(req), event, rule);
+                return res.redirect(`/events?notice=${encodeURIComponent(`Created ${created.length} events in the series.`)}`);
+            }
+            await audit.create(db, actorFromRequest(req), "events", event);
+            res.redirect("/events");
+        } catch (e) {
+            if (!(e instanceof UserError)) throw e;
+            // Show the form again with what they typed, so they only have to fix the repeat settings
+            if (e.field) return renderAddEvent(res, req.body, null, { [e.field]: e.message });
+            await renderAddEvent(res, req.body, e.message);
+        }
+    });
+    app.get("/events/edit/:id", authorize('events.edit'), async (req, res) => {
+        const event = await db("event_occurrences").where({ event_occurrence_id: req.params.id }).whereNull("deletion_id").first();
+        if (!event) return res.redirect("/events");
+        await renderEditEvent(req, res, event);
+    });
+    app.post("/events/edit/:id", authorize('events.edit'), async (req, res) => {
+        const { event, errors } = await checkEventForm(req.body);
+        if (errors) {
+            const saved = await db("event_occurrences").where({ event_occurrence_id: req.params.id }).whereNull("deletion_id").first();
+            if (!saved) return res.redirect("/events");
+            return renderEditEvent(req, res, saved, errors, req.body);
+        }
+
+        // scope: "one" = just this event, "following" = this one and the later ones in its series.
+        // Raising the capacity moves people off the waitlist right away.
+        await eventSeries.updateEvents(actorFromRequest(req), req.params.id, event, req.body.scope);
+        res.redirect("/events");
+    });
+    app.post("/events/delete/:id", authorize('events.delete'), async (req, res) => {
+        // Its registrations and surveys go to the trash with it (and so do the later events in its series, for "following")
+        const cancelled = await eventSeries.cancelEvents(actorFromRequest(req), req.params.id, req.body.scope);
+        if (cancelled > 1) return res.redirect(`/events?notice=${encodeURIComponent(`Cancelled ${cancelled} events. They can be restored from the trash.`)}`);
+        res.redirect("/events");
+    });
+
+    // --- EVENT SETUP ---
+    // Event templates (our program types) and locations: the lists the Add Event form picks from.
+    // They're retired instead of deleted, since past events still point at them (see lib/setup.js).
+    // The routes are shared: ":kind" is "templates" or "locations".
+    const setupPage = (error) => "/event-setup" + (error ? `?error=${encodeURIComponent(error)}` : "");
+    const fromForm = (kind, body) => kind === "templates" ? templateFromForm(body) : locationFromForm(body);
+
+    app.get("/event-setup", authorize('events.setup'), async (req, res) => {
+        try {
+            res.render("event_setup", {
+                templates: await eventSetup.list("templates"),
+                locations: await eventSetup.list("locations"),
+                surveyTemplates: await db("survey_templates").select("survey_template_id", "template_name"),
+                error_message: req.query.error || null
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error loading event setup");
+        }
+    });
+
+    app.get("/event-setup/:kind/edit/:id", authorize('events.setup'), async (req, res) => {
+        if (!SETUP_KINDS[req.params.kind]) return res.status(404).send("Not found");
+        const record = await eventSetup.find(req.params.kind, req.params.id);
+        if (!record) return res.redirect("/event-setup");
+        res.render("event_setup_edit", {
+            kind: req.params.kind,
+            kindInfo: SETUP_KINDS[req.params.kind],
+            record,
+            surveyTemplates: await db("survey_templates").select("survey_template_id", "template_name").orderBy("template_name"),
+            history: await historyFor(req, SETUP_KINDS[req.params.kind].entity, req.params.id),
+            error_message: req.query.error || null
+        });
+    });
+
+    // Adds a new one (POST /event-setup/templates/add) or saves an existing one (POST /event-setup/templates/edit/3)
+    const saveSetup = async (req, res) => {
+        const { kind, id } = req.params;
+        if (!SETUP_KINDS[kind]) return res.status(404).send("Not found");
+        try {
+            await eventSetup.save(actorFromRequest(req), kind, fromForm(kind, req.body), id || null);
+            res.redirect("/event-setup");
+        } catch (err) {
+            if (!(err instanceof UserError)) throw err;
+            res.redirect(id ? `/event-setup/${kind}/edit/${id}?error=${encodeURIComponent(err.message)}` : setupPage(err.message));
+        }
+    };
+    app.post("/event-setup/:kind/add", authorize('events.setup'), saveSetup);
+    app.post("/event-setup/:kind/edit/:id", authorize('events.setup'), saveSetup);
+
+    // retired=1 retires it, retired=0 brings it back
+    app.post("/event-setup/:kind/retire/:id", authorize('events.setup'), async (req, res) => {
+        if (!SETUP_KINDS[req.params.kind]) return res.status(404).send("Not found");
+        await eventSetup.setRetired(actorFromRequest(req), req.params.kind, req.params.id, req.body.retired !== "0");
+        res.redirect("/event-setup");
+    });
+
+    // --- PUBLIC CALENDAR ---
+    // No login needed: anyone can see what's coming up, and subscribe to it from their phone.
+
+    // ?view=month|week|list and ?date=YYYY-MM-DD (any day in the month or week to show)
+    app.get("/calendar", async (req, res) => {
+        try {
+            const range = calendarRange(req.query.view, req.query.date);
+            const events = await calendar.between(range.start, range.end);
+
+            // The grid and the list both look events up by day
+            const eventsByDay = {};
+            events.forEach(e => {
+                const key = dayKey(new Date(e.start_time));
+                (eventsByDay[key] = eventsByDay[key] || []).push(e);
+            });
+
+            res.render("calendar", { range, events, eventsByDay, views: CALENDAR_VIEWS, dayKey, feedUrl: `${siteUrl(req)}/calendar.ics` });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error loading the calendar");
+        }
+    });
+
+    // Every recent and upcoming event, for calendar apps to subscribe to
+    app.get("/calendar.ics", async (req, res) => {
+        const events = await calendar.publicFeed();
+        res.type("text/calendar; charset=utf-8").send(toICalendar({ name: "Ella Rises Events", events, baseUrl: siteUrl(req) }));
+    });
+
+    // One participant's events. The token in the link is what keeps it private.
+    app.get("/calendar/:token.ics", async (req, res) => {
+        const feed = await calendar.participantFeed(req.params.token);
+        if (!feed) return res.status(404).send("This calendar link doesn't work anymore. Get a new one from the My Events page.");
+        res.type("text/calendar; charset=utf-8").send(toICalendar({ name: "My Ella Rises Events", events: feed.events, baseUrl: siteUrl(req) }));
+    });
+
+    // For a link that was shared by mistake: the old one stops working right away
+    app.post("/calendar/new-link", authorize('events.register'), async (req, res) => {
+        if (!req.session.participantId) return res.redirect("/events");
+        await calendar.resetToken(req.session.participantId);
+        res.redirect(`/events?notice=${encodeURIComponent("Made a new calendar link. Calendars using the old link will stop updating, so subscribe again with the new one.")}`);
+    });
+
+    // --- EVENT REGISTRATION & WAITLIST ---
+    // Participants sign themselves up for upcoming events. Each event has a capacity; once it's full,
+    // new sign-ups go on a waitlist and get bumped up automatically when someone cancels.
+    // The seat-counting and waitlist logic lives in lib/registrations.js
+    const { lockEvent, promoteFromWaitlist, registerForEvent, cancelRegistration } = registrations;
+
+    // Lists upcoming events that people can sign up for, with how many seats are left.
+    app.get("/events/upcoming", authorize('events.view'), async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 100;
+        const searchQuery = req.query.q;
+        const participantId = req.session.participantId || null;
+
+        try {
+            // Comes with the seat counts plus this person's own registration (if any) for each event
+            const { rows: events, totalPages } = await listQueries.fetchPage("upcomingEvents", {
+                scope: { participantId }, search: searchQuery, page, limit
+            });
+
+            res.render("events_upcoming", {
+                events,
+                canRegister: !!participantId,
+                status: req.query.status || null,
+                query: searchQuery,
+                currentPage: page,
+                totalPages: totalPages
+            });
+        } catch(e) { console.error(e); res.status(500).send("Error"); }
+    });
+
+    // Signs the logged-in participant up for an event (or puts them on the waitlist if it's full)
+    app.post("/events/register/:id", authorize('events.register'), async (req, res) => {
+        if (!req.session.participantId) {
+            return res.status(403).send("Only participant accounts can register for events.");
+        }
+        try {
+            const status = await registerForEvent(req.session.participantId, req.params.id);
+            if (!status) {
+                return res.status(400).send("This event is no longer open for registration.");
+            }
+            res.redirect(`/events/upcoming?status=${status}`);
+        } catch (err) {
+            console.error("Registration Error:", err);
+            res.status(500).send("Error registering for event.");
+        }
+    });
+
+    // Cancels the logged-in participant's registration. The next person on the waitlist moves up.
+    app.post("/events/cancel/:id", authorize('events.register'), async (req, res) => {
+        if (!req.session.participantId) {
+            return res.status(403).send("Only participant accounts can cancel registrations.");
+        }
+        try {
+            await cancelRegistration(req.session.participantId, req.params.id);
+            res.redirect(req.body.source === 'upcoming' ? "/events/upcoming?status=cancelled" : "/events");
+        } catch (err) {
+            console.error("Cancel Error:", err);
+            res.status(500).send("Error cancelling registration.");
+        }
+    });
+
+    // --- CHECK-IN ---
+    // The page staff keep open at the door (see lib/checkin.js). Notices and errors come back in the query string.
+    // e.g. /events/12/checkin?q=maria
+    const checkInPage = (eventId, params = {}) => `/events/${eventId}/checkin?` + new URLSearchParams(params).toString();
+
+    app.get("/events/:id/checkin", authorize('events.checkin'), async (req, res) => {
+        const event = await db("event_occurrences")
+            .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+            .leftJoin("locations", "event_occurrences.location_id", "locations.location_id")
+            .where("event_occurrences.event_occurrence_id", req.params.id)
+            .whereNull("event_occurrences.deletion_id")
+            .select("event_occurrences.*", "event_templates.event_name", "locations.location_name")
+            .first();
+        if (!event) return res.redirect("/events");
+
+        const searchQuery = req.query.q || "";
+        res.render("events_checkin", {
+            event,
+            roster: await checkIn.roster(event.event_occurrence_id, searchQuery),
+            // Searching also looks for people who aren't registered, so they can be signed up as walk-ins
+            candidates: searchQuery ? await checkIn.walkInCandidates(event.event_occurrence_id, searchQuery) : [],
+            counts: await checkIn.eventCounts(event.event_occurrence_id),
+            query: searchQuery,
+            notice: req.query.notice || null,
+            error_message: req.query.error || null
+        });
+    });
+
+    app.post("/events/:id/checkin/:participantId", authorize('events.checkin'), async (req, res) => {
+        const registration = await checkIn.checkIn(req.params.id, req.params.participantId, actorFromRequest(req));
+        res.redirect(checkInPage(req.params.id, registration ? { q: req.body.q || "" } : { error: "That person isn't registered for this event." }));
+    });
+
+    app.post("/events/:id/checkin/:participantId/undo", authorize('events.checkin'), async (req, res) => {
+        await checkIn.undoCheckIn(req.params.id, req.params.participantId);
+        res.redirect(checkInPage(req.params.id, { q: req.body.q || "" }));
+    });
+
+    // The scan box: a USB scanner types the QR code's link (or someone types the code) and presses Enter
+    app.post("/events/:id/checkin-scan", authorize('events.checkin'), async (req, res) => {
+        const result = await checkIn.checkInByToken(tokenFromScan(req.body.code), actorFromRequest(req), req.params.id);
+        if (!result) return res.redirect(checkInPage(req.params.id, { error: "That code doesn't match any registration." }));
+        if (result.wrongEvent) {
+            // Not checked in anywhere: they're at the wrong door, so staff can point them to the right one
+            return res.redirect(checkInPage(req.params.id, { error: `${result.participant.first_name} ${result.participant.last_name} is registered for a different event, so they weren't checked in.` }));
+        }
+        const name = `${result.participant.first_name} ${result.participant.last_name}`;
+        res.redirect(checkInPage(req.params.id, { notice: result.alreadyCheckedIn ? `${name} was already checked in.` : `Checked in ${name}.` }));
+    });
+
+    // Where a QR code leads when a staff member scans it with their phone's camera
+    app.get("/checkin/:token", authorize('events.checkin'), async (req, res) => {
+        const result = await checkIn.checkInByToken(req.params.token, actorFromRequest(req));
+        if (!result) return res.status(404).send("That check-in code doesn't match any registration.");
+        const name = `${result.participant.first_name} ${result.participant.last_name}`;
+        res.redirect(checkInPage(result.registration.event_occurrence_id, { notice: result.alreadyCheckedIn ? `${name} was already checked in.` : `Checked in ${name}.` }));
+    });
+
+    // Signs up and checks in someone who came without registering: an existing participant (participant_id),
+    // or someone new (first_name, last_name, email), who gets a participant record first.
+    app.post("/events/:id/walk-in", authorize('events.checkin'), async (req, res) => {
+        const actor = actorFromRequest(req);
+        let participantId = parseInt(req.body.participant_id);
+        try {
+            if (!participantId) {
+                const { first_name, last_name } = req.body;
+                const email = req.body.email ? req.body.email.trim() : null;
+                if (!first_name || !last_name) {
+                    return res.redirect(checkInPage(req.params.id, { error: "A walk-in needs at least a first and last name." }));
+                }
+                const person = await audit.create(db, actor, "participants", { first_name, last_name, email });
+                participantId = person.participant_id;
+            }
+            await checkIn.walkIn(req.params.id, participantId, actor);
+            res.redirect(checkInPage(req.params.id, { notice: "Walk-in checked in." }));
+        } catch (err) {
+            if (err.code === "23505") {
+                return res.redirect(checkInPage(req.params.id, { error: "Someone with that email is already in the system. Search for them instead." }));
+            }
+            console.error("Walk-in Error:", err);
+            res.status(500).send("Error checking in walk-in.");
+        }
+    });
+
+    // A participant's own QR code for an event they're registered for, to show at the door
+    app.get("/events/ticket/:id", authorize('events.register'), async (req, res) => {
+        if (!req.session.participantId) return res.redirect("/events");
+        const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get("host")}`;
+        const ticket = await checkIn.ticketFor(req.params.id, req.session.participantId, baseUrl);
+        if (!ticket) return res.redirect("/events");
+        const event = await db("event_occurrences")
+            .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+            .leftJoin("locations", "event_occurrences.location_id", "locations.location_id")
+            .where("event_occurrences.event_occurrence_id", req.params.id)
+            .select("event_occurrences.*", "event_templates.event_name", "locations.location_name")
+            .first();
+        res.render("events_ticket", { event, ...ticket });
+    });
+
+    // Lists milestones with pagination
+    app.get("/milestones", authorize('milestones.view'), async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 100;
+        const searchQuery = req.query.q;
+
+        try {
+            // Filter by name, milestone title or date
+            const { rows: milestones, totalPages } = await listQueries.fetchPage("milestones", {
+                scope: listScope(req, "milestones"), search: searchQuery, page, limit
+            });
+
+            res.render("milestones", { 
+                milestones, 
+                isManager: req.can('milestones.view_all'), 
+                participantId: req.session.participantId || null,
+                query: searchQuery,
+                currentPage: page,
+                totalPages: totalPages
+            });
+        } catch(e) { console.error(e); res.status(500).send("Error"); }
+    });
+
+
+    // Milestone management routes
+    // Like donations, the forms are shown again with what was typed and a message under each box after a mistake.
+    const renderAddMilestone = async (res, values = {}, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("milestones_add", {
+            participants: await participantChoices(), types: await db("milestone_types").select("*"), values, errors
+        });
+    };
+    const renderEditMilestone = async (req, res, milestone, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("milestones_edit", {
+            milestone,
+            participants: await participantChoices(),
+            types: await db("milestone_types").select("*"),
+            history: await historyFor(req, "milestones", milestone.milestone_id),
+            errors
+        });
+    };
+
+    app.get("/milestones/add", authorize('milestones.create'), async (req, res) => {
+        await renderAddMilestone(res);
+    });
+    app.post("/milestones/add", authorize('milestones.create'), async (req, res) => {
+        const { values, errors } = validate(SCHEMAS.milestones, req.body);
+        if (errors) return renderAddMilestone(res, req.body, errors);
+        await audit.create(db, actorFromRequest(req), "milestones", values);
+        res.redirect("/milestones");
+    });
+    app.get("/milestones/edit/:id", authorize('milestones.edit'), async (req, res) => {
+        const milestone = await db("milestones").where({ milestone_id: req.params.id }).whereNull("deletion_id").first();
+        if (!milestone) return res.redirect("/milestones");
+        await renderEditMilestone(req, res, milestone);
+    });
+    app.post("/milestones/edit/:id", authorize('milestones.edit'), async (req, res) => {
+        const { values, errors } = validate(SCHEMAS.milestones, req.body);
+        if (errors) {
+            const milestone = await db("milestones").where({ milestone_id: req.params.id }).whereNull("deletion_id").first();
+            if (!milestone) return res.redirect("/milestones");
+            return renderEditMilestone(req, res, withTyped(SCHEMAS.milestones, milestone, req.body), errors);
+        }
+        await audit.update(db, actorFromRequest(req), "milestones", req.params.id, values);
+        res.redirect("/milestones");
+    });
+    app.post("/milestones/delete/:id", authorize('milestones.delete'), async (req, res) => {
+        await trash.remove(actorFromRequest(req), "milestones", req.params.id);
+        res.redirect("/milestones");
+    });
+
+    // --- MILESTONE PATHWAYS ---
+    // Managers put milestones in order (with prerequisites and how long each step should take) and see how
+    // far along everyone is, and who is stalled at each step (see lib/pathways.js).
+    // Problems come back as ?error=... on the edit page, like the survey builder.
+    const pathwayPage = (id, error) => `/pathways/edit/${id}` + (error ? `?error=${encodeURIComponent(error)}` : "");
+
+    app.get("/pathways", authorize('milestones.pathways'), async (req, res) => {
+        try {
+            res.render("pathways", { pathways: await pathways.list(), error_message: req.query.error || null });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error fetching pathways");
+        }
+    });
+
+    app.post("/pathways/add", authorize('milestones.pathways'), async (req, res) => {
+        const pathway_name = String(req.body.pathway_name || "").trim();
+        if (!pathway_name) return res.redirect("/pathways");
+        const [pathway] = await db("milestone_pathways").insert({ pathway_name, description: req.body.description || null }).returning("*");
+        res.redirect(pathwayPage(pathway.pathway_id));
+    });
+
+    app.get("/pathways/edit/:id", authorize('milestones.pathways'), async (req, res) => {
+        const pathway = await pathways.find(req.params.id);
+        if (!pathway) return res.redirect("/pathways");
+        res.render("pathways_edit", {
+            pathway,
+            steps: await pathways.stepsFor(pathway.pathway_id),
+            types: await db("milestone_types").select("*").orderBy("milestone_title"),
+            error_message: req.query.error || null
+        });
+    });
+
+    app.post("/pathways/edit/:id", authorize('milestones.pathways'), async (req, res) => {
+        const pathway_name = String(req.body.pathway_name || "").trim();
+        if (!pathway_name) return res.redirect(pathwayPage(req.params.id, "The pathway needs a name."));
+        await db("milestone_pathways").where({ pathway_id: req.params.id }).update({ pathway_name, description: req.body.description || null });
+        res.redirect("/pathways");
+    });
+
+    // Deleting a pathway only removes its steps. The milestones people reached stay on their records.
+    app.post("/pathways/delete/:id", authorize('milestones.pathways'), async (req, res) => {
+        await db("milestone_pathways").where({ pathway_id: req.params.id }).del();
+        res.redirect("/pathways");
+    });
+
+    app.post("/pathways/:id/steps/add", authorize('milestones.pathways'), async (req, res) => {
+        try {
+            await pathways.saveStep(req.params.id, stepFromForm(req.body));
+            res.redirect(pathwayPage(req.params.id));
+        } catch (err) {
+            if (err instanceof UserError) return res.redirect(pathwayPage(req.params.id, err.message));
+            throw err;
+        }
+    });
+
+    app.post("/pathways/:id/steps/edit/:stepId", authorize('milestones.pathways'), async (req, res) => {
+        try {
+            await pathways.saveStep(req.params.id, stepFromForm(req.body), req.params.stepId);
+            res.redirect(pathwayPage(req.params.id));
+        } catch (err) {
+            if (err instanceof UserError) return res.redirect(pathwayPage(req.params.id, err.message));
+            throw err;
+        }
+    });
+
+    app.post("/pathways/:id/steps/delete/:stepId", authorize('milestones.pathways'), async (req, res) => {
+        await pathways.removeStep(req.params.id, req.params.stepId);
+        res.redirect(pathwayPage(req.params.id));
+    });
+
+    // Moves a step up or down the pathway
+    app.post("/pathways/:id/steps/move/:stepId", authorize('milestones.pathways'), async (req, res) => {
+        await pathways.moveStep(req.params.id, req.params.stepId, req.body.direction === "up" ? "up" : "down");
+        res.redirect(pathwayPage(req.params.id));
+    });
+
+    // Who is on a pathway, how many got through each step, and who is stalled where.
+    // e.g. /pathways/3/report?from=2025-01-01&to=2025-06-30 is everyone who started between January and June.
+    app.get("/pathways/:id/report", authorize('milestones.pathways'), async (req, res) => {
+        const pathway = await pathways.find(req.params.id);
+        if (!pathway) return res.redirect("/pathways");
+        // Same as the survey report: dates that aren't real days are ignored and flagged under their box
+        const { values: dates, errors } = validate(SCHEMAS.reportDates, { from: req.query.from, to: req.query.to });
+        const filters = { from: dates.from || null, to: dates.to || null };
+        try {
+            res.render("pathways_report", { pathway, filters, report: await pathways.cohortReport(pathway.pathway_id, filters), errors: errors || {} });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error building the pathway report");
+        }
+    });
+
+    // One participant's progress on every pathway they've started. Participants can see their own.
+    app.get("/participants/:id/pathways", authorize('milestones.view'), async (req, res) => {
+        const participantId = parseInt(req.params.id);
+        if (!req.can('milestones.view_all') && participantId !== req.session.participantId) {
+            return res.status(403).send("You can only see your own progress.");
+        }
+        const participant = await db("participants").where({ participant_id: participantId }).whereNull("deletion_id").first();
+        if (!participant) return res.redirect("/milestones");
+        res.render("participant_pathways", {
+            participant,
+            isOwn: participantId === req.session.participantId,
+            progress: await pathways.participantProgress(participantId),
+            statuses: STEP_STATUSES
+        });
+    });
+
+    // The roles the current person is allowed to hand out. Only admins can create other admins.
+    const assignableRoles = (req) => Object.entries(ROLES)
+        .filter(([key]) => key !== 'admin' || req.can('users.assign_admin'))
+        .map(([key, role]) => ({ key, label: role.label }));
+
+    // Allows managers to create and edit user login accounts
+    app.get("/users", authorize('users.view_all'), async (req, res) => {
+        try {
+            const searchQuery = req.query.q;
+            const users = await listQueries.buildQuery("users", { search: searchQuery });
+            res.render("users", { 
+                users, 
+                roles: ROLES,
+                query: searchQuery 
+            });
+        } catch (err) { 
+            console.error(err);
+            res.status(500).send("Error retrieving users"); 
+        }
+    });
+    // Two accounts can't share a username (among accounts that aren't in the trash).
+    // Adds a message for the username box when someone else already has it.
+    const USERNAME_TAKEN = "Another account already uses that username.";
+    const withUsernameCheck = async (values, errors, exceptId = null) => {
+        if (!values.username || (errors && errors.username)) return errors;
+        const taken = await db("users")
+            .where({ username: values.username })
+            .whereNull("deletion_id")
+            .modify(query => { if (exceptId) query.whereNot({ user_id: exceptId }); })
+            .first();
+        return taken ? { ...errors, username: USERNAME_TAKEN } : errors;
+    };
+
+    const renderAddUser = async (req, res, values = {}, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("users_add", {
+            participants: await participantChoices(), roles: assignableRoles(req), values, errors
+        });
+    };
+    const renderEditUser = async (req, res, userToEdit, errors = {}) => {
+        res.status(Object.keys(errors).length ? 400 : 200).render("users_edit", {
+            userToEdit, participants: await participantChoices(), roles: assignableRoles(req), currentRole: normalizeRole(userToEdit.role),
+            history: await historyFor(req, "users", userToEdit.user_id), errors
+        });
+    };
+
+    app.get("/users/add", authorize('users.create'), (req, res) => renderAddUser(req, res, { role: "participant" }));
+    app.post("/users/add", authorize('users.create'), async (req, res) => {
+        const roleError = roleChangeError(req.session.role, req.body.role);
+        if (roleError) return res.status(403).send(roleError);
+
+        const { values, errors: problems } = validate(SCHEMAS.users, req.body);
+        const errors = await withUsernameCheck(values, problems);
+        // The password box is left empty when the form is shown again
+        if (errors) return renderAddUser(req, res, { ...req.body, password: "" }, errors);
+        await audit.create(db, actorFromRequest(req), "users", { ...values, password: await hashPassword(values.password) });
+        res.redirect("/users");
+    });
+    app.get("/users/edit/:id", authorize('users.edit'), async (req, res) => {
+        const userToEdit = await db("users").where({ user_id: req.params.id }).whereNull("deletion_id").first();
+        if (!userToEdit) return res.redirect("/users");
+        await renderEditUser(req, res, userToEdit);
+    });
+    app.post("/users/edit/:id", authorize('users.edit'), async (req, res) => {
+        const existing = await db("users").where({ user_id: req.params.id }).whereNull("deletion_id").first();
+        if (!existing) return res.status(404).send("User not found.");
+        const roleError = roleChangeError(req.session.role, req.body.role, existing.role);
+        if (roleError) return res.status(403).send(roleError);
+
+        // We can't show the old password anymore, so a blank box means "keep the current one"
+        const body = { ...req.body, password: req.body.password || undefined };
+        const { values, errors: problems } = validate(SCHEMAS.users, body, { partial: true, existing });
+        const errors = await withUsernameCheck(values, problems, req.params.id);
+        if (errors) return renderEditUser(req, res, withTyped(SCHEMAS.users, existing, { ...body, password: undefined }), errors);
+
+        if (values.password) values.password = await hashPassword(values.password);
+        await audit.update(db, actorFromRequest(req), "users", req.params.id, values);
+        res.redirect("/users");
+    });
+    app.post("/users/delete/:id", authorize('users.delete'), async (req, res) => {
+        if (parseInt(req.params.id) === req.session.user_id) return res.status(400).send("Cannot delete self."); 
+        const existing = await db("users").where({ user_id: req.params.id }).first();
+        if (existing && normalizeRole(existing.role) === 'admin' && !req.can('users.assign_admin')) {
+            return res.status(403).send("Only administrators can manage administrator accounts.");
+        }
+        await trash.remove(actorFromRequest(req), "users", req.params.id);
+        res.redirect("/users");
+    });
+
+    // --- AUDIT LOG ---
+    // Who added, changed or deleted what, and when (see lib/audit.js). Newest changes first.
+    // e.g. /audit?entity=donations&action=delete&from=2025-01-01&q=boss
+    app.get("/audit", authorize('audit.view'), async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 100;
+        const searchQuery = req.query.q;
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "") && isRealDate(value) ? value : null;
+
+        // Anything we don't recognize is ignored instead of being passed to the database
+        const filters = {
+            entity: AUDITED_ENTITIES[req.query.entity] ? req.query.entity : null,
+            entityId: /^\d+$/.test(req.query.entity_id || "") ? req.query.entity_id : null,
+            action: AUDIT_ACTIONS.includes(req.query.action) ? req.query.action : null,
+            source: AUDIT_SOURCES.includes(req.query.source) ? req.query.source : null,
+            from: isDate(req.query.from),
+            to: isDate(req.query.to)
+        };
+
+        try {
+            const { rows, totalPages } = await listQueries.fetchPage("audit", { search: searchQuery, filters, page, limit });
+            res.render("audit_log", {
+                entries: rows,
+                entities: AUDITED_ENTITIES,
+                actions: AUDIT_ACTIONS,
+                sources: AUDIT_SOURCES,
+                filters,
+                query: searchQuery,
+                currentPage: page,
+                totalPages
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error fetching audit log");
+        }
+    });
+
+    // --- TRASH ---
+    // Everything that was deleted, until it's restored or purged (see lib/trash.js).
+    app.get("/trash", authorize('trash.manage'), async (req, res) => {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 100;
+        const searchQuery = req.query.q;
+        const entity = TRASHABLE_ENTITIES[req.query.entity] ? req.query.entity : null;
+
+        try {
+            const { rows, totalPages } = await listQueries.fetchPage("trash", { search: searchQuery, filters: { entity }, page, limit });
+            res.render("trash", {
+                deletions: rows,
+                contents: await trash.contents(rows.map(d => d.deletion_id)),
+                entities: TRASHABLE_ENTITIES,
+                entity,
+                retentionDays: await trash.getRetentionDays(),
+                notice: req.query.notice || null,
+                error_message: req.query.error || null,
+                query: searchQuery,
+                currentPage: page,
+                totalPages
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error fetching trash");
+        }
+    });
+
+    // Puts a record back (with everything that was deleted along with it)
+    app.post("/trash/restore/:id", authorize('trash.manage'), async (req, res) => {
+        try {
+            const deletion = await trash.restore(req.params.id, actorFromRequest(req));
+            const notice = deletion ? `Restored ${deletion.description}.` : "That item is no longer in the trash.";
+            res.redirect(`/trash?notice=${encodeURIComponent(notice)}`);
+        } catch (err) {
+            if (err instanceof UserError) {
+                return res.redirect(`/trash?error=${encodeURIComponent(err.message)}`);
+            }
+            console.error("Restore Error:", err);
+            res.status(500).send("Error restoring from the trash");
+        }
+    });
+
+    // Deletes one item for good. There's no undo after this.
+    app.post("/trash/purge/:id", authorize('trash.manage'), async (req, res) => {
+        try {
+            await trash.purge(req.params.id, actorFromRequest(req));
+            res.redirect(`/trash?notice=${encodeURIComponent("Deleted permanently.")}`);
+        } catch (err) {
+            console.error("Purge Error:", err);
+            res.status(500).send("Error deleting from the trash");
+        }
+    });
+
+    // How long the trash keeps things before the purge job deletes them for good. 0 keeps them forever.
+    app.post("/trash/settings", authorize('trash.manage'), async (req, res) => {
+        const days = parseInt(req.body.retention_days);
+        if (Number.isNaN(days) || days < 0 || days > 3650) {
+            return res.redirect(`/trash?error=${encodeURIComponent("Enter a number of days between 0 and 3650.")}`);
+        }
+        await trash.setRetentionDays(days);
+        res.redirect(`/trash?notice=${encodeURIComponent(days === 0 ? "The trash now keeps everything until you delete it." : `The trash now keeps things for ${days} days.`)}`);
+    });
+
+    // Runs the purge right away instead of waiting for the job
+    app.post("/trash/purge-expired", authorize('trash.manage'), async (req, res) => {
+        const purged = await trash.purgeExpired(actorFromRequest(req));
+        res.redirect(`/trash?notice=${encodeURIComponent(`Permanently deleted ${purged} expired item(s).`)}`);
+    });
+
+    // --- LIST EXPORTS ---
+    // Every list page has Export buttons that download ALL the rows matching the current search, not just one page.
+    // e.g. /donations/export?format=xlsx&q=2025
+    // The query comes from lib/lists.js, so you get exactly the rows (and only the rows) you'd see on the page.
+    EXPORTABLE_LISTS.forEach(name => {
+        app.get(`/${name}/export`, authorize(`${name}.view`), async (req, res) => {
+            const format = EXPORT_FORMATS[req.query.format] ? req.query.format : "csv";
+            const scope = listScope(req, name);
+
+            try {
+                const query = listQueries.buildQuery(name, { scope, search: req.query.q });
+                await streamExport(res, { name, format, query, scope });
+            } catch (err) {
+                console.error("Export Error:", err);
+                // Once the download has started we can't send an error page, so just cut it off
+                if (res.headersSent) return res.destroy();
+                res.status(500).send(`Error exporting ${name}`);
+            }
+        });
+    });
+
+    // --- CSV IMPORT ---
+    // Managers upload a spreadsheet, tell us which column is which, look at a dry-run preview,
+    // then save everything at once. The rules for each type of import live in lib/importer.js.
+    // Between steps we keep the uploaded rows in the session, so the file only has to be uploaded once.
+
+    // Step 1: Pick what you're importing and choose the file.
+    app.get("/import", authorize('imports.run'), (req, res) => {
+        // After a successful import we come back here with the totals in the URL
+        const summary = req.query.type && IMPORT_TYPES[req.query.type] ? {
+            label: IMPORT_TYPES[req.query.type].label,
+            created: parseInt(req.query.created) || 0,
+            updated: parseInt(req.query.updated) || 0,
+            skipped: parseInt(req.query.skipped) || 0,
+            rejected: parseInt(req.query.rejected) || 0
+        } : null;
+        res.render("import", { types: IMPORT_TYPES, summary, error_message: null });
+    });
+
+    // Runs the CSV upload, but turns multer's complaints (like a file over 5MB) into req.uploadError,
+    // the same way pictureUpload() does, so people get the import page back with a message.
+    const csvFileUpload = (field) => (req, res, next) => csvUpload.single(field)(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            req.uploadError = err.code === "LIMIT_FILE_SIZE"
+                ? `That file is too big. Please upload one under ${MAX_CSV_BYTES / 1024 / 1024}MB, or split it into smaller files.`
+                : "Please upload one CSV file at a time.";
+            return next();
+        }
+        next(err);
+    });
+
+    // Step 2: Read the file and ask which column goes with which field (we guess from the headers).
+    app.post("/import/upload", authorize('imports.run'), csvFileUpload('csv_file'), (req, res) => {
+        const type = req.body.type;
+        const fail = (message) => res.status(400).render("import", { types: IMPORT_TYPES, summary: null, error_message: message });
+
+        if (req.uploadError) return fail(req.uploadError);
+        if (!IMPORT_TYPES[type]) return fail("Please choose what kind of records you're importing.");
+        if (!req.file) return fail("Please choose a CSV file to upload.");
+
+        const { headers, records } = parseCsvWithHeaders(req.file.buffer.toString("utf8"));
+        if (headers.length === 0 || records.length === 0) return fail("That file doesn't have a header row and at least one row of data.");
+        if (records.length > MAX_IMPORT_ROWS) return fail(`That file has ${records.length} rows. Please split it into files of ${MAX_IMPORT_ROWS} rows or fewer.`);
+
+        req.session.csvImport = { type, fileName: req.file.originalname, headers, records };
+        req.session.save(() => res.render("import_map", {
+            type,
+            typeInfo: IMPORT_TYPES[type],
+            fileName: req.file.originalname,
+            headers,
+            rowCount: records.length,
+            mapping: guessMapping(type, headers)
+        }));
+    });
+
+    // Reads the "which column is which" choices from the mapping form. Each field comes in as map_<field>.
+    const readMapping = (type, body, headers) => {
+        const mapping = {};
+        IMPORT_TYPES[type].fields.forEach(field => {
+            const header = body[`map_${field.key}`];
+            if (header && headers.includes(header)) mapping[field.key] = header;
+        });
+        return mapping;
+    };
+
+    // Step 3: The dry run. Shows what every row would do, without saving anything.
+    app.post("/import/preview", authorize('imports.run'), async (req, res) => {
+        const csvImport = req.session.csvImport;
+        if (!csvImport) return res.redirect("/import");
+
+        try {
+            const mapping = readMapping(csvImport.type, req.body, csvImport.headers);
+            const rows = await importer.planImport(db, csvImport.type, csvImport.records, mapping);
+
+            req.session.csvImport.mapping = mapping;
+            req.session.save(() => res.render("import_preview", {
+                type: csvImport.type,
+                typeInfo: IMPORT_TYPES[csvImport.type],
+                fileName: csvImport.fileName,
+                mapping,
+                rows,
+                counts: importer.summarize(rows)
+            }));
+        } catch (err) {
+            console.error("Import Preview Error:", err);
+            res.status(500).send("Error previewing import");
+        }
+    });
+
+    // Step 4: Save it. Everything happens in one transaction, so it's all-or-nothing.
+    app.post("/import/commit", authorize('imports.run'), async (req, res) => {
+        const csvImport = req.session.csvImport;
+        if (!csvImport || !csvImport.mapping) return res.redirect("/import");
+
+        try {
+            const counts = await importer.runImport(csvImport.type, csvImport.records, csvImport.mapping,
+                { ...actorFromRequest(req), source: "import" });
+            delete req.session.csvImport;
+            const query = new URLSearchParams({
+                type: csvImport.type,
+                created: counts.create,
+                updated: counts.update,
+                skipped: counts.skip,
+                rejected: counts.reject
+            });
+            req.session.save(() => res.redirect(`/import?${query}`));
+        } catch (err) {
+            console.error("Import Error:", err);
+            res.status(500).send("Error importing file. Nothing was saved.");
+        }
+    });
+
+    // --- API TOKENS ---
+    // Anyone who is logged in can make tokens for their own scripts. A token acts as that person,
+    // with the same role and permissions, so it only sees what they could see on the website.
+    app.get("/api-tokens", authorize(), async (req, res) => {
+        try {
+            const tokens = await db("api_tokens")
+                .where({ user_id: req.session.user_id })
+                .whereNull("revoked_at")
+                .orderBy("created_at", "desc");
+            res.render("api_tokens", { tokens, newToken: null });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error loading API tokens");
+        }
+    });
+
+    // Creates a token and shows it exactly once. We only keep a hash, so it can't be shown again later.
+    app.post("/api-tokens/add", authorize(), async (req, res) => {
+        try {
+            const token = generateApiToken();
+            await db("api_tokens").insert({
+                user_id: req.session.user_id,
+                token_name: (req.body.token_name || "").trim() || "Unnamed token",
+                token_hash: hashApiToken(token)
+            });
+            const tokens = await db("api_tokens")
+                .where({ user_id: req.session.user_id })
+                .whereNull("revoked_at")
+                .orderBy("created_at", "desc");
+            res.render("api_tokens", { tokens, newToken: token });
+        } catch (err) {
+            console.error(err);
+            res.status(500).send("Error creating API token");
+        }
+    });
+
+    // Revokes a token right away. Scripts using it will start getting 401 errors.
+    app.post("/api-tokens/delete/:id", authorize(), async (req, res) => {
+        await db("api_tokens")
+            .where({ api_token_id: req.params.id, user_id: req.session.user_id })
+            .update({ revoked_at: new Date() });
+        res.redirect("/api-tokens");
+    });
+
+    // A fun little "I'm a teapot" route for testing or curiosity
+    app.get("/teapot", authorize(), (req, res) => res.status(418).render("teapot"));
+
+    // The background jobs, for index.js to start (tests leave them off)
+    return { app, jobs: { pledges, trash, surveyInvitations } };
+}
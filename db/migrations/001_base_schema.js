@@ -0,0 +1,119 @@
+// Base Schema
+// The tables the app started with, before any of the later migrations. On RDS these were created by hand,
+// so this is what the code expects them to look like (IF NOT EXISTS leaves the live ones alone).
+//   participants  - everyone we work with (girls in our programs, parents, donors, staff)
+//   users         - logins. A user can be linked to the participant they are.
+//   event_templates / locations / event_occurrences - our programs, where we hold them, and each session
+//   registrations - who signed up for which event
+//   surveys       - feedback after an event. nps_bucket_id sorts the "would you recommend us?" score (lib/nps.js).
+//   milestones    - achievements like "Enrolled" or "Graduated", one of the milestone_types
+// "profilePictureUrl" is camelCase (and needs quotes in SQL) because that's how the live column was named.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS participants (
+        participant_id SERIAL PRIMARY KEY,
+        first_name VARCHAR(100) NOT NULL,
+        last_name VARCHAR(100) NOT NULL,
+        email VARCHAR(255) UNIQUE,
+        phone VARCHAR(30),
+        dob DATE,
+        city VARCHAR(100),
+        state VARCHAR(50),
+        zip_code VARCHAR(20),
+        school_or_employer VARCHAR(200),
+        "profilePictureUrl" TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+        user_id SERIAL PRIMARY KEY,
+        username VARCHAR(100) NOT NULL UNIQUE,
+        password VARCHAR(50) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'user',
+        participant_id INTEGER REFERENCES participants(participant_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS donations (
+        donation_id SERIAL PRIMARY KEY,
+        participant_id INTEGER REFERENCES participants(participant_id),
+        donation_date DATE,
+        donation_amount NUMERIC(10, 2) CHECK (donation_amount >= 0)
+    );
+
+    CREATE TABLE IF NOT EXISTS event_templates (
+        event_template_id SERIAL PRIMARY KEY,
+        event_name VARCHAR(200) NOT NULL,
+        event_description TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS locations (
+        location_id SERIAL PRIMARY KEY,
+        location_name VARCHAR(200) NOT NULL
+    );
+
+    -- capacity is how many people can register (NULL = no limit)
+    CREATE TABLE IF NOT EXISTS event_occurrences (
+        event_occurrence_id SERIAL PRIMARY KEY,
+        event_template_id INTEGER NOT NULL REFERENCES event_templates(event_template_id),
+        location_id INTEGER REFERENCES locations(location_id),
+        start_time TIMESTAMP NOT NULL,
+        end_time TIMESTAMP,
+        capacity INTEGER CHECK (capacity > 0),
+        CHECK (end_time IS NULL OR end_time >= start_time)
+    );
+
+    CREATE TABLE IF NOT EXISTS registrations (
+        registration_id SERIAL PRIMARY KEY,
+        participant_id INTEGER NOT NULL REFERENCES participants(participant_id),
+        event_occurrence_id INTEGER NOT NULL REFERENCES event_occurrences(event_occurrence_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS nps_buckets (
+        nps_bucket_id INTEGER PRIMARY KEY,
+        nps_bucket_name VARCHAR(50) NOT NULL
+    );
+    -- The ids match NPS_BUCKETS in lib/nps.js
+    INSERT INTO nps_buckets (nps_bucket_id, nps_bucket_name)
+    VALUES (1, 'Detractor'), (2, 'Passive'), (3, 'Promoter')
+    ON CONFLICT (nps_bucket_id) DO NOTHING;
+
+    -- Scores are 1 (worst) to 5 (best)
+    CREATE TABLE IF NOT EXISTS surveys (
+        survey_id SERIAL PRIMARY KEY,
+        participant_id INTEGER REFERENCES participants(participant_id),
+        event_occurrence_id INTEGER REFERENCES event_occurrences(event_occurrence_id),
+        score_satisfaction INTEGER CHECK (score_satisfaction BETWEEN 1 AND 5),
+        score_usefulness INTEGER CHECK (score_usefulness BETWEEN 1 AND 5),
+        score_instructor INTEGER CHECK (score_instructor BETWEEN 1 AND 5),
+        score_recommendation INTEGER CHECK (score_recommendation BETWEEN 1 AND 5),
+        score_overall INTEGER CHECK (score_overall BETWEEN 1 AND 5),
+        nps_bucket_id INTEGER REFERENCES nps_buckets(nps_bucket_id),
+        comments TEXT,
+        submission_date TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS milestone_types (
+        milestone_type_id SERIAL PRIMARY KEY,
+        milestone_title VARCHAR(200) NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS milestones (
+        milestone_id SERIAL PRIMARY KEY,
+        participant_id INTEGER NOT NULL REFERENCES participants(participant_id),
+        milestone_type_id INTEGER NOT NULL REFERENCES milestone_types(milestone_type_id),
+        milestone_date DATE
+    );
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS milestones;
+    DROP TABLE IF EXISTS milestone_types;
+    DROP TABLE IF EXISTS surveys;
+    DROP TABLE IF EXISTS nps_buckets;
+    DROP TABLE IF EXISTS registrations;
+    DROP TABLE IF EXISTS event_occurrences;
+    DROP TABLE IF EXISTS locations;
+    DROP TABLE IF EXISTS event_templates;
+    DROP TABLE IF EXISTS donations;
+    DROP TABLE IF EXISTS users;
+    DROP TABLE IF EXISTS participants;
+`);
@@ -0,0 +1,23 @@
+// Event Registration & Waitlist
+// Participants now register themselves. A registration is either holding a seat ('registered'),
+// waiting for one ('waitlisted'), or was given up ('cancelled'). We keep cancelled rows instead of
+// deleting them so we can still see who dropped out.
+// The registration_date decides the order of the waitlist: first come, first served.
+
+export const up = (knex) => knex.raw(`
+    ALTER TABLE registrations ADD COLUMN IF NOT EXISTS registration_status VARCHAR(20) NOT NULL DEFAULT 'registered';
+    ALTER TABLE registrations ADD COLUMN IF NOT EXISTS registration_date TIMESTAMP NOT NULL DEFAULT NOW();
+
+    -- A person can only have one registration row per event. Re-registering after a cancel reuses it.
+    CREATE UNIQUE INDEX IF NOT EXISTS registrations_participant_event_unique
+        ON registrations (participant_id, event_occurrence_id);
+    CREATE INDEX IF NOT EXISTS registrations_event_status_idx
+        ON registrations (event_occurrence_id, registration_status, registration_date);
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP INDEX IF EXISTS registrations_event_status_idx;
+    DROP INDEX IF EXISTS registrations_participant_event_unique;
+    ALTER TABLE registrations DROP COLUMN IF EXISTS registration_date;
+    ALTER TABLE registrations DROP COLUMN IF EXISTS registration_status;
+`);
@@ -0,0 +1,24 @@
+// Password Hashing & Resets
+// Passwords are now stored as scrypt hashes (about 180 characters), so the column needs room for them.
+// Existing plain-text passwords keep working and get hashed automatically the next time that person logs in.
+
+export const up = (knex) => knex.raw(`
+    ALTER TABLE users ALTER COLUMN password TYPE TEXT;
+
+    -- One row per "forgot password" request. We only keep a SHA-256 hash of the token that was emailed,
+    -- so someone reading this table can't use it to reset anyone's password.
+    CREATE TABLE IF NOT EXISTS password_resets (
+        password_reset_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS password_resets_user_idx ON password_resets (user_id);
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS password_resets;
+    -- Hashed passwords don't fit the old column, so users.password stays TEXT.
+`);
@@ -0,0 +1,13 @@
+// Roles & Permissions
+// What each role is allowed to do lives in lib/permissions.js. The database only stores the role name.
+// The old 'user' role is now called 'participant' (the app still understands 'user' for any rows we miss),
+// and the special 'superuser' login becomes a proper administrator instead of being checked by name.
+
+export const up = (knex) => knex.raw(`
+    UPDATE users SET role = 'participant' WHERE role = 'user';
+    UPDATE users SET role = 'admin' WHERE username = 'superuser';
+`);
+
+export const down = (knex) => knex.raw(`
+    UPDATE users SET role = 'user' WHERE role = 'participant';
+`);
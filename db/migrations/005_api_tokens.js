@@ -0,0 +1,20 @@
+// JSON API Tokens
+// Scripts call /api/v1 with "Authorization: Bearer <token>". Like reset tokens, we only store a SHA-256 hash.
+// Revoked tokens are kept (with revoked_at set) so we can still see what used to have access.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+        api_token_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        token_name VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS api_tokens_user_idx ON api_tokens (user_id);
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS api_tokens;
+`);
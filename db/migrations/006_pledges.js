@@ -0,0 +1,37 @@
+// Pledges & Recurring Donations
+// A pledge is a promise to give: once, or on a schedule (monthly, quarterly or annual) between two dates.
+// Each payment we expect is a row in pledge_installments, created by the pledge job in lib/pledges.js
+// as it comes due. When the money arrives we record a normal donation and link it to the installment,
+// so receipts, exports and the dashboard keep working off the donations table alone.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS pledges (
+        pledge_id SERIAL PRIMARY KEY,
+        participant_id INTEGER NOT NULL REFERENCES participants(participant_id),
+        pledge_amount NUMERIC(10, 2) NOT NULL CHECK (pledge_amount > 0),
+        frequency VARCHAR(20) NOT NULL DEFAULT 'monthly',
+        start_date DATE NOT NULL,
+        end_date DATE,
+        notes TEXT,
+        cancelled_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS pledges_participant_idx ON pledges (participant_id);
+
+    -- One row per expected payment. donation_id stays empty until the payment is recorded.
+    -- If that donation is later deleted (refunded), the installment simply goes back to unpaid.
+    CREATE TABLE IF NOT EXISTS pledge_installments (
+        pledge_installment_id SERIAL PRIMARY KEY,
+        pledge_id INTEGER NOT NULL REFERENCES pledges(pledge_id) ON DELETE CASCADE,
+        due_date DATE NOT NULL,
+        expected_amount NUMERIC(10, 2) NOT NULL,
+        donation_id INTEGER REFERENCES donations(donation_id) ON DELETE SET NULL,
+        UNIQUE (pledge_id, due_date)
+    );
+    CREATE INDEX IF NOT EXISTS pledge_installments_donation_idx ON pledge_installments (donation_id);
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS pledge_installments;
+    DROP TABLE IF EXISTS pledges;
+`);
@@ -0,0 +1,45 @@
+// Online Payments
+// Every checkout on the public donate page starts as a 'pending' payment. The payment provider's webhook
+// moves it to 'succeeded' (and only then do we add the donation), 'failed', or later 'refunded'.
+// The donor's details wait here until the payment succeeds, so abandoned checkouts don't create participants.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS payments (
+        payment_id SERIAL PRIMARY KEY,
+        provider VARCHAR(30) NOT NULL,
+        provider_reference VARCHAR(255),
+        payment_status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+        currency CHAR(3) NOT NULL DEFAULT 'usd',
+        donor_first_name VARCHAR(100),
+        donor_last_name VARCHAR(100),
+        donor_email VARCHAR(255),
+        participant_id INTEGER REFERENCES participants(participant_id) ON DELETE SET NULL,
+        donation_id INTEGER REFERENCES donations(donation_id) ON DELETE SET NULL,
+        failure_reason TEXT,
+        refunded_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        refunded_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (provider, provider_reference)
+    );
+    CREATE INDEX IF NOT EXISTS payments_donation_idx ON payments (donation_id);
+
+    -- Every webhook message we've handled. Providers retry messages, so the unique event id is what
+    -- keeps a payment from being recorded twice.
+    CREATE TABLE IF NOT EXISTS payment_events (
+        payment_event_id SERIAL PRIMARY KEY,
+        provider VARCHAR(30) NOT NULL,
+        provider_event_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+        payload JSONB,
+        received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (provider, provider_event_id)
+    );
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS payment_events;
+    DROP TABLE IF EXISTS payments;
+`);
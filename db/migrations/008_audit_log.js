@@ -0,0 +1,39 @@
+// Audit Log
+// One row for every create, update and delete (see lib/audit.js). before_values/after_values hold the
+// record's columns as JSON: the whole row for creates and deletes, only the changed columns for updates.
+// actor_user_id has no foreign key on purpose: the history has to survive the account being deleted.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+        audit_id BIGSERIAL PRIMARY KEY,
+        occurred_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        actor_user_id INTEGER,
+        actor_username VARCHAR(100),
+        source VARCHAR(20) NOT NULL DEFAULT 'web',
+        entity VARCHAR(50) NOT NULL,
+        entity_id INTEGER,
+        action VARCHAR(10) NOT NULL,
+        before_values JSONB,
+        after_values JSONB
+    );
+    CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity, entity_id);
+    CREATE INDEX IF NOT EXISTS audit_log_occurred_idx ON audit_log (occurred_at);
+    CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor_user_id);
+
+    -- Append-only: any attempt to change or delete an audit row is refused by the database.
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS audit_log_no_changes ON audit_log;
+    CREATE TRIGGER audit_log_no_changes
+        BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS audit_log;
+    DROP FUNCTION IF EXISTS audit_log_append_only();
+`);
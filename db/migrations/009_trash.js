@@ -0,0 +1,66 @@
+// Trash (Soft Delete)
+// Delete buttons now move records to the trash instead of removing them (see lib/trash.js).
+// One row per Delete click. Everything that went to the trash with it (a participant's donations,
+// an event's registrations, ...) points back to the same row, so it can all be restored together.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS deletions (
+        deletion_id SERIAL PRIMARY KEY,
+        entity VARCHAR(50) NOT NULL,
+        entity_id INTEGER NOT NULL,
+        description TEXT,
+        deleted_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        deleted_by_user_id INTEGER,
+        deleted_by_username VARCHAR(100)
+    );
+    CREATE INDEX IF NOT EXISTS deletions_deleted_at_idx ON deletions (deleted_at);
+
+    -- A record is in the trash when its deletion_id is set. Every query in the app skips those rows.
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS deletion_id INTEGER REFERENCES deletions(deletion_id);
+    ALTER TABLE donations ADD COLUMN IF NOT EXISTS deletion_id INTEGER REFERENCES deletions(deletion_id);
+    ALTER TABLE pledges ADD COLUMN IF NOT EXISTS deletion_id INTEGER REFERENCES deletions(deletion_id);
+    ALTER TABLE surveys ADD COLUMN IF NOT EXISTS deletion_id INTEGER REFERENCES deletions(deletion_id);
+    ALTER TABLE event_occurrences ADD COLUMN IF NOT EXISTS deletion_id INTEGER REFERENCES deletions(deletion_id);
+    ALTER TABLE registrations ADD COLUMN IF NOT EXISTS deletion_id INTEGER REFERENCES deletions(deletion_id);
+    ALTER TABLE milestones ADD COLUMN IF NOT EXISTS deletion_id INTEGER REFERENCES deletions(deletion_id);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_id INTEGER REFERENCES deletions(deletion_id);
+    CREATE INDEX IF NOT EXISTS participants_deletion_idx ON participants (deletion_id);
+    CREATE INDEX IF NOT EXISTS donations_deletion_idx ON donations (deletion_id);
+    CREATE INDEX IF NOT EXISTS pledges_deletion_idx ON pledges (deletion_id);
+    CREATE INDEX IF NOT EXISTS surveys_deletion_idx ON surveys (deletion_id);
+    CREATE INDEX IF NOT EXISTS event_occurrences_deletion_idx ON event_occurrences (deletion_id);
+    CREATE INDEX IF NOT EXISTS registrations_deletion_idx ON registrations (deletion_id);
+    CREATE INDEX IF NOT EXISTS milestones_deletion_idx ON milestones (deletion_id);
+    CREATE INDEX IF NOT EXISTS users_deletion_idx ON users (deletion_id);
+
+    -- Emails and usernames only have to be unique among records that aren't in the trash, so someone
+    -- can sign up again with the email of a deleted participant.
+    ALTER TABLE participants DROP CONSTRAINT IF EXISTS participants_email_key;
+    CREATE UNIQUE INDEX IF NOT EXISTS participants_email_active_unique ON participants (email) WHERE deletion_id IS NULL;
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_username_key;
+    CREATE UNIQUE INDEX IF NOT EXISTS users_username_active_unique ON users (username) WHERE deletion_id IS NULL;
+
+    -- Settings managers can change from inside the app (like how long the trash keeps things).
+    CREATE TABLE IF NOT EXISTS app_settings (
+        setting_key VARCHAR(100) PRIMARY KEY,
+        setting_value TEXT,
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS app_settings;
+    DROP INDEX IF EXISTS users_username_active_unique;
+    DROP INDEX IF EXISTS participants_email_active_unique;
+    ALTER TABLE users DROP COLUMN IF EXISTS deletion_id;
+    ALTER TABLE milestones DROP COLUMN IF EXISTS deletion_id;
+    ALTER TABLE registrations DROP COLUMN IF EXISTS deletion_id;
+    ALTER TABLE event_occurrences DROP COLUMN IF EXISTS deletion_id;
+    ALTER TABLE surveys DROP COLUMN IF EXISTS deletion_id;
+    ALTER TABLE pledges DROP COLUMN IF EXISTS deletion_id;
+    ALTER TABLE donations DROP COLUMN IF EXISTS deletion_id;
+    ALTER TABLE participants DROP COLUMN IF EXISTS deletion_id;
+    DROP TABLE IF EXISTS deletions;
+    ALTER TABLE participants ADD CONSTRAINT participants_email_key UNIQUE (email);
+    ALTER TABLE users ADD CONSTRAINT users_username_key UNIQUE (username);
+`);
@@ -0,0 +1,18 @@
+// Duplicate Participants
+// Pairs of participants someone checked and marked "not the same person" on the duplicates page
+// (see lib/duplicates.js), so they stop showing up. The smaller id is always participant_id_a.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+        participant_id_a INTEGER NOT NULL REFERENCES participants(participant_id) ON DELETE CASCADE,
+        participant_id_b INTEGER NOT NULL REFERENCES participants(participant_id) ON DELETE CASCADE,
+        dismissed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        dismissed_by_user_id INTEGER,
+        PRIMARY KEY (participant_id_a, participant_id_b),
+        CHECK (participant_id_a < participant_id_b)
+    );
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS duplicate_dismissals;
+`);
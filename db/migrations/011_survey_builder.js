@@ -0,0 +1,80 @@
+// Survey Builder
+// Managers design their own feedback forms (see lib/surveys.js). A survey template is a list of questions;
+// each event template can pick which survey its events use. Events without one get the default survey.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS survey_templates (
+        survey_template_id SERIAL PRIMARY KEY,
+        template_name VARCHAR(200) NOT NULL,
+        description TEXT,
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+    -- Only one survey can be the default
+    CREATE UNIQUE INDEX IF NOT EXISTS survey_templates_one_default ON survey_templates (is_default) WHERE is_default;
+
+    -- question_type: 'rating' (1-5), 'choice' (pick one of "choices"), 'text', or 'yes_no'.
+    -- is_recommend marks the "would you recommend us?" rating that decides the NPS bucket (one per survey).
+    -- survey_column copies the answer into that column of the surveys table too, so the Survey Reports page
+    -- and exports keep working with custom forms (e.g. 'score_satisfaction').
+    CREATE TABLE IF NOT EXISTS survey_questions (
+        question_id SERIAL PRIMARY KEY,
+        survey_template_id INTEGER NOT NULL REFERENCES survey_templates(survey_template_id) ON DELETE CASCADE,
+        question_text TEXT NOT NULL,
+        question_type VARCHAR(20) NOT NULL CHECK (question_type IN ('rating', 'choice', 'text', 'yes_no')),
+        choices JSONB,
+        low_label VARCHAR(100),
+        high_label VARCHAR(100),
+        is_required BOOLEAN NOT NULL DEFAULT TRUE,
+        is_recommend BOOLEAN NOT NULL DEFAULT FALSE,
+        survey_column VARCHAR(50),
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        CHECK (NOT is_recommend OR question_type = 'rating')
+    );
+    CREATE INDEX IF NOT EXISTS survey_questions_template_idx ON survey_questions (survey_template_id, sort_order);
+    CREATE UNIQUE INDEX IF NOT EXISTS survey_questions_one_recommend ON survey_questions (survey_template_id) WHERE is_recommend;
+
+    ALTER TABLE event_templates ADD COLUMN IF NOT EXISTS survey_template_id INTEGER REFERENCES survey_templates(survey_template_id) ON DELETE SET NULL;
+
+    -- Which form a response was filled out on. Responses from before the builder have none and keep
+    -- using the score_* columns.
+    ALTER TABLE surveys ADD COLUMN IF NOT EXISTS survey_template_id INTEGER REFERENCES survey_templates(survey_template_id);
+
+    -- One row per answered question. The question's wording is copied in, so old responses still read
+    -- correctly after a manager rewords or removes a question.
+    CREATE TABLE IF NOT EXISTS survey_answers (
+        survey_answer_id SERIAL PRIMARY KEY,
+        survey_id INTEGER NOT NULL REFERENCES surveys(survey_id) ON DELETE CASCADE,
+        question_id INTEGER REFERENCES survey_questions(question_id) ON DELETE SET NULL,
+        question_text TEXT NOT NULL,
+        question_type VARCHAR(20) NOT NULL,
+        answer_value TEXT
+    );
+    CREATE INDEX IF NOT EXISTS survey_answers_survey_idx ON survey_answers (survey_id);
+
+    -- The original five questions become the default survey, so nothing changes until a manager edits it.
+    INSERT INTO survey_templates (template_name, description, is_default)
+    SELECT 'Event Feedback', 'The standard questions for every event.', TRUE
+    WHERE NOT EXISTS (SELECT 1 FROM survey_templates);
+
+    INSERT INTO survey_questions (survey_template_id, question_text, question_type, low_label, high_label, is_required, is_recommend, survey_column, sort_order)
+    SELECT t.survey_template_id, q.question_text, q.question_type, q.low_label, q.high_label, q.is_required, q.is_recommend, q.survey_column, q.sort_order
+    FROM survey_templates t
+    CROSS JOIN (VALUES
+        ('How satisfied were you?', 'rating', 'Not Satisfied', 'Very Satisfied', TRUE, FALSE, 'score_satisfaction', 1),
+        ('Was the content useful?', 'rating', 'Not Useful', 'Very Useful', TRUE, FALSE, 'score_usefulness', 2),
+        ('Instructor/Speaker Quality:', 'rating', 'Poor', 'Excellent', TRUE, FALSE, 'score_instructor', 3),
+        ('Likelihood to recommend?', 'rating', 'Unlikely', 'Very Likely', TRUE, TRUE, NULL, 4),
+        ('Overall Experience:', 'rating', 'Poor', 'Great', TRUE, FALSE, 'score_overall', 5),
+        ('Additional Comments', 'text', NULL, NULL, FALSE, FALSE, 'comments', 6)
+    ) AS q (question_text, question_type, low_label, high_label, is_required, is_recommend, survey_column, sort_order)
+    WHERE t.is_default AND NOT EXISTS (SELECT 1 FROM survey_questions);
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS survey_answers;
+    ALTER TABLE surveys DROP COLUMN IF EXISTS survey_template_id;
+    ALTER TABLE event_templates DROP COLUMN IF EXISTS survey_template_id;
+    DROP TABLE IF EXISTS survey_questions;
+    DROP TABLE IF EXISTS survey_templates;
+`);
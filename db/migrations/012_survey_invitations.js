@@ -0,0 +1,18 @@
+// Survey Invitations
+// After an event ends, everyone who was registered gets an email with a link to its survey, and one
+// reminder later if they still haven't filled it out (see lib/invitations.js). One row per person per
+// event, so nobody is emailed twice.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS survey_invitations (
+        participant_id INTEGER NOT NULL REFERENCES participants(participant_id) ON DELETE CASCADE,
+        event_occurrence_id INTEGER NOT NULL REFERENCES event_occurrences(event_occurrence_id) ON DELETE CASCADE,
+        invited_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        reminded_at TIMESTAMP,
+        PRIMARY KEY (participant_id, event_occurrence_id)
+    );
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS survey_invitations;
+`);
@@ -0,0 +1,23 @@
+// Check-In & Attendance
+// Registrations say who signed up; checked_in_at says who actually came (see lib/checkin.js).
+// checkin_token is what's inside each person's QR code. Every registration gets its own random one.
+// Walk-ins are people who came without registering and were signed up at the door.
+
+export const up = (knex) => knex.raw(`
+    ALTER TABLE registrations ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP;
+    ALTER TABLE registrations ADD COLUMN IF NOT EXISTS checked_in_by_user_id INTEGER;
+    ALTER TABLE registrations ADD COLUMN IF NOT EXISTS is_walk_in BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE registrations ADD COLUMN IF NOT EXISTS checkin_token VARCHAR(64) DEFAULT md5(random()::text || clock_timestamp()::text);
+    UPDATE registrations SET checkin_token = md5(random()::text || clock_timestamp()::text || registration_id) WHERE checkin_token IS NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS registrations_checkin_token_unique ON registrations (checkin_token);
+    CREATE INDEX IF NOT EXISTS registrations_checked_in_idx ON registrations (event_occurrence_id) WHERE checked_in_at IS NOT NULL;
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP INDEX IF EXISTS registrations_checked_in_idx;
+    DROP INDEX IF EXISTS registrations_checkin_token_unique;
+    ALTER TABLE registrations DROP COLUMN IF EXISTS checkin_token;
+    ALTER TABLE registrations DROP COLUMN IF EXISTS is_walk_in;
+    ALTER TABLE registrations DROP COLUMN IF EXISTS checked_in_by_user_id;
+    ALTER TABLE registrations DROP COLUMN IF EXISTS checked_in_at;
+`);
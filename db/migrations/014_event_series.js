@@ -0,0 +1,32 @@
+// Recurring Event Series
+// A repeating event ("every Tuesday and Thursday until June", "the first Saturday of each month, 10 times")
+// is saved once as a rule here, and all of its event_occurrences are created from it (see lib/series.js).
+// frequency: 'weekly' (on the listed weekdays, 0 = Sunday) or 'monthly' (same day of the month, or
+// monthly_by = 'weekday' for "the 2nd Tuesday"). repeat_every is 2 for "every other week", etc.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS event_series (
+        event_series_id SERIAL PRIMARY KEY,
+        event_template_id INTEGER REFERENCES event_templates(event_template_id),
+        location_id INTEGER REFERENCES locations(location_id),
+        capacity INTEGER,
+        frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('weekly', 'monthly')),
+        repeat_every INTEGER NOT NULL DEFAULT 1 CHECK (repeat_every >= 1),
+        weekdays INTEGER[],
+        monthly_by VARCHAR(10) CHECK (monthly_by IN ('day', 'weekday')),
+        first_start TIMESTAMP NOT NULL,
+        duration_minutes INTEGER NOT NULL,
+        until_date DATE,
+        occurrence_count INTEGER,
+        skip_dates DATE[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    ALTER TABLE event_occurrences ADD COLUMN IF NOT EXISTS event_series_id INTEGER REFERENCES event_series(event_series_id);
+    CREATE INDEX IF NOT EXISTS event_occurrences_series_idx ON event_occurrences (event_series_id, start_time);
+`);
+
+export const down = (knex) => knex.raw(`
+    ALTER TABLE event_occurrences DROP COLUMN IF EXISTS event_series_id;
+    DROP TABLE IF EXISTS event_series;
+`);
@@ -0,0 +1,24 @@
+// Event Templates & Locations
+// Managers add and edit program types and venues on the Event Setup page (see lib/setup.js).
+// The defaults fill in the Add Event form. room_capacity is how many people fit, and no event at that
+// location can have a bigger capacity. Old events still point at templates and locations, so instead of
+// being deleted they are "retired": hidden from the Add Event form but still shown on past events.
+
+export const up = (knex) => knex.raw(`
+    ALTER TABLE event_templates ADD COLUMN IF NOT EXISTS default_duration_minutes INTEGER CHECK (default_duration_minutes > 0);
+    ALTER TABLE event_templates ADD COLUMN IF NOT EXISTS default_capacity INTEGER CHECK (default_capacity > 0);
+    ALTER TABLE event_templates ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP;
+
+    ALTER TABLE locations ADD COLUMN IF NOT EXISTS address TEXT;
+    ALTER TABLE locations ADD COLUMN IF NOT EXISTS room_capacity INTEGER CHECK (room_capacity > 0);
+    ALTER TABLE locations ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP;
+`);
+
+export const down = (knex) => knex.raw(`
+    ALTER TABLE locations DROP COLUMN IF EXISTS retired_at;
+    ALTER TABLE locations DROP COLUMN IF EXISTS room_capacity;
+    ALTER TABLE locations DROP COLUMN IF EXISTS address;
+    ALTER TABLE event_templates DROP COLUMN IF EXISTS retired_at;
+    ALTER TABLE event_templates DROP COLUMN IF EXISTS default_capacity;
+    ALTER TABLE event_templates DROP COLUMN IF EXISTS default_duration_minutes;
+`);
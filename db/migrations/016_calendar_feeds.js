@@ -0,0 +1,14 @@
+// Calendar Feeds
+// Each participant gets a private link to a calendar feed of the events they signed up for, so their
+// phone calendar can subscribe to it (see lib/calendar.js). Phones can't log in, so the random token in
+// the link is what keeps it private. Making a new link changes the token and the old one stops working.
+
+export const up = (knex) => knex.raw(`
+    ALTER TABLE participants ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) DEFAULT md5(random()::text || clock_timestamp()::text);
+    UPDATE participants SET calendar_token = md5(random()::text || clock_timestamp()::text || participant_id) WHERE calendar_token IS NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS participants_calendar_token_unique ON participants (calendar_token);
+`);
+
+export const down = (knex) => knex.raw(`
+    ALTER TABLE participants DROP COLUMN IF EXISTS calendar_token;
+`);
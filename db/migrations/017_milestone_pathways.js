@@ -0,0 +1,32 @@
+// Milestone Pathways
+// A pathway is an ordered list of milestones a participant works through, e.g. the STEAM program:
+// Enrolled -> First Project -> Mentorship -> Graduated (see lib/pathways.js).
+// Each step is one milestone type. target_days is how long a participant should take to reach it after
+// finishing the step before it (NULL = no deadline). prerequisite_step_ids are the steps that have to be
+// done first; empty means "just the step before it". Participants are on a pathway as soon as they reach
+// any of its milestones, so nothing extra has to be recorded for them.
+
+export const up = (knex) => knex.raw(`
+    CREATE TABLE IF NOT EXISTS milestone_pathways (
+        pathway_id SERIAL PRIMARY KEY,
+        pathway_name VARCHAR(200) NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS pathway_steps (
+        step_id SERIAL PRIMARY KEY,
+        pathway_id INTEGER NOT NULL REFERENCES milestone_pathways(pathway_id) ON DELETE CASCADE,
+        milestone_type_id INTEGER NOT NULL REFERENCES milestone_types(milestone_type_id),
+        step_order INTEGER NOT NULL,
+        target_days INTEGER CHECK (target_days > 0),
+        prerequisite_step_ids INTEGER[] NOT NULL DEFAULT '{}',
+        UNIQUE (pathway_id, milestone_type_id)
+    );
+    CREATE INDEX IF NOT EXISTS pathway_steps_pathway_idx ON pathway_steps (pathway_id, step_order);
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP TABLE IF EXISTS pathway_steps;
+    DROP TABLE IF EXISTS milestone_pathways;
+`);
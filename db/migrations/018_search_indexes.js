@@ -0,0 +1,51 @@
+// Search & Lookup Indexes
+// The search boxes use ILIKE '%text%' (see lib/lists.js and lib/checkin.js), which a normal index can't help
+// with. Trigram (pg_trgm) indexes can, so searching stays fast as the lists grow.
+// The plain indexes below are for the columns we join and filter on all the time.
+
+export const up = (knex) => knex.raw(`
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+    CREATE INDEX IF NOT EXISTS participants_first_name_trgm ON participants USING gin (first_name gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS participants_last_name_trgm ON participants USING gin (last_name gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS participants_email_trgm ON participants USING gin (email gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS participants_city_trgm ON participants USING gin (city gin_trgm_ops);
+    -- "First Last" as one string, the way check-in searches it
+    CREATE INDEX IF NOT EXISTS participants_full_name_trgm ON participants USING gin ((first_name || ' ' || last_name) gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS users_username_trgm ON users USING gin (username gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS event_templates_event_name_trgm ON event_templates USING gin (event_name gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS locations_location_name_trgm ON locations USING gin (location_name gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS milestone_types_title_trgm ON milestone_types USING gin (milestone_title gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS surveys_comments_trgm ON surveys USING gin (comments gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS audit_log_actor_username_trgm ON audit_log USING gin (actor_username gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS deletions_description_trgm ON deletions USING gin (description gin_trgm_ops);
+
+    CREATE INDEX IF NOT EXISTS users_participant_idx ON users (participant_id);
+    CREATE INDEX IF NOT EXISTS donations_participant_idx ON donations (participant_id, donation_date);
+    CREATE INDEX IF NOT EXISTS event_occurrences_start_idx ON event_occurrences (start_time);
+    CREATE INDEX IF NOT EXISTS surveys_participant_idx ON surveys (participant_id);
+    CREATE INDEX IF NOT EXISTS surveys_event_idx ON surveys (event_occurrence_id);
+    CREATE INDEX IF NOT EXISTS milestones_participant_idx ON milestones (participant_id, milestone_type_id);
+`);
+
+export const down = (knex) => knex.raw(`
+    DROP INDEX IF EXISTS milestones_participant_idx;
+    DROP INDEX IF EXISTS surveys_event_idx;
+    DROP INDEX IF EXISTS surveys_participant_idx;
+    DROP INDEX IF EXISTS event_occurrences_start_idx;
+    DROP INDEX IF EXISTS donations_participant_idx;
+    DROP INDEX IF EXISTS users_participant_idx;
+
+    DROP INDEX IF EXISTS deletions_description_trgm;
+    DROP INDEX IF EXISTS audit_log_actor_username_trgm;
+    DROP INDEX IF EXISTS surveys_comments_trgm;
+    DROP INDEX IF EXISTS milestone_types_title_trgm;
+    DROP INDEX IF EXISTS locations_location_name_trgm;
+    DROP INDEX IF EXISTS event_templates_event_name_trgm;
+    DROP INDEX IF EXISTS users_username_trgm;
+    DROP INDEX IF EXISTS participants_full_name_trgm;
+    DROP INDEX IF EXISTS participants_city_trgm;
+    DROP INDEX IF EXISTS participants_email_trgm;
+    DROP INDEX IF EXISTS participants_last_name_trgm;
+    DROP INDEX IF EXISTS participants_first_name_trgm;
+`);
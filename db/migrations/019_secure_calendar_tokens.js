@@ -0,0 +1,15 @@
+// Secure Calendar Tokens
+// 016_calendar_feeds.js made the private feed tokens in the database with md5(random()), which isn't random
+// enough for a secret. lib/calendar.js now makes them with crypto.randomBytes, so the column loses its default
+// and the old tokens are cleared. Everyone gets a new feed link the next time they open the My Events page
+// (their old subscription stops working and has to be added again).
+
+export const up = (knex) => knex.raw(`
+    ALTER TABLE participants ALTER COLUMN calendar_token DROP DEFAULT;
+    UPDATE participants SET calendar_token = NULL WHERE calendar_token ~ '^[0-9a-f]{32}$';
+`);
+
+// The cleared tokens can't come back; new ones are made when they're needed either way.
+export const down = (knex) => knex.raw(`
+    ALTER TABLE participants ALTER COLUMN calendar_token SET DEFAULT md5(random()::text || clock_timestamp()::text);
+`);
@@ -0,0 +1,15 @@
+// Secure Check-In Codes
+// 013_checkin.js made the codes inside registration QR codes with md5(random()), the same weakness
+// 019_secure_calendar_tokens.js fixed for calendar links. Anyone holding a code can check that person in,
+// so lib/checkin.js now makes them with crypto.randomBytes. The column loses its default and the old codes
+// are cleared. A participant gets a new code the next time they open their ticket.
+
+export const up = (knex) => knex.raw(`
+    ALTER TABLE registrations ALTER COLUMN checkin_token DROP DEFAULT;
+    UPDATE registrations SET checkin_token = NULL WHERE checkin_token ~ '^[0-9a-f]{32}$';
+`);
+
+// The cleared codes can't come back; new ones are made when they're needed either way.
+export const down = (knex) => knex.raw(`
+    ALTER TABLE registrations ALTER COLUMN checkin_token SET DEFAULT md5(random()::text || clock_timestamp()::text);
+`);
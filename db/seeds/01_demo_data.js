@@ -0,0 +1,219 @@
+// Demo Data
+// Fills a local database with made-up (but realistic) data, so every page has something to show:
+// about 80 participants, a few months of past and upcoming events with registrations and check-ins,
+// survey responses, donations, and milestones along the STEAM pathway.
+// The "random" choices come from a fixed seed, so everyone who runs this gets exactly the same data.
+//
+// WARNING: this empties the tables first. It refuses to run when NODE_ENV is "production".
+// The audit log is left alone, since the database doesn't allow removing its rows (see 008_audit_log.js).
+//
+// Logins it creates, all with the password "ellarises":
+//   admin (Administrator), manager (Manager), staff (Event Staff), volunteer (Volunteer),
+//   and the first five participants as firstname.lastname (Participant)
+import { hashPassword } from "../../lib/passwords.js";
+import { npsBucketFor } from "../../lib/nps.js";
+
+const DEMO_PASSWORD = "ellarises";
+
+const PARTICIPANT_COUNT = 80;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A small seeded random number generator (mulberry32), so the data is the same every time
+const randomFrom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const FIRST_NAMES = ["Sofia", "Isabella", "Camila", "Valentina", "Mariana", "Lucia", "Ximena", "Daniela", "Gabriela", "Natalia",
+    "Emily", "Olivia", "Ava", "Mia", "Abigail", "Harper", "Elena", "Renata", "Paola", "Andrea", "Fernanda", "Jimena",
+    "Alondra", "Guadalupe", "Yesenia", "Maya", "Leah", "Zoe", "Nora", "Aaliyah"];
+const LAST_NAMES = ["Garcia", "Martinez", "Hernandez", "Lopez", "Gonzalez", "Perez", "Sanchez", "Ramirez", "Torres", "Flores",
+    "Rivera", "Gomez", "Diaz", "Cruz", "Morales", "Reyes", "Ortiz", "Gutierrez", "Chavez", "Ramos", "Smith", "Johnson",
+    "Nguyen", "Jensen", "Christensen"];
+const CITIES = [["Provo", "84601"], ["Orem", "84057"], ["Lehi", "84043"], ["Salt Lake City", "84101"], ["West Valley City", "84119"],
+    ["Springville", "84663"], ["American Fork", "84003"], ["Spanish Fork", "84660"]];
+const SCHOOLS = ["Provo High School", "Timpview High School", "Orem High School", "Mountain View High School", "Lehi High School",
+    "West High School", "Utah Valley University", "Brigham Young University", "University of Utah"];
+
+const EVENT_TEMPLATES = [
+    { event_name: "STEAM Workshop", event_description: "Hands-on science, technology, engineering, art and math projects.", default_duration_minutes: 120, default_capacity: 20 },
+    { event_name: "Coding Club", event_description: "Learn to build websites and games, no experience needed.", default_duration_minutes: 90, default_capacity: 15 },
+    { event_name: "Mariachi Ensemble", event_description: "Violin, trumpet and vocal practice for our mariachi group.", default_duration_minutes: 90, default_capacity: 25 },
+    { event_name: "Ballet Folklórico", event_description: "Traditional Mexican dance, from first steps to performances.", default_duration_minutes: 90, default_capacity: 25 },
+    { event_name: "Mentorship Circle", event_description: "Small-group conversations with women working in STEAM careers.", default_duration_minutes: 60, default_capacity: 12 },
+    { event_name: "College Prep Night", event_description: "Applications, scholarships and FAFSA help for students and families.", default_duration_minutes: 120, default_capacity: 40 }
+];
+const LOCATIONS = [
+    { location_name: "Provo City Library", address: "550 N University Ave, Provo, UT 84601", room_capacity: 40 },
+    { location_name: "Orem Community Center", address: "580 W 100 N, Orem, UT 84057", room_capacity: 60 },
+    { location_name: "UVU Science Building", address: "800 W University Pkwy, Orem, UT 84058", room_capacity: 25 },
+    { location_name: "Lehi Arts Studio", address: "685 N Center St, Lehi, UT 84043", room_capacity: 30 }
+];
+// In the order of the STEAM pathway, with how many days each step should take after the one before it
+const MILESTONE_TYPES = [
+    { milestone_title: "Enrolled", target_days: null },
+    { milestone_title: "First Project", target_days: 45 },
+    { milestone_title: "Mentorship Match", target_days: 90 },
+    { milestone_title: "Science Fair", target_days: 120 },
+    { milestone_title: "Graduated", target_days: 240 }
+];
+const COMMENTS = ["Loved it!", "The instructor was so patient.", "Can we have more of these?", "A little too long.",
+    "My daughter talks about it every day.", "Great snacks and great people.", "I learned a lot.", "It was hard to find the room."];
+
+export async function seed(knex) {
+    if (process.env.NODE_ENV === "production") {
+        throw new Error("The demo seed empties the database, so it won't run with NODE_ENV=production.");
+    }
+    const random = randomFrom(2025);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const chance = (percent) => random() * 100 < percent;
+    const between = (low, high) => low + Math.floor(random() * (high - low + 1));
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const daysFromToday = (days) => new Date(today.getTime() + days * DAY_MS);
+
+    // Start from empty tables (CASCADE also empties everything that points at them)
+    await knex.raw(`TRUNCATE participants, users, donations, event_templates, locations, event_occurrences, event_series,
+        registrations, surveys, milestone_types, milestones, milestone_pathways, pledges, payments, payment_events,
+        deletions, api_tokens, password_resets RESTART IDENTITY CASCADE`);
+
+    // --- Programs, places and milestones ---
+    const templates = await knex("event_templates").insert(EVENT_TEMPLATES).returning("*");
+    const locations = await knex("locations").insert(LOCATIONS).returning("*");
+    const milestoneTypes = await knex("milestone_types")
+        .insert(MILESTONE_TYPES.map(({ milestone_title }) => ({ milestone_title })))
+        .returning("*");
+
+    const [pathway] = await knex("milestone_pathways")
+        .insert({ pathway_name: "STEAM Program", description: "From enrollment to graduation." })
+        .returning("*");
+    await knex("pathway_steps").insert(milestoneTypes.map((type, index) => ({
+        pathway_id: pathway.pathway_id,
+        milestone_type_id: type.milestone_type_id,
+        step_order: index + 1,
+        target_days: MILESTONE_TYPES[index].target_days
+    })));
+
+    // --- Participants ---
+    const people = [];
+    for (let i = 1; i <= PARTICIPANT_COUNT; i++) {
+        const first_name = pick(FIRST_NAMES);
+        const last_name = pick(LAST_NAMES);
+        const [city, zip_code] = pick(CITIES);
+        people.push({
+            first_name,
+            last_name,
+            email: `${first_name}.${last_name}${i}@example.org`.toLowerCase(),
+            phone: `801-555-${String(1000 + i).padStart(4, "0")}`,
+            dob: daysFromToday(-between(13 * 365, 22 * 365)),
+            city,
+            state: "UT",
+            zip_code,
+            school_or_employer: pick(SCHOOLS)
+        });
+    }
+    const participants = await knex("participants").insert(people).returning("*");
+
+    // --- Logins ---
+    const password = await hashPassword(DEMO_PASSWORD);
+    await knex("users").insert([
+        { username: "admin", password, role: "admin", participant_id: null },
+        { username: "manager", password, role: "manager", participant_id: null },
+        { username: "staff", password, role: "event_staff", participant_id: null },
+        { username: "volunteer", password, role: "volunteer", participant_id: null },
+        ...participants.slice(0, 5).map(p => ({
+            username: `${p.first_name}.${p.last_name}`.toLowerCase(),
+            password,
+            role: "participant",
+            participant_id: p.participant_id
+        }))
+    ]);
+
+    // --- Events: three a week, from 12 weeks ago to 6 weeks from now ---
+    const events = [];
+    for (let week = -12; week <= 6; week++) {
+        for (const [weekday, hour] of [[2, 18], [4, 17], [6, 10]]) {
+            const template = pick(templates);
+            const location = pick(locations);
+            const start = daysFromToday(week * 7 + weekday - today.getDay());
+            start.setHours(hour);
+            events.push({
+                event_template_id: template.event_template_id,
+                location_id: location.location_id,
+                start_time: start,
+                end_time: new Date(start.getTime() + template.default_duration_minutes * 60000),
+                capacity: Math.min(template.default_capacity, location.room_capacity)
+            });
+        }
+    }
+    const occurrences = await knex("event_occurrences").insert(events).returning("*");
+
+    // --- Registrations, check-ins and surveys ---
+    const registrations = [];
+    const surveys = [];
+    for (const event of occurrences) {
+        const isPast = event.start_time < new Date();
+        const signedUp = [...participants].sort(() => random() - 0.5).slice(0, between(Math.ceil(event.capacity / 3), event.capacity));
+        for (const person of signedUp) {
+            const attended = isPast && chance(80);
+            registrations.push({
+                participant_id: person.participant_id,
+                event_occurrence_id: event.event_occurrence_id,
+                registration_status: "registered",
+                registration_date: new Date(event.start_time.getTime() - between(1, 20) * DAY_MS),
+                checked_in_at: attended ? event.start_time : null
+            });
+            if (attended && chance(50)) {
+                const mood = between(2, 5);
+                const score = () => Math.max(1, Math.min(5, mood + between(-1, 1)));
+                const score_recommendation = score();
+                surveys.push({
+                    participant_id: person.participant_id,
+                    event_occurrence_id: event.event_occurrence_id,
+                    score_satisfaction: score(),
+                    score_usefulness: score(),
+                    score_instructor: score(),
+                    score_recommendation,
+                    score_overall: score(),
+                    nps_bucket_id: npsBucketFor(score_recommendation),
+                    comments: chance(40) ? pick(COMMENTS) : null,
+                    submission_date: new Date(event.end_time.getTime() + between(1, 72) * 60 * 60 * 1000)
+                });
+            }
+        }
+    }
+    await knex.batchInsert("registrations", registrations, 500);
+    await knex.batchInsert("surveys", surveys, 500);
+
+    // --- Donations: about a third of participants give, some of them more than once ---
+    const donations = [];
+    for (const person of participants) {
+        if (!chance(35)) continue;
+        for (let gift = between(1, 4); gift > 0; gift--) {
+            donations.push({
+                participant_id: person.participant_id,
+                donation_date: daysFromToday(-between(0, 365)),
+                donation_amount: pick([10, 20, 25, 50, 50, 100, 250])
+            });
+        }
+    }
+    await knex.batchInsert("donations", donations, 500);
+
+    // --- Milestones: everyone enrolled sometime in the last year, and each step along the pathway
+    // is a bit less likely than the one before (so the pathway report has people stalled at every step) ---
+    const milestones = [];
+    for (const person of participants) {
+        let reachedOn = daysFromToday(-between(30, 365));
+        for (const [index, type] of milestoneTypes.entries()) {
+            if (index > 0) {
+                const target = MILESTONE_TYPES[index].target_days;
+                reachedOn = new Date(reachedOn.getTime() + between(Math.floor(target / 2), target + 30) * DAY_MS);
+                if (reachedOn > today || !chance(75)) break;
+            }
+            milestones.push({ participant_id: person.participant_id, milestone_type_id: type.milestone_type_id, milestone_date: reachedOn });
+        }
+    }
+    await knex.batchInsert("milestones", milestones, 500);
+}
@@ -0,0 +1,37 @@
+// Database Settings
+// The app (index.js) and the knex command line tool both read the database settings from here, so
+// migrations and seeds always run against the same database the app uses.
+//
+// Setting up a local copy of the app from scratch:
+//   1. Create an empty Postgres database, e.g. `createdb ellarises`
+//   2. In .env, set RDS_HOSTNAME, RDS_USERNAME, RDS_PASSWORD, RDS_DB_NAME (and RDS_PORT if it isn't 5432).
+//      Local Postgres usually doesn't use SSL, so also set RDS_SSL=false.
+//   3. `npm run migrate` creates every table (db/migrations, oldest first)
+//   4. `npm run seed` fills them with made-up participants, events, surveys and donations (db/seeds)
+//
+// The live database on RDS was created by hand before we had migrations. Every migration uses
+// IF NOT EXISTS, so running `npm run migrate` there just records what's already in place.
+// When a feature needs a new table or column, add a migration with `npm run migrate:make -- <name>`.
+import 'dotenv/config';
+
+export default {
+    client: "pg",
+    connection: {
+        host: process.env.RDS_HOSTNAME,
+        user: process.env.RDS_USERNAME,
+        password: process.env.RDS_PASSWORD,
+        database: process.env.RDS_DB_NAME || "ebdb",
+        port: process.env.RDS_PORT ? parseInt(process.env.RDS_PORT) : 5432,
+        // RDS needs SSL. Set RDS_SSL=false for a local database that doesn't have it turned on.
+        ssl: process.env.RDS_SSL === "false" ? false : { rejectUnauthorized: false }
+    },
+    migrations: {
+        directory: "./db/migrations",
+        tableName: "knex_migrations",
+        // New migrations start from this template (plain SQL, in an ES module)
+        stub: "./db/migration.stub"
+    },
+    seeds: {
+        directory: "./db/seeds"
+    }
+};
@@ -0,0 +1,119 @@
+// Audit Log
+// Every time someone adds, changes or deletes a record, we write down who did it, when, and what the
+// record looked like before and after. The audit_log table is append-only: the database itself refuses
+// to change or delete its rows (see db/migrations/008_audit_log.js), so the history can't be quietly rewritten.
+//
+// Routes don't write to audit_log by hand. Instead of db("donations").update(...), they call
+//   audit.update(db, actor, "donations", id, changes)
+// which saves the change AND its audit entry in the same transaction.
+//
+// "actor" says who made the change: { userId, username, source }
+//   source is where it came from: 'web', 'api', 'import', or 'system' (background jobs, payment webhooks)
+
+// The record types we keep history for, with their table and id column.
+export const AUDITED_ENTITIES = {
+    participants: { table: "participants", id: "participant_id", label: "Participant" },
+    donations: { table: "donations", id: "donation_id", label: "Donation" },
+    pledges: { table: "pledges", id: "pledge_id", label: "Pledge" },
+    surveys: { table: "surveys", id: "survey_id", label: "Survey" },
+    events: { table: "event_occurrences", id: "event_occurrence_id", label: "Event" },
+    milestones: { table: "milestones", id: "milestone_id", label: "Milestone" },
+    users: { table: "users", id: "user_id", label: "User" },
+    event_templates: { table: "event_templates", id: "event_template_id", label: "Event Template" },
+    locations: { table: "locations", id: "location_id", label: "Location" }
+};
+
+// "delete" moves a record to the trash; "restore" brings it back and "purge" deletes it for good (see lib/trash.js).
+// "merge" is a duplicate participant that was combined into another one (see lib/duplicates.js).
+export const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "purge", "merge"];
+
+export const AUDIT_SOURCES = ["web", "api", "import", "system"];
+
+// The person using the website right now.
+export const actorFromRequest = (req) => ({
+    userId: req.session.user_id ?? null,
+    username: req.session.username ?? null,
+    source: "web"
+});
+
+// For changes the app makes on its own (webhooks, scheduled jobs).
+export const SYSTEM_ACTOR = { userId: null, username: null, source: "system" };
+
+// Columns we never copy into the log. We still note THAT a password, calendar link or check-in code changed,
+// just not the secret itself.
+const HIDDEN_COLUMNS = ["password", "calendar_token", "checkin_token"];
+
+const hideSecrets = (values) => values && Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, HIDDEN_COLUMNS.includes(key) ? "[hidden]" : value])
+);
+
+// For updates we only keep the columns that actually changed, so the log shows "amount: 25 -> 30"
+// instead of two copies of the whole row. Returns null if nothing changed.
+const changedValues = (before, after) => {
+    const keys = Object.keys(after).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    if (keys.length === 0) return null;
+    return {
+        before: Object.fromEntries(keys.map(key => [key, before[key]])),
+        after: Object.fromEntries(keys.map(key => [key, after[key]]))
+    };
+};
+
+// Runs "work" inside a transaction, reusing the caller's transaction if they already have one.
+export const inTransaction = (conn, work) => conn.isTransaction ? work(conn) : conn.transaction(work);
+
+export function createAuditLog(db) {
+
+    // Writes one audit entry. Use this directly for changes that don't go through create/update/remove below.
+    const record = (conn, actor, { entity, entityId = null, action, before = null, after = null }) =>
+        conn("audit_log").insert({
+            actor_user_id: actor?.userId ?? null,
+            actor_username: actor?.username ?? null,
+            source: actor?.source || "system",
+            entity,
+            entity_id: entityId,
+            action,
+            before_values: before ? JSON.stringify(hideSecrets(before)) : null,
+            after_values: after ? JSON.stringify(hideSecrets(after)) : null
+        });
+
+    // Inserts a record and logs it. Returns the new row.
+    const create = (conn, actor, entity, data) => inTransaction(conn, async (trx) => {
+        const { table, id } = AUDITED_ENTITIES[entity];
+        const [row] = await trx(table).insert(data).returning("*");
+        await record(trx, actor, { entity, entityId: row[id], action: "create", after: row });
+        return row;
+    });
+
+    // Updates a record and logs what changed. Returns the updated row, or null if it doesn't exist.
+    const update = (conn, actor, entity, entityId, data) => inTransaction(conn, async (trx) => {
+        const { table, id } = AUDITED_ENTITIES[entity];
+        const before = await trx(table).where({ [id]: entityId }).forUpdate().first();
+        if (!before) return null;
+
+        const [after] = await trx(table).where({ [id]: entityId }).update(data).returning("*");
+        const changes = changedValues(before, after);
+        if (changes) {
+            await record(trx, actor, { entity, entityId: after[id], action: "update", ...changes });
+        }
+        return after;
+    });
+
+    // Deletes a record and logs what it looked like. Returns the deleted row, or null if it didn't exist.
+    const remove = (conn, actor, entity, entityId) => inTransaction(conn, async (trx) => {
+        const { table, id } = AUDITED_ENTITIES[entity];
+        const before = await trx(table).where({ [id]: entityId }).first();
+        if (!before) return null;
+
+        await trx(table).where({ [id]: entityId }).del();
+        await record(trx, actor, { entity, entityId: before[id], action: "delete", before });
+        return before;
+    });
+
+    // Every entry for one record, newest first (for the "History" panel on edit pages).
+    const history = (entity, entityId) => db("audit_log")
+        .where({ entity, entity_id: entityId })
+        .orderBy("occurred_at", "desc")
+        .orderBy("audit_id", "desc");
+
+    return { record, create, update, remove, history };
+}
@@ -0,0 +1,182 @@
+// Public Calendar & iCalendar Feeds
+// Anyone (no login needed) can browse our events on /calendar as a month grid, a week, or a list.
+// The same events are available as calendar feeds (.ics files), which phone and computer calendars
+// can subscribe to and keep up to date on their own:
+//   /calendar.ics          - every event, for anyone
+//   /calendar/<token>.ics  - just the events one participant signed up for. The token is a secret that
+//                            only that participant sees (participants.calendar_token), since calendar apps
+//                            can't log in.
+
+import crypto from "crypto";
+import { isRealDate } from "./validation.js";
+
+export const CALENDAR_VIEWS = { month: "Month", week: "Week", list: "List" };
+
+// How far back the feeds go, so calendars keep showing events that just happened
+const FEED_DAYS_BACK = 30;
+// How many days the list view shows at a time
+const LIST_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const pad = (n) => String(n).padStart(2, "0");
+
+// "YYYY-MM-DD" in local time, used for the ?date= links and to group events by day
+export const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Which days one page of the calendar covers. "date" is any day in the month/week to show ("YYYY-MM-DD",
+// today if missing or not a real day, like 2025-13-45). Returns { view, start, end (not included), days, prev, next, today }.
+// Month grids start on the Sunday before the 1st and end on the Saturday after the last day, so every row is a full week.
+export function calendarRange(view, date) {
+    const picked = /^\d{4}-\d{2}-\d{2}$/.test(date || "") && isRealDate(date) ? new Date(`${date}T00:00:00`) : new Date();
+    const day = new Date(picked.getFullYear(), picked.getMonth(), picked.getDate());
+    const range = { view: CALENDAR_VIEWS[view] ? view : "month", today: dayKey(new Date()) };
+
+    if (range.view === "month") {
+        const first = new Date(day.getFullYear(), day.getMonth(), 1);
+        const last = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+        range.month = first;
+        range.start = addDays(first, -first.getDay());
+        range.end = addDays(last, 7 - last.getDay());
+        range.prev = dayKey(new Date(first.getFullYear(), first.getMonth() - 1, 1));
+        range.next = dayKey(new Date(first.getFullYear(), first.getMonth() + 1, 1));
+    } else if (range.view === "week") {
+        range.start = addDays(day, -day.getDay());
+        range.end = addDays(range.start, 7);
+        range.prev = dayKey(addDays(range.start, -7));
+        range.next = dayKey(range.end);
+    } else {
+        range.start = day;
+        range.end = addDays(day, LIST_DAYS);
+        range.prev = dayKey(addDays(day, -LIST_DAYS));
+        range.next = dayKey(range.end);
+    }
+
+    range.days = [];
+    for (let d = range.start; d < range.end; d = addDays(d, 1)) range.days.push(d);
+    return range;
+}
+
+// --- iCalendar (.ics) files ---
+// The format is plain text (RFC 5545): one "NAME:value" per line, lines end in \r\n.
+
+// Times are written in UTC, e.g. 20250304T010000Z
+const icsDate = (value) => new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Commas, semicolons and backslashes mean something in the format, so they get a backslash in front
+const icsText = (value) => String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines can be at most 75 bytes. Longer ones continue on the next line, which starts with a space.
+const fold = (line) => {
+    const parts = [];
+    let current = "";
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = "";
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+};
+
+// Builds a whole .ics file. "events" are rows from the queries below.
+// "baseUrl" is used for each event's link and to make its UID unique to our site.
+export function toICalendar({ name, events, baseUrl }) {
+    const host = new URL(baseUrl).hostname;
+    const now = icsDate(new Date());
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Ella Rises//Events//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${icsText(name)}`,
+        // Ask calendar apps to check for changes every hour
+        "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+        "X-PUBLISHED-TTL:PT1H"
+    ];
+    for (const event of events) {
+        const waitlisted = event.registration_status === "waitlisted";
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:event-${event.event_occurrence_id}@${host}`,
+            `DTSTAMP:${now}`,
+            `DTSTART:${icsDate(event.start_time)}`,
+            `DTEND:${icsDate(event.end_time || event.start_time)}`,
+            `SUMMARY:${icsText(event.event_name + (waitlisted ? " (waitlist)" : ""))}`,
+            `DESCRIPTION:${icsText(event.event_description)}`,
+            `LOCATION:${icsText([event.location_name, event.address].filter(Boolean).join(", "))}`,
+            `URL:${baseUrl}/calendar?view=week&date=${dayKey(new Date(event.start_time))}`,
+            `STATUS:${waitlisted ? "TENTATIVE" : "CONFIRMED"}`,
+            "END:VEVENT"
+        );
+    }
+    lines.push("END:VCALENDAR");
+    return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+export function createCalendar(db, { listQueries }) {
+
+    // Events that aren't in the trash, with what the calendar shows about them
+    const eventsQuery = () => db("event_occurrences")
+        .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+        .leftJoin("locations", "event_occurrences.location_id", "locations.location_id")
+        .whereNull("event_occurrences.deletion_id")
+        .select("event_occurrences.event_occurrence_id", "event_occurrences.start_time", "event_occurrences.end_time",
+                "event_occurrences.capacity", "event_templates.event_name", "event_templates.event_description",
+                "locations.location_name", "locations.address")
+        .orderBy("event_occurrences.start_time");
+
+    // Every event starting between "start" and "end" (not included), with how many seats are taken
+    const between = (start, end) => eventsQuery()
+        .leftJoin(listQueries.registrationCounts(), "event_occurrences.event_occurrence_id", "seat_counts.event_occurrence_id")
+        .select("seat_counts.registered_count")
+        .where("event_occurrences.start_time", ">=", start)
+        .where("event_occurrences.start_time", "<", end);
+
+    // The public feed: recent and upcoming events
+    const publicFeed = () => eventsQuery()
+        .where("event_occurrences.start_time", ">=", new Date(Date.now() - FEED_DAYS_BACK * DAY_MS));
+
+    // One participant's feed: the events they're registered or waitlisted for.
+    // Returns { participant, events }, or null if the token doesn't match anyone.
+    const participantFeed = async (token) => {
+        const participant = await db("participants").where({ calendar_token: String(token || "") }).whereNull("deletion_id").first();
+        if (!participant) return null;
+        const events = await eventsQuery()
+            .join("registrations", "event_occurrences.event_occurrence_id", "registrations.event_occurrence_id")
+            .where("registrations.participant_id", participant.participant_id)
+            .whereIn("registrations.registration_status", ["registered", "waitlisted"])
+            .whereNull("registrations.deletion_id")
+            .where("event_occurrences.start_time", ">=", new Date(Date.now() - FEED_DAYS_BACK * DAY_MS))
+            .select("registrations.registration_status");
+        return { participant, events };
+    };
+
+    // The secret part of a participant's feed link. People who never had one get one the first time it's asked for.
+    const tokenFor = async (participantId) => {
+        const participant = await db("participants").where({ participant_id: participantId }).select("calendar_token").first();
+        if (!participant) return null;
+        return participant.calendar_token || resetToken(participantId);
+    };
+
+    // Makes a new feed link for a participant (the old one stops working). Returns the new token.
+    // Like password reset links and API tokens, it's 32 random bytes from crypto, so nobody can guess it.
+    const resetToken = async (participantId) => {
+        const [participant] = await db("participants")
+            .where({ participant_id: participantId })
+            .update({ calendar_token: crypto.randomBytes(32).toString("hex") })
+            .returning("calendar_token");
+        return participant ? participant.calendar_token : null;
+    };
+
+    return { between, publicFeed, participantFeed, tokenFor, resetToken };
+}
@@ -0,0 +1,192 @@
+// Event Check-In & Attendance
+// Registrations only say who signed up. At the door, staff open an event's check-in page and mark who
+// actually came (registrations.checked_in_at), which is what grant reports count as attendance.
+//
+// Three ways to check someone in:
+//   - find them on the roster and click "Check In"
+//   - scan the QR code on their phone. The code is a link to /checkin/<token>, so a staff member's phone
+//     camera can open it directly, and a USB scanner can type it into the box on the check-in page.
+//   - walk-ins: people who came without registering get signed up and checked in at the same time
+
+import crypto from "crypto";
+import QRCode from "qrcode";
+
+// The secret inside a registration's QR code. Anyone holding it can check that person in, so like calendar
+// feed links (lib/calendar.js) it's 32 random bytes from crypto. Every new registration gets one.
+export const newCheckinToken = () => crypto.randomBytes(32).toString("hex");
+
+export function createCheckIn(db) {
+
+    // Everyone on an event's list (cancelled registrations left out), with their contact info.
+    // "search" matches first name, last name or email.
+    const roster = (eventId, search) => {
+        const query = db("registrations")
+            .join("participants", "registrations.participant_id", "participants.participant_id")
+            .where("registrations.event_occurrence_id", eventId)
+            .whereNot("registrations.registration_status", "cancelled")
+            .whereNull("registrations.deletion_id")
+            .whereNull("participants.deletion_id")
+            .select("registrations.*", "participants.first_name", "participants.last_name", "participants.email")
+            // Not-yet-arrived people first, so the list gets shorter as the room fills up
+            .orderByRaw("registrations.checked_in_at IS NOT NULL")
+            .orderBy("participants.last_name")
+            .orderBy("participants.first_name");
+        if (search) {
+            query.andWhere(sub => {
+                sub.where("participants.first_name", "ilike", `%${search}%`)
+                   .orWhere("participants.last_name", "ilike", `%${search}%`)
+                   .orWhere("participants.email", "ilike", `%${search}%`)
+                   .orWhereRaw("participants.first_name || ' ' || participants.last_name ILIKE ?", [`%${search}%`]);
+            });
+        }
+        return query;
+    };
+
+    // Participants matching "search" who AREN'T on this event's list yet (for signing up walk-ins).
+    const walkInCandidates = (eventId, search) => db("participants")
+        .whereNull("participants.deletion_id")
+        .whereNotExists(function() {
+            this.select(db.raw(1)).from("registrations")
+                .whereRaw("registrations.participant_id = participants.participant_id")
+                .where("registrations.event_occurrence_id", eventId)
+                .whereNot("registrations.registration_status", "cancelled")
+                .whereNull("registrations.deletion_id");
+        })
+        .andWhere(sub => {
+            sub.where("participants.first_name", "ilike", `%${search}%`)
+               .orWhere("participants.last_name", "ilike", `%${search}%`)
+               .orWhere("participants.email", "ilike", `%${search}%`)
+               .orWhereRaw("participants.first_name || ' ' || participants.last_name ILIKE ?", [`%${search}%`]);
+        })
+        .select("participant_id", "first_name", "last_name", "email")
+        .orderBy("last_name")
+        .limit(10);
+
+    // Marks someone on the list as here. Someone waitlisted who shows up anyway gets their seat.
+    // Returns the registration, or null if they aren't on this event's list.
+    const checkIn = async (eventId, participantId, actor) => {
+        const [registration] = await db("registrations")
+            .where({ event_occurrence_id: eventId, participant_id: participantId })
+            .whereNot({ registration_status: "cancelled" })
+            .whereNull("deletion_id")
+            .update({
+                checked_in_at: db.raw("COALESCE(checked_in_at, NOW())"),
+                checked_in_by_user_id: db.raw("COALESCE(checked_in_by_user_id, ?)", [actor?.userId ?? null]),
+                registration_status: "registered"
+            })
+            .returning("*");
+        return registration || null;
+    };
+
+    // For mistakes: clicking the wrong name
+    const undoCheckIn = (eventId, participantId) => db("registrations")
+        .where({ event_occurrence_id: eventId, participant_id: participantId })
+        .update({ checked_in_at: null, checked_in_by_user_id: null });
+
+    // Checks someone in from the code in their QR code. Returns { registration, participant }, or null
+    // if the code doesn't match anyone (or they cancelled). The registration says which event it was for.
+    // With eventId (a scan on that event's check-in page), a code for some other event isn't checked in:
+    // you get { registration, participant, wrongEvent: true } back and nothing is saved.
+    const checkInByToken = async (token, actor, eventId = null) => {
+        const registration = await db("registrations")
+            .where({ checkin_token: String(token || "").trim() })
+            .whereNot({ registration_status: "cancelled" })
+            .whereNull("deletion_id")
+            .first();
+        if (!registration) return null;
+        if (eventId !== null && String(registration.event_occurrence_id) !== String(eventId)) {
+            const participant = await db("participants").where({ participant_id: registration.participant_id }).first();
+            return { registration, participant, wrongEvent: true };
+        }
+
+        const updated = await checkIn(registration.event_occurrence_id, registration.participant_id, actor);
+        const participant = await db("participants").where({ participant_id: registration.participant_id }).first();
+        return { registration: updated, participant, alreadyCheckedIn: Boolean(registration.checked_in_at) };
+    };
+
+    // Signs up someone who showed up without registering and checks them in. Capacity doesn't apply:
+    // they're already in the room. A cancelled registration is brought back instead of adding a second one.
+    const walkIn = (eventId, participantId, actor) => db.transaction(async (trx) => {
+        const values = {
+            registration_status: "registered",
+            is_walk_in: true,
+            checked_in_at: new Date(),
+            checked_in_by_user_id: actor?.userId ?? null
+        };
+        const existing = await trx("registrations")
+            .where({ event_occurrence_id: eventId, participant_id: participantId })
+            .whereNull("deletion_id")
+            .first();
+        if (existing) {
+            // Already on the list after all: just check them in (without calling them a walk-in)
+            if (existing.registration_status !== "cancelled") {
+                delete values.is_walk_in;
+                if (existing.checked_in_at) return existing;
+            }
+            const [registration] = await trx("registrations").where({ registration_id: existing.registration_id }).update(values).returning("*");
+            return registration;
+        }
+        const [registration] = await trx("registrations")
+            .insert({ ...values, event_occurrence_id: eventId, participant_id: participantId, registration_date: new Date(), checkin_token: newCheckinToken() })
+            .returning("*");
+        return registration;
+    });
+
+    // How many people registered for an event and how many came.
+    const eventCounts = (eventId) => db("registrations")
+        .where({ event_occurrence_id: eventId })
+        .whereNull("deletion_id")
+        .select(
+            db.raw("COUNT(*) FILTER (WHERE registration_status = 'registered')::int AS registered"),
+            db.raw("COUNT(*) FILTER (WHERE checked_in_at IS NOT NULL)::int AS attended"),
+            db.raw("COUNT(*) FILTER (WHERE is_walk_in)::int AS walk_ins")
+        )
+        .first();
+
+    // One participant's attendance at events that have already started: every event they were
+    // registered for, whether they came, and the totals. "rate" is a whole percent, or null if there's nothing yet.
+    const participantAttendance = async (participantId) => {
+        const events = await db("registrations")
+            .join("event_occurrences", "registrations.event_occurrence_id", "event_occurrences.event_occurrence_id")
+            .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+            .where("registrations.participant_id", participantId)
+            .where("registrations.registration_status", "registered")
+            .whereNull("registrations.deletion_id")
+            .whereNull("event_occurrences.deletion_id")
+            .where("event_occurrences.start_time", "<=", new Date())
+            .select("event_occurrences.event_occurrence_id", "event_occurrences.start_time", "event_templates.event_name",
+                    "registrations.checked_in_at", "registrations.is_walk_in")
+            .orderBy("event_occurrences.start_time", "desc");
+        const attended = events.filter(e => e.checked_in_at).length;
+        return {
+            events,
+            registered: events.length,
+            attended,
+            rate: events.length > 0 ? Math.round((attended / events.length) * 100) : null
+        };
+    };
+
+    // The registration a participant would show at the door, with their QR code as an image (a data: URL).
+    // Registrations whose old code was cleared (see 020_secure_checkin_tokens.js) get a new one here.
+    const ticketFor = async (eventId, participantId, baseUrl) => {
+        let registration = await db("registrations")
+            .where({ event_occurrence_id: eventId, participant_id: participantId, registration_status: "registered" })
+            .whereNull("deletion_id")
+            .first();
+        if (!registration) return null;
+        if (!registration.checkin_token) {
+            [registration] = await db("registrations")
+                .where({ registration_id: registration.registration_id })
+                .update({ checkin_token: newCheckinToken() })
+                .returning("*");
+        }
+        const qrCode = await QRCode.toDataURL(`${baseUrl}/checkin/${registration.checkin_token}`, { width: 280, margin: 1 });
+        return { registration, qrCode };
+    };
+
+    return { roster, walkInCandidates, checkIn, undoCheckIn, checkInByToken, walkIn, eventCounts, participantAttendance, ticketFor };
+}
+
+// The scan box accepts either the bare code or the whole link a QR scanner types in
+// (".../checkin/3f2a..."). Returns just the code.
+export const tokenFromScan = (value) => String(value || "").trim().split("/").filter(Boolean).pop() || "";
@@ -0,0 +1,83 @@
+// CSV Helpers
+// Spreadsheets come to us as CSV files, so we need to read them (imports) and write them (exports).
+// CSV looks simple but has a few gotchas: values can be wrapped in quotes, quoted values can contain
+// commas or line breaks, and a quote inside a quoted value is written twice ("").
+// Excel also likes to put an invisible "byte order mark" at the very start of the file.
+
+// Reads CSV text into an array of rows, where each row is an array of strings.
+// Completely blank lines are skipped.
+export function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let value = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(value);
+            value = "";
+        } else if (char === "\n" || char === "\r") {
+            // Treat \r\n (Windows) the same as \n
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = "";
+        } else {
+            value += char;
+        }
+    }
+
+    // The last line might not end with a line break
+    if (value !== "" || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+// Reads CSV text that has a header row. Returns { headers, records } where each record
+// is an object keyed by header name, e.g. { "First Name": "Ana", "Email": "ana@example.org" }.
+export function parseCsvWithHeaders(text) {
+    const [headerRow = [], ...dataRows] = parseCsv(text);
+    const headers = headerRow.map(h => h.trim());
+    const records = dataRows.map(cells => {
+        const record = {};
+        headers.forEach((header, i) => {
+            record[header] = (cells[i] ?? "").trim();
+        });
+        return record;
+    });
+    return { headers, records };
+}
+
+// Turns one value into a safe CSV cell. Anything with a comma, quote or line break gets wrapped in quotes.
+// Values starting with = + - or @ get a leading apostrophe so Excel doesn't run them as formulas.
+export function toCsvCell(value) {
+    if (value === null || value === undefined) return "";
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turns an array of values into one CSV line (with the line break).
+export function toCsvLine(values) {
+    return values.map(toCsvCell).join(",") + "\r\n";
+}
@@ -0,0 +1,316 @@
+// Duplicate Participants
+// The same person often ends up in the database twice: they sign up with a school email and later donate
+// with a personal one, or a staff member types "Gabby" when the signup said "Gabriela".
+// findDuplicates() looks for pairs of participants that are probably the same person and scores each
+// pair out of 100. mergeParticipants() then combines two records into one.
+//
+// How a pair is scored (see MATCH_WEIGHTS):
+//   email          - the same address, ignoring upper/lower case and "+tags" (ana+events@x.org = ana@x.org)
+//   phone          - the same last 10 digits, ignoring dashes, spaces and country codes
+//   date of birth  - the same date. Two DIFFERENT dates count against the match (sisters share a lot else).
+//   first/last name - the same after removing accents and punctuation, or close enough ("Jon" / "Jonathan")
+//   zip code       - the same first 5 digits
+// Comparing every participant with every other one would be slow, so we only compare people who already
+// share something (an email, phone, birthday, or the start of their name).
+
+import { discardProfilePictures } from "./images.js";
+
+// Points for each kind of match. A pair's total is capped at 100.
+export const MATCH_WEIGHTS = {
+    email: 40,
+    phone: 30,
+    dob: 25,
+    differentDob: -25,
+    lastName: 20,
+    similarLastName: 14,
+    firstName: 20,
+    similarFirstName: 14,
+    firstInitial: 5,
+    zip: 10
+};
+
+// Pairs below this score aren't shown at all.
+export const MIN_DUPLICATE_SCORE = 45;
+
+// How sure we are, by score, for the badges on the duplicates page.
+export const confidenceFor = (score) =>
+    score >= 80 ? { label: "Very likely", badge: "bg-danger" }
+    : score >= 60 ? { label: "Likely", badge: "bg-warning text-dark" }
+    : { label: "Possible", badge: "bg-secondary" };
+
+// The participant fields a merge can take from either record, with what to call them on screen.
+export const MERGE_FIELDS = {
+    first_name: "First Name",
+    last_name: "Last Name",
+    email: "Email",
+    phone: "Phone",
+    dob: "Date of Birth",
+    city: "City",
+    state: "State",
+    zip_code: "Zip Code",
+    school_or_employer: "School or Employer",
+    profilePictureUrl: "Profile Photo"
+};
+
+// --- NORMALIZING ---
+// Turns each value into a plain form so "José" matches "Jose" and "(801) 555-1234" matches "801.555.1234".
+
+const normalizeName = (value) => String(value || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[^a-z]/g, "");
+
+const normalizeEmail = (value) => {
+    const email = String(value || "").trim().toLowerCase();
+    const [local, domain] = email.split("@");
+    return domain ? `${local.split("+")[0]}@${domain}` : "";
+};
+
+// Only the last 10 digits, so "+1 801..." and "801..." match. Anything shorter than 7 digits isn't a real number.
+const normalizePhone = (value) => {
+    const digits = String(value || "").replace(/\D/g, "").slice(-10);
+    return digits.length >= 7 ? digits : "";
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+// DATE columns come back as JavaScript Dates at local midnight, so we read them with local getters.
+const normalizeDob = (value) => {
+    if (!value) return "";
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? "" : `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const normalizeZip = (value) => String(value || "").replace(/\D/g, "").slice(0, 5);
+
+// How many single-letter edits it takes to turn one word into the other.
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// "Close enough" names: one is the start of the other (Jon/Jonathan), or they're at least 80% the same letters.
+const similarNames = (a, b) => {
+    if (!a || !b) return false;
+    if (a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a))) return true;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length) >= 0.8;
+};
+
+const normalize = (p) => ({
+    first: normalizeName(p.first_name),
+    last: normalizeName(p.last_name),
+    email: normalizeEmail(p.email),
+    phone: normalizePhone(p.phone),
+    dob: normalizeDob(p.dob),
+    zip: normalizeZip(p.zip_code)
+});
+
+// Scores one pair of participants. Returns { score, reasons } where reasons say what matched.
+export function scoreMatch(a, b) {
+    const x = normalize(a);
+    const y = normalize(b);
+    let score = 0;
+    const reasons = [];
+    const add = (points, reason) => { score += points; reasons.push(reason); };
+
+    if (x.email && x.email === y.email) add(MATCH_WEIGHTS.email, "Same email");
+    if (x.phone && x.phone === y.phone) add(MATCH_WEIGHTS.phone, "Same phone");
+    if (x.dob && y.dob) {
+        if (x.dob === y.dob) add(MATCH_WEIGHTS.dob, "Same date of birth");
+        else add(MATCH_WEIGHTS.differentDob, "Different dates of birth");
+    }
+
+    if (x.last && x.last === y.last) add(MATCH_WEIGHTS.lastName, "Same last name");
+    else if (similarNames(x.last, y.last)) add(MATCH_WEIGHTS.similarLastName, "Similar last name");
+
+    if (x.first && x.first === y.first) add(MATCH_WEIGHTS.firstName, "Same first name");
+    else if (similarNames(x.first, y.first)) add(MATCH_WEIGHTS.similarFirstName, "Similar first name");
+    else if (x.first && x.first[0] === y.first[0]) add(MATCH_WEIGHTS.firstInitial, "Same first initial");
+
+    if (x.zip && x.zip === y.zip) add(MATCH_WEIGHTS.zip, "Same zip code");
+
+    return { score: Math.max(0, Math.min(score, 100)), reasons };
+}
+
+// Groups of people worth comparing. Two people are only scored if they share at least one of these keys.
+const blockingKeys = (p) => {
+    const n = normalize(p);
+    return [
+        n.email && `email:${n.email}`,
+        n.phone && `phone:${n.phone}`,
+        n.dob && `dob:${n.dob}`,
+        // First initial + start of the last name, and the other way around, to survive a typo in either name
+        n.first && n.last && `name:${n.first[0]}${n.last.slice(0, 4)}`,
+        n.first && n.last && `reversed:${n.last[0]}${n.first.slice(0, 4)}`
+    ].filter(Boolean);
+};
+
+// A key shared by this many people (a very common name) tells us almost nothing, so we skip it
+const MAX_BLOCK_SIZE = 200;
+
+// Where a participant's history lives. A merge moves all of it onto the record that's kept.
+// "entity" is the audit log name for tables that have one (see lib/audit.js).
+const RELATED_TABLES = [
+    { table: "donations", entity: "donations", id: "donation_id" },
+    { table: "pledges", entity: "pledges", id: "pledge_id" },
+    { table: "surveys", entity: "surveys", id: "survey_id" },
+    { table: "milestones", entity: "milestones", id: "milestone_id" },
+    { table: "users", entity: "users", id: "user_id" },
+    { table: "payments", id: "payment_id" }
+];
+
+// When both people signed up for the same event we keep the registration that's further along.
+// One in the trash counts for the least.
+const registrationRank = (r) => r.deletion_id ? -1 : ({ registered: 2, waitlisted: 1, cancelled: 0 })[r.registration_status] ?? 0;
+
+// "storage" is where profile pictures are kept (lib/storage.js), so a picture nobody keeps can be deleted.
+export function createDuplicates(db, { audit, registrations, storage }) {
+
+    // Every likely pair of duplicates, best matches first:
+    //   [{ a: participant, b: participant, score, reasons }]
+    // Pairs someone marked as "not a duplicate" are left out.
+    const findDuplicates = async ({ minScore = MIN_DUPLICATE_SCORE } = {}) => {
+        const people = await db("participants").whereNull("deletion_id").orderBy("participant_id");
+        const dismissed = new Set((await db("duplicate_dismissals").select("participant_id_a", "participant_id_b"))
+            .map(d => `${d.participant_id_a}-${d.participant_id_b}`));
+
+        const blocks = new Map();
+        for (const person of people) {
+            for (const key of blockingKeys(person)) {
+                if (!blocks.has(key)) blocks.set(key, []);
+                blocks.get(key).push(person);
+            }
+        }
+
+        const pairs = new Map();
+        for (const block of blocks.values()) {
+            if (block.length < 2 || block.length > MAX_BLOCK_SIZE) continue;
+            for (let i = 0; i < block.length; i++) {
+                for (let j = i + 1; j < block.length; j++) {
+                    // People are sorted by id, so "a" is always the older record
+                    const [a, b] = [block[i], block[j]];
+                    const key = `${a.participant_id}-${b.participant_id}`;
+                    if (pairs.has(key) || dismissed.has(key)) continue;
+
+                    const { score, reasons } = scoreMatch(a, b);
+                    pairs.set(key, score >= minScore ? { a, b, score, reasons } : null);
+                }
+            }
+        }
+
+        return [...pairs.values()].filter(Boolean).sort((x, y) => y.score - x.score);
+    };
+
+    // Remembers that two participants are different people, so the pair stops showing up.
+    const dismiss = (firstId, secondId, actor) => {
+        const [a, b] = [parseInt(firstId), parseInt(secondId)].sort((x, y) => x - y);
+        return db("duplicate_dismissals")
+            .insert({ participant_id_a: a, participant_id_b: b, dismissed_by_user_id: actor?.userId ?? null })
+            .onConflict(["participant_id_a", "participant_id_b"]).ignore();
+    };
+
+    // How many of each kind of record a participant has, for the merge screen. e.g. { donations: 3, surveys: 0, ... }
+    const relatedCounts = async (participantId) => {
+        const counts = {};
+        for (const { table } of [...RELATED_TABLES, { table: "registrations" }]) {
+            const result = await db(table).where({ participant_id: participantId }).count("* as count").first();
+            counts[table] = parseInt(result.count);
+        }
+        return counts;
+    };
+
+    // Combines two participants. Everything that belonged to "mergeId" is moved onto "keepId", then the
+    // merged record is deleted for good (there's nothing left in it to restore).
+    // "useMerged" lists the MERGE_FIELDS whose value should come from the merged record instead.
+    // Returns the updated participant, or null if either one doesn't exist (or is in the trash).
+    const mergeParticipants = async (keepId, mergeId, options) => {
+        const { participant, unusedPicture } = await mergeInTransaction(keepId, mergeId, options);
+        // Whichever picture wasn't kept is deleted from storage, now that the merge has been saved
+        if (unusedPicture && storage) await discardProfilePictures(storage, [unusedPicture]);
+        return participant;
+    };
+
+    // Does the merge itself. Returns { participant, unusedPicture }: the picture that was dropped (if any).
+    const mergeInTransaction = (keepId, mergeId, { useMerged = [], actor }) => db.transaction(async (trx) => {
+        const [keep, merged] = await Promise.all([keepId, mergeId].map(id =>
+            trx("participants").where({ participant_id: id }).whereNull("deletion_id").forUpdate().first()));
+        if (!keep || !merged || keep.participant_id === merged.participant_id) return { participant: null };
+
+        // Move their history over, logging each moved record as an update of its participant
+        for (const { table, entity, id } of RELATED_TABLES) {
+            const moved = await trx(table)
+                .where({ participant_id: merged.participant_id })
+                .update({ participant_id: keep.participant_id })
+                .returning(id);
+            if (!entity) continue;
+            for (const row of moved) {
+                await audit.record(trx, actor, {
+                    entity,
+                    entityId: row[id],
+                    action: "update",
+                    before: { participant_id: merged.participant_id },
+                    after: { participant_id: keep.participant_id }
+                });
+            }
+        }
+
+        // Registrations can't just be moved: a person can only be signed up for each event once
+        const seatsFreed = [];
+        const theirRegistrations = await trx("registrations").where({ participant_id: merged.participant_id });
+        for (const theirs of theirRegistrations) {
+            const ours = await trx("registrations")
+                .where({ participant_id: keep.participant_id, event_occurrence_id: theirs.event_occurrence_id })
+                .first();
+            if (!ours) {
+                await trx("registrations").where({ registration_id: theirs.registration_id }).update({ participant_id: keep.participant_id });
+                continue;
+            }
+            if (registrationRank(theirs) > registrationRank(ours)) {
+                await trx("registrations").where({ registration_id: ours.registration_id }).update({
+                    registration_status: theirs.registration_status,
+                    registration_date: theirs.registration_date,
+                    deletion_id: theirs.deletion_id
+                });
+            }
+            await trx("registrations").where({ registration_id: theirs.registration_id }).del();
+            // Two seats became one, so someone on the waitlist may get in
+            if (theirs.registration_status === "registered" && ours.registration_status === "registered") {
+                seatsFreed.push(theirs.event_occurrence_id);
+            }
+        }
+        for (const eventId of seatsFreed) {
+            const event = await registrations.lockEvent(trx, eventId);
+            if (event) await registrations.promoteFromWaitlist(trx, event);
+        }
+
+        // The merged record goes away before the kept one is updated, so its email is free to take over
+        const fromMerged = Object.fromEntries(Object.keys(MERGE_FIELDS)
+            .filter(field => useMerged.includes(field))
+            .map(field => [field, merged[field]]));
+        await trx("participants").where({ participant_id: merged.participant_id }).del();
+        const { deletion_id, ...mergedValues } = merged;
+        await audit.record(trx, actor, {
+            entity: "participants",
+            entityId: merged.participant_id,
+            action: "merge",
+            before: mergedValues,
+            after: { merged_into: keep.participant_id }
+        });
+
+        // Only one of the two profile pictures survives the merge
+        const [keptPicture, otherPicture] = "profilePictureUrl" in fromMerged
+            ? [merged.profilePictureUrl, keep.profilePictureUrl]
+            : [keep.profilePictureUrl, merged.profilePictureUrl];
+        const unusedPicture = otherPicture !== keptPicture ? otherPicture : null;
+
+        if (Object.keys(fromMerged).length === 0) return { participant: keep, unusedPicture };
+        return { participant: await audit.update(trx, actor, "participants", keep.participant_id, fromMerged), unusedPicture };
+    });
+
+    return { findDuplicates, dismiss, relatedCounts, mergeParticipants };
+}
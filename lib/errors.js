@@ -0,0 +1,14 @@
+// Errors
+// Problems caused by what someone typed, uploaded or sent us (a survey question without choices, a file that
+// isn't a picture, a webhook with a bad signature, ...) are thrown as a UserError. Its message is safe to show
+// on screen, so routes catch it and tell the person what to fix instead of showing a generic error page.
+
+export class UserError extends Error {
+    // status: the HTTP status to answer with (400 by default, 404 when something's missing, 409 for a conflict)
+    // field: the form box it's about, when it's about one (so the message can go right under it)
+    constructor(message, status = 400, field = null) {
+        super(message);
+        this.status = status;
+        this.field = field;
+    }
+}
@@ -0,0 +1,152 @@
+// List Exports
+// Grant reports need the WHOLE filtered list, not just the 100 rows on one page.
+// The export links on each list page call streamExport() with the same query the page uses
+// (same search, same "you only see your own records" rules from lib/lists.js), minus the paging.
+// Rows are streamed straight from the database to the download one at a time, so even a
+// very large export never has to fit in memory.
+
+import ExcelJS from "exceljs";
+import { toCsvLine } from "./csv.js";
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8" },
+    xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }
+};
+
+// The columns in each export, in order. "type" controls how a value is written out:
+//   date     - a calendar date (donation dates, birthdays)
+//   datetime - a date and time (event start times)
+//   number   - so Excel treats it as a number instead of text
+// "when" hides a column from some people, e.g. seat counts are only shown to staff who see every event.
+const EXPORT_COLUMNS = {
+    participants: [
+        { header: "Participant ID", key: "participant_id", type: "number" },
+        { header: "First Name", key: "first_name" },
+        { header: "Last Name", key: "last_name" },
+        { header: "Email", key: "email" },
+        { header: "Phone", key: "phone" },
+        { header: "Date of Birth", key: "dob", type: "date" },
+        { header: "City", key: "city" },
+        { header: "State", key: "state" },
+        { header: "Zip Code", key: "zip_code" },
+        { header: "School or Employer", key: "school_or_employer" }
+    ],
+    donations: [
+        { header: "Donation ID", key: "donation_id", type: "number" },
+        { header: "Participant ID", key: "participant_id", type: "number" },
+        { header: "First Name", key: "first_name" },
+        { header: "Last Name", key: "last_name" },
+        { header: "Date", key: "donation_date", type: "date" },
+        { header: "Amount", key: "donation_amount", type: "number" }
+    ],
+    surveys: [
+        { header: "Survey ID", key: "survey_id", type: "number" },
+        { header: "First Name", key: "first_name" },
+        { header: "Last Name", key: "last_name" },
+        { header: "Event", key: "event_name" },
+        { header: "Event Date", key: "start_time", type: "datetime" },
+        { header: "Satisfaction", key: "score_satisfaction", type: "number" },
+        { header: "Usefulness", key: "score_usefulness", type: "number" },
+        { header: "Instructor", key: "score_instructor", type: "number" },
+        { header: "Recommendation", key: "score_recommendation", type: "number" },
+        { header: "Overall", key: "score_overall", type: "number" },
+        { header: "Comments", key: "comments" },
+        { header: "Submitted", key: "submission_date", type: "date" }
+    ],
+    events: [
+        { header: "Event ID", key: "event_occurrence_id", type: "number" },
+        { header: "Event", key: "event_name" },
+        { header: "Location", key: "location_name" },
+        { header: "Start", key: "start_time", type: "datetime" },
+        { header: "End", key: "end_time", type: "datetime" },
+        { header: "Capacity", key: "capacity", type: "number" },
+        { header: "Registered", key: "registered_count", type: "number", when: (scope) => !scope },
+        { header: "Waitlisted", key: "waitlisted_count", type: "number", when: (scope) => !scope },
+        { header: "My Status", key: "registration_status", when: (scope) => !!scope }
+    ],
+    milestones: [
+        { header: "Milestone ID", key: "milestone_id", type: "number" },
+        { header: "Participant ID", key: "participant_id", type: "number" },
+        { header: "First Name", key: "first_name" },
+        { header: "Last Name", key: "last_name" },
+        { header: "Milestone", key: "milestone_title" },
+        { header: "Date", key: "milestone_date", type: "date" }
+    ]
+};
+
+export const EXPORTABLE_LISTS = Object.keys(EXPORT_COLUMNS);
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// DATE columns come back from the database as local midnight, so we read them with local getters.
+const formatDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const formatDateTime = (d) => `${formatDate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+
+// Turns one database value into what goes in a CSV cell.
+const csvValue = (column, value) => {
+    if (value === null || value === undefined) return "";
+    if (value instanceof Date) return column.type === "datetime" ? formatDateTime(value) : formatDate(value);
+    return value;
+};
+
+// Turns one database value into an Excel cell. Excel has no time zones, so dates are written
+// as if the local time were UTC; that way the cell shows the same date and time as the web page.
+const xlsxValue = (column, value) => {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) {
+        return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate(),
+            column.type === "datetime" ? value.getHours() : 0, column.type === "datetime" ? value.getMinutes() : 0));
+    }
+    if (column.type === "number" && value !== "") return Number(value);
+    return value;
+};
+
+// Waits until the download has room for more data (or the person gave up and closed it).
+const drained = (res) => new Promise(resolve => {
+    res.once("drain", resolve);
+    res.once("close", resolve);
+});
+
+// Streams every row of "query" to the response as a CSV or XLSX download called "<name>-<today>.<format>".
+// "scope" is the same who-is-looking value the list was built with (see lib/lists.js).
+export async function streamExport(res, { name, format, query, scope }) {
+    const columns = EXPORT_COLUMNS[name].filter(c => !c.when || c.when(scope));
+    const fileName = `${name}-${formatDate(new Date())}.${format}`;
+
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    const rows = query.stream();
+
+    if (format === "csv") {
+        // The byte order mark tells Excel the file is UTF-8, so accented names show up correctly
+        res.write("\uFEFF" + toCsvLine(columns.map(c => c.header)));
+        for await (const row of rows) {
+            if (res.destroyed) break;
+            if (!res.write(toCsvLine(columns.map(c => csvValue(c, row[c.key]))))) await drained(res);
+        }
+        res.end();
+        return;
+    }
+
+    // XLSX: ExcelJS's streaming writer writes each row out as soon as it's committed
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(name.charAt(0).toUpperCase() + name.slice(1));
+    sheet.columns = columns.map(c => ({
+        header: c.header,
+        key: c.key,
+        width: Math.max(c.header.length + 2, 12),
+        style: c.type === "date" ? { numFmt: "yyyy-mm-dd" } : c.type === "datetime" ? { numFmt: "yyyy-mm-dd hh:mm" } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const row of rows) {
+        if (res.destroyed) break;
+        const values = {};
+        columns.forEach(c => { values[c.key] = xlsxValue(c, row[c.key]); });
+        sheet.addRow(values).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+}
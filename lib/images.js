@@ -0,0 +1,78 @@
+// Profile Pictures
+// Whatever people upload is checked and turned into two small square WebP pictures before it's saved:
+// a 512px one for profile pages and a 128px thumbnail for lists. Re-encoding the picture also drops its
+// metadata (camera details, GPS location and so on), after using the camera's rotation to turn it upright.
+// The files are saved through lib/storage.js under a random name, never the name it had on someone's computer.
+
+import crypto from "crypto";
+import sharp from "sharp";
+import { UserError } from "./errors.js";
+
+// multer stops reading an upload at this size (see createApp() in app.js)
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+// A small file can still be a huge picture once it's decoded, so the width x height is capped too
+const MAX_PIXELS = 40 * 1000 * 1000;
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp", "gif"];
+const SIZES = { full: 512, thumb: 128 };
+const FOLDER = "profile-pics";
+
+// Checks an uploaded file and returns { full, thumb }, each a WebP picture (as a Buffer).
+// We look at what's actually inside the file, since its name and the type the browser sends can be anything.
+export async function processProfilePicture(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch {
+        throw new UserError("That file isn't a picture. Please upload a JPEG, PNG, WebP or GIF image.");
+    }
+    if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+        throw new UserError("Please upload a JPEG, PNG, WebP or GIF image.");
+    }
+    if (metadata.width * metadata.height > MAX_PIXELS) {
+        throw new UserError("That picture is too large. Please upload one under 40 megapixels.");
+    }
+
+    // Cropped to a square from the middle, since pictures are always shown in a circle.
+    // Small pictures aren't stretched up.
+    const resize = (size) => sharp(buffer, { limitInputPixels: MAX_PIXELS })
+        .rotate()
+        .resize(size, size, { fit: "cover", withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer();
+
+    return { full: await resize(SIZES.full), thumb: await resize(SIZES.thumb) };
+}
+
+// Saves both sizes of a processed picture and returns the web address of the big one.
+export async function saveProfilePicture(storage, { full, thumb }) {
+    const name = crypto.randomBytes(16).toString("hex");
+    await storage.save(`${FOLDER}/${name}-thumb.webp`, thumb, "image/webp");
+    return storage.save(`${FOLDER}/${name}.webp`, full, "image/webp");
+}
+
+// The thumbnail's address for a profile picture. Pictures uploaded before we made thumbnails just use the picture itself.
+export const thumbnailUrl = (url) => {
+    if (!url) return url;
+    return /\/profile-pics\/[0-9a-f]{32}\.webp$/.test(url) ? url.replace(/\.webp$/, "-thumb.webp") : url;
+};
+
+// Deletes a profile picture and its thumbnail from storage
+export async function removeProfilePicture(storage, url) {
+    if (!url) return;
+    const thumb = thumbnailUrl(url);
+    if (thumb !== url) await storage.remove(thumb);
+    await storage.remove(url);
+}
+
+// For pictures nothing points at anymore: replaced, removed, or their participant was purged or merged away.
+// The database has already changed by the time this runs, so a file that won't delete is only logged.
+// It shouldn't stop the change from going through.
+export async function discardProfilePictures(storage, urls) {
+    for (const url of urls.filter(Boolean)) {
+        try {
+            await removeProfilePicture(storage, url);
+        } catch (err) {
+            console.error("Couldn't delete old picture", url, err);
+        }
+    }
+}
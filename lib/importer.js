@@ -0,0 +1,280 @@
+// CSV Imports
+// Managers can upload a spreadsheet of participants, donations or milestones instead of typing each row.
+// Importing happens in two passes:
+//   1. planImport()  - checks every row and decides what it WOULD do (create, update, skip or reject).
+//                      Nothing is saved; this is the "dry run" preview.
+//   2. runImport()   - plans again (in case the database changed since the preview) and saves every
+//                      good row inside one transaction. If anything fails, nothing is saved at all.
+// People are matched by email, the same way the public donate page does it.
+
+// What each import type can fill in. "aliases" are other column headers we recognize automatically
+// when guessing which spreadsheet column goes with which field.
+export const IMPORT_TYPES = {
+    participants: {
+        label: "Participants",
+        fields: [
+            { key: "first_name", label: "First Name", required: true, aliases: ["first", "firstname", "given name"] },
+            { key: "last_name", label: "Last Name", required: true, aliases: ["last", "lastname", "surname", "family name"] },
+            { key: "email", label: "Email", type: "email", aliases: ["email address", "e-mail"] },
+            { key: "phone", label: "Phone", aliases: ["phone number", "cell", "mobile"] },
+            { key: "dob", label: "Date of Birth", type: "date", aliases: ["birthday", "birth date", "birthdate"] },
+            { key: "city", label: "City" },
+            { key: "state", label: "State" },
+            { key: "zip_code", label: "Zip Code", aliases: ["zip", "postal code", "zipcode"] },
+            { key: "school_or_employer", label: "School or Employer", aliases: ["school", "employer"] }
+        ]
+    },
+    donations: {
+        label: "Donations",
+        fields: [
+            { key: "email", label: "Donor Email", required: true, type: "email", aliases: ["email", "email address"] },
+            { key: "first_name", label: "Donor First Name", aliases: ["first name", "first", "firstname"] },
+            { key: "last_name", label: "Donor Last Name", aliases: ["last name", "last", "lastname"] },
+            { key: "donation_amount", label: "Amount", required: true, type: "amount", aliases: ["amount", "donation", "gift"] },
+            { key: "donation_date", label: "Date", required: true, type: "date", aliases: ["date", "donation date", "gift date"] }
+        ]
+    },
+    milestones: {
+        label: "Milestones",
+        fields: [
+            { key: "email", label: "Participant Email", required: true, type: "email", aliases: ["email", "email address"] },
+            { key: "milestone_title", label: "Milestone", required: true, aliases: ["milestone", "title", "achievement"] },
+            { key: "milestone_date", label: "Date", required: true, type: "date", aliases: ["date", "milestone date"] }
+        ]
+    }
+};
+
+// The most rows we accept in one file, so one huge spreadsheet can't tie up the server.
+export const MAX_IMPORT_ROWS = 5000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Makes header names comparable: "First Name", "first_name" and "FIRSTNAME" all become "firstname".
+const simplify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Picks a spreadsheet column for each field by comparing header names. Returns { fieldKey: headerName }.
+export function guessMapping(type, headers) {
+    const mapping = {};
+    IMPORT_TYPES[type].fields.forEach(field => {
+        const names = [field.key, field.label, ...(field.aliases || [])].map(simplify);
+        const match = headers.find(h => names.includes(simplify(h)));
+        if (match) mapping[field.key] = match;
+    });
+    return mapping;
+}
+
+// Accepts 2025-01-31 or 1/31/2025 and returns "2025-01-31", or null if it isn't a real date.
+function parseDate(text) {
+    let year, month, day;
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+        [, month, day, year] = match.map(Number);
+    } else {
+        return null;
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+// Dates from the database come back as JavaScript Dates at local midnight. This turns one back into "2025-01-31".
+const toDateString = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0")
+].join("-");
+
+// Accepts "25", "25.50", "$1,200.00" and returns a number, or null if it isn't a positive amount.
+function parseAmount(text) {
+    const cleaned = text.replace(/[$,\s]/g, "");
+    if (!/^\d+(\.\d{1,2})?$/.test(cleaned)) return null;
+    const amount = Number(cleaned);
+    return amount > 0 ? amount : null;
+}
+
+// Pulls the mapped values out of one spreadsheet row and checks their format.
+// Returns { values, errors }. Blank optional fields are left out of "values".
+function readRow(type, record, mapping) {
+    const values = {};
+    const errors = [];
+
+    IMPORT_TYPES[type].fields.forEach(field => {
+        const header = mapping[field.key];
+        const raw = header ? (record[header] ?? "").trim() : "";
+
+        if (!raw) {
+            if (field.required) errors.push(`${field.label} is required.`);
+            return;
+        }
+
+        if (field.type === "date") {
+            const date = parseDate(raw);
+            if (!date) errors.push(`${field.label} "${raw}" isn't a valid date (use YYYY-MM-DD or MM/DD/YYYY).`);
+            else values[field.key] = date;
+        } else if (field.type === "amount") {
+            const amount = parseAmount(raw);
+            if (amount === null) errors.push(`${field.label} "${raw}" must be a positive dollar amount.`);
+            else values[field.key] = amount;
+        } else if (field.type === "email") {
+            if (!EMAIL_PATTERN.test(raw)) errors.push(`${field.label} "${raw}" isn't a valid email address.`);
+            else values[field.key] = raw;
+        } else {
+            values[field.key] = raw;
+        }
+    });
+
+    return { values, errors };
+}
+
+export function createImporter(db, { audit }) {
+
+    // Works out what would happen to every row, without saving anything.
+    // "conn" is the database (or a transaction). Each row in the result looks like:
+    //   { rowNumber, action: 'create'|'update'|'skip'|'reject', values, messages: [...], ... }
+    const planImport = async (conn, type, records, mapping) => {
+        const rows = records.map((record, i) => ({
+            // +2 because spreadsheets start counting at 1 and the first row is the header
+            rowNumber: i + 2,
+            ...readRow(type, record, mapping)
+        }));
+
+        // Look up everyone mentioned in the file in one query (people in the trash count as new)
+        const emails = [...new Set(rows.map(r => r.values.email).filter(Boolean))];
+        const existing = emails.length
+            ? await conn("participants").whereIn("email", emails).whereNull("deletion_id").select("*")
+            : [];
+        const participantsByEmail = new Map(existing.map(p => [p.email, p]));
+
+        const milestoneTypes = type === "milestones" ? await conn("milestone_types").select("*") : [];
+        const seenEmails = new Map();
+
+        for (const row of rows) {
+            row.messages = [...row.errors];
+            if (row.errors.length) {
+                row.action = "reject";
+                continue;
+            }
+            const participant = row.values.email ? participantsByEmail.get(row.values.email) : null;
+
+            if (type === "participants") {
+                // The same person twice in one file is almost always a copy/paste mistake
+                if (row.values.email && seenEmails.has(row.values.email)) {
+                    row.action = "reject";
+                    row.messages.push(`This email already appears on row ${seenEmails.get(row.values.email)}.`);
+                    continue;
+                }
+                if (row.values.email) seenEmails.set(row.values.email, row.rowNumber);
+
+                if (!participant) {
+                    row.action = "create";
+                    continue;
+                }
+                // Only fill in the columns that were in the file and are actually different
+                row.participantId = participant.participant_id;
+                row.changes = {};
+                Object.entries(row.values).forEach(([key, value]) => {
+                    const current = participant[key] instanceof Date ? toDateString(participant[key]) : participant[key];
+                    if (String(current ?? "") !== String(value)) row.changes[key] = value;
+                });
+                const changed = Object.keys(row.changes);
+                row.action = changed.length ? "update" : "skip";
+                row.messages.push(changed.length
+                    ? `Updates ${changed.join(", ")} for participant #${participant.participant_id}.`
+                    : `Participant #${participant.participant_id} already has these details.`);
+            }
+
+            if (type === "donations") {
+                row.action = "create";
+                if (participant) {
+                    row.participantId = participant.participant_id;
+                    row.messages.push(`Donor: ${participant.first_name} ${participant.last_name} (#${participant.participant_id}).`);
+                } else if (row.values.first_name && row.values.last_name) {
+                    // Just like the donate page: unknown donors get a basic participant record
+                    row.messages.push("New donor; a participant record will be created.");
+                } else {
+                    row.action = "reject";
+                    row.messages.push("No participant has this email. Add first and last name columns to create one.");
+                }
+            }
+
+            if (type === "milestones") {
+                const milestoneType = milestoneTypes.find(t => simplify(t.milestone_title) === simplify(row.values.milestone_title));
+                if (!participant) row.messages.push("No participant has this email.");
+                if (!milestoneType) row.messages.push(`"${row.values.milestone_title}" isn't one of our milestone types.`);
+                if (!participant || !milestoneType) {
+                    row.action = "reject";
+                    continue;
+                }
+                row.participantId = participant.participant_id;
+                row.milestoneTypeId = milestoneType.milestone_type_id;
+
+                const duplicate = await conn("milestones")
+                    .where({ participant_id: participant.participant_id, milestone_type_id: milestoneType.milestone_type_id, milestone_date: row.values.milestone_date })
+                    .whereNull("deletion_id")
+                    .first();
+                row.action = duplicate ? "skip" : "create";
+                row.messages.push(duplicate
+                    ? "This milestone is already recorded."
+                    : `For ${participant.first_name} ${participant.last_name} (#${participant.participant_id}).`);
+            }
+        }
+
+        return rows;
+    };
+
+    // Adds up how many rows fall into each action, for the preview and the final summary.
+    const summarize = (rows) => {
+        const counts = { create: 0, update: 0, skip: 0, reject: 0 };
+        rows.forEach(r => counts[r.action]++);
+        return counts;
+    };
+
+    // Saves the planned rows. Must be called inside a transaction.
+    // Every saved row gets an audit entry from "actor", like it would if it had been typed in by hand.
+    const applyPlan = async (trx, type, rows, actor) => {
+        // Donations for a brand new donor create that person once, even if they gave more than once
+        const createdDonors = new Map();
+
+        for (const row of rows) {
+            if (row.action === "create" && type === "participants") {
+                await audit.create(trx, actor, "participants", row.values);
+            }
+            if (row.action === "update" && type === "participants") {
+                await audit.update(trx, actor, "participants", row.participantId, row.changes);
+            }
+            if (row.action === "create" && type === "donations") {
+                let participantId = row.participantId || createdDonors.get(row.values.email);
+                if (!participantId) {
+                    const { email, first_name, last_name } = row.values;
+                    const newP = await audit.create(trx, actor, "participants", { first_name, last_name, email });
+                    participantId = newP.participant_id;
+                    createdDonors.set(email, participantId);
+                }
+                await audit.create(trx, actor, "donations", {
+                    participant_id: participantId,
+                    donation_amount: row.values.donation_amount,
+                    donation_date: row.values.donation_date
+                });
+            }
+            if (row.action === "create" && type === "milestones") {
+                await audit.create(trx, actor, "milestones", {
+                    participant_id: row.participantId,
+                    milestone_type_id: row.milestoneTypeId,
+                    milestone_date: row.values.milestone_date
+                });
+            }
+        }
+    };
+
+    // Plans and saves the whole file in one transaction. Rejected and skipped rows are left out.
+    // "actor" is the person who ran the import (see lib/audit.js); its source should be 'import'.
+    const runImport = (type, records, mapping, actor) => db.transaction(async (trx) => {
+        const rows = await planImport(trx, type, records, mapping);
+        await applyPlan(trx, type, rows, actor);
+        return summarize(rows);
+    });
+
+    return { planImport, summarize, runImport };
+}
@@ -0,0 +1,143 @@
+// Survey Invitations
+// When an event ends, everyone who was registered for it gets an email with a link to its survey.
+// If they still haven't filled it out after a few days (the "reminder delay", which managers can change
+// on the Survey Builder page), they get one reminder. Emails go out through lib/mailer.js, so in
+// development they just show up in the terminal or in the mail-outbox folder.
+//
+// The survey_invitations table remembers who was emailed about which event, so running the job again
+// (or on several servers) never sends the same email twice.
+
+export const DEFAULT_REMINDER_DAYS = 3;
+const REMINDER_SETTING = "survey_reminder_days";
+
+// Only events that ended this recently get invitations. Without this, the first run would email
+// everyone about every event the organization ever held.
+const INVITE_WINDOW_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createSurveyInvitations(db, { mailer, settings, baseUrl }) {
+
+    // How many days to wait before the reminder. 0 means no reminders.
+    const getReminderDays = async () => {
+        const days = parseInt(await settings.get(REMINDER_SETTING, DEFAULT_REMINDER_DAYS));
+        return Number.isNaN(days) || days < 0 ? DEFAULT_REMINDER_DAYS : days;
+    };
+    const setReminderDays = (days) => settings.set(REMINDER_SETTING, days);
+
+    // People who were registered for an event that has ended and haven't done its survey yet, with
+    // the event's details. Trashed people, events and registrations are skipped, and so is anyone without an email.
+    const pendingSurveys = () => db("registrations")
+        .join("participants", "registrations.participant_id", "participants.participant_id")
+        .join("event_occurrences", "registrations.event_occurrence_id", "event_occurrences.event_occurrence_id")
+        .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+        .leftJoin("survey_invitations", function() {
+            this.on("survey_invitations.participant_id", "=", "registrations.participant_id")
+                .andOn("survey_invitations.event_occurrence_id", "=", "registrations.event_occurrence_id");
+        })
+        .where("registrations.registration_status", "registered")
+        .whereNull("registrations.deletion_id")
+        .whereNull("participants.deletion_id")
+        .whereNull("event_occurrences.deletion_id")
+        .whereNotNull("participants.email")
+        .where("event_occurrences.end_time", "<", new Date())
+        .whereNotExists(function() {
+            this.select(db.raw(1)).from("surveys")
+                .whereRaw("surveys.participant_id = registrations.participant_id")
+                .whereRaw("surveys.event_occurrence_id = registrations.event_occurrence_id")
+                .whereNull("surveys.deletion_id");
+        })
+        .select(
+            "participants.participant_id", "participants.first_name", "participants.email",
+            "event_occurrences.event_occurrence_id", "event_occurrences.start_time", "event_occurrences.end_time", "event_templates.event_name",
+            "survey_invitations.invited_at", "survey_invitations.reminded_at"
+        );
+
+    const surveyEmail = (person, { reminder }) => {
+        const link = `${baseUrl}/survey/${person.event_occurrence_id}`;
+        const when = new Date(person.start_time).toLocaleDateString();
+        return {
+            to: person.email,
+            subject: reminder
+                ? `Reminder: how was ${person.event_name}?`
+                : `Thanks for coming to ${person.event_name}! Tell us how it went`,
+            text: `Hi ${person.first_name || "there"},\n\n` +
+                  (reminder
+                      ? `We'd still love to hear what you thought of ${person.event_name} on ${when}. `
+                      : `Thanks for joining us at ${person.event_name} on ${when}! `) +
+                  `It only takes a minute to fill out the survey (you'll need to log in first):\n\n${link}\n\n` +
+                  `Your answers help us make the next one even better.`
+        };
+    };
+
+    // Sends every invitation and reminder that's due. Returns { invited, reminded }.
+    // One email failing (a bad address, the mail service hiccuping) doesn't stop the rest; it's tried again next run.
+    const sendDue = async () => {
+        const reminderDays = await getReminderDays();
+        const windowStart = new Date(Date.now() - INVITE_WINDOW_DAYS * DAY_MS);
+        const reminderCutoff = new Date(Date.now() - reminderDays * DAY_MS);
+        let invited = 0;
+        let reminded = 0;
+
+        for (const person of await pendingSurveys()) {
+            const key = { participant_id: person.participant_id, event_occurrence_id: person.event_occurrence_id };
+            try {
+                if (!person.invited_at) {
+                    if (new Date(person.end_time) < windowStart) continue;
+                    // Claim the invitation first, so two servers running the job at once can't both send it
+                    const claimed = await db("survey_invitations").insert(key).onConflict(["participant_id", "event_occurrence_id"]).ignore().returning("participant_id");
+                    if (claimed.length === 0) continue;
+                    try {
+                        await mailer.sendMail(surveyEmail(person, { reminder: false }));
+                    } catch (err) {
+                        await db("survey_invitations").where(key).del();
+                        throw err;
+                    }
+                    invited++;
+                } else if (reminderDays > 0 && !person.reminded_at && new Date(person.invited_at) < reminderCutoff) {
+                    const claimed = await db("survey_invitations").where(key).whereNull("reminded_at").update({ reminded_at: new Date() });
+                    if (claimed === 0) continue;
+                    try {
+                        await mailer.sendMail(surveyEmail(person, { reminder: true }));
+                    } catch (err) {
+                        await db("survey_invitations").where(key).update({ reminded_at: null });
+                        throw err;
+                    }
+                    reminded++;
+                }
+            } catch (err) {
+                console.error(`Survey invitation for participant ${person.participant_id}, event ${person.event_occurrence_id} failed:`, err);
+            }
+        }
+        return { invited, reminded };
+    };
+
+    // Invitation counts for the Survey Builder page: how many went out, how many got a reminder,
+    // and how many of those people have since filled out the survey.
+    const stats = () => db("survey_invitations")
+        .leftJoin("surveys", function() {
+            this.on("surveys.participant_id", "=", "survey_invitations.participant_id")
+                .andOn("surveys.event_occurrence_id", "=", "survey_invitations.event_occurrence_id")
+                .andOnNull("surveys.deletion_id");
+        })
+        .select(
+            db.raw("COUNT(*)::int AS invited"),
+            db.raw("COUNT(survey_invitations.reminded_at)::int AS reminded"),
+            db.raw("COUNT(surveys.survey_id)::int AS responded")
+        )
+        .first();
+
+    // Runs the invitation job once now and then every "hours" hours. Returns the timer so it can be stopped.
+    const startJob = (hours) => {
+        const run = () => sendDue()
+            .then(({ invited, reminded }) => {
+                if (invited + reminded > 0) console.log(`Survey job: sent ${invited} invitation(s) and ${reminded} reminder(s)`);
+            })
+            .catch(err => console.error("Survey Job Error:", err));
+        run();
+        // unref() so a pending timer never keeps the process alive on its own
+        return setInterval(run, hours * 60 * 60 * 1000).unref();
+    };
+
+    return { getReminderDays, setReminderDays, sendDue, stats, startJob };
+}
@@ -0,0 +1,327 @@
+// List Queries
+// The participant, donation, survey, event, milestone, user (and audit log) lists all work the same way:
+// join the tables we need, limit regular users to their own rows, apply the search box ("q"),
+// then count the matches and grab one page of them.
+// Both the web pages and the JSON API (routes/api.js) build their lists from the definitions here,
+// so a search returns exactly the same rows no matter where it is asked from.
+//
+// "scope" tells a list who is looking:
+//   null                  -> they can see everyone's records
+//   { participantId: 12 } -> they can only see records that belong to participant 12
+//
+// Some lists also take "filters" (like a pledge's status) on top of the search box.
+// Records in the trash (deletion_id is set, see lib/trash.js) never show up in any list.
+
+import { PLEDGE_GRACE_DAYS } from "./pledges.js";
+
+// Shared helper for the "who is looking" part: only keep rows that belong to the scoped participant.
+const limitToOwner = (builder, column, scope) => {
+    if (scope) builder.where(column, scope.participantId ?? null);
+};
+
+export function createListQueries(db) {
+
+    // Builds a subquery with how many people hold a seat (and how many are waiting, and how many
+    // actually checked in) for each event.
+    // Join it in as "seat_counts" wherever we need to show how full an event is.
+    const registrationCounts = () => db("registrations")
+        .whereNull("registrations.deletion_id")
+        .select("event_occurrence_id")
+        .select(db.raw("COUNT(*) FILTER (WHERE registration_status = 'registered')::int AS registered_count"))
+        .select(db.raw("COUNT(*) FILTER (WHERE registration_status = 'waitlisted')::int AS waitlisted_count"))
+        .select(db.raw("COUNT(*) FILTER (WHERE checked_in_at IS NOT NULL)::int AS attended_count"))
+        .groupBy("event_occurrence_id")
+        .as("seat_counts");
+
+    // Adds up each pledge's installments: how many there are, how many are unpaid or badly overdue,
+    // and how much has come in. Joined in as "pledge_totals".
+    const pledgeTotals = () => db("pledge_installments")
+        .select("pledge_id")
+        .select(db.raw("COUNT(*)::int AS installment_count"))
+        .select(db.raw("COUNT(*) FILTER (WHERE donation_id IS NULL)::int AS unpaid_count"))
+        .select(db.raw("COUNT(*) FILTER (WHERE donation_id IS NULL AND due_date < CURRENT_DATE - ?::int)::int AS overdue_count", [PLEDGE_GRACE_DAYS]))
+        .select(db.raw("COALESCE(SUM(expected_amount) FILTER (WHERE donation_id IS NOT NULL), 0) AS received_total"))
+        .groupBy("pledge_id")
+        .as("pledge_totals");
+
+    // Works out a pledge's status (see lib/pledges.js for what each one means)
+    const pledgeStatus = `CASE
+        WHEN pledges.cancelled_at IS NOT NULL THEN 'cancelled'
+        WHEN COALESCE(pledge_totals.overdue_count, 0) > 0 THEN 'lapsed'
+        WHEN COALESCE(pledge_totals.unpaid_count, 0) = 0 AND COALESCE(pledge_totals.installment_count, 0) > 0
+             AND (pledges.frequency = 'once' OR pledges.end_date < CURRENT_DATE) THEN 'fulfilled'
+        ELSE 'outstanding' END`;
+
+    // Events are found by name, place or date (on the Events page and the Upcoming Events page alike)
+    const searchEvents = (builder, q) => builder.andWhere(sub => {
+        sub.where('event_templates.event_name', 'ilike', `%${q}%`)
+           .orWhere('locations.location_name', 'ilike', `%${q}%`)
+           .orWhereRaw("TO_CHAR(event_occurrences.start_time, 'MM/DD/YYYY') ILIKE ?", [`%${q}%`]);
+    });
+
+    // Each list has:
+    //   from(scope)          - the tables (and who-can-see-what rules)
+    //   select(builder, scope) - the columns to return
+    //   search(builder, q)   - what the search box matches against
+    //   countColumn / orderBy - for counting and sorting
+    //   filter(builder, filters) - (optional) extra filters besides the search box
+    const lists = {
+        participants: {
+            countColumn: "participant_id",
+            orderBy: [["participant_id", "asc"]],
+            from: (scope) => {
+                const builder = db("participants").whereNull("participants.deletion_id");
+                limitToOwner(builder, "participant_id", scope);
+                return builder;
+            },
+            // Named one by one so secrets like calendar_token (the private feed link) never end up in a list or the API
+            select: (builder) => builder.select("participant_id", "first_name", "last_name", "email", "phone", "dob", "city",
+                "state", "zip_code", "school_or_employer", "profilePictureUrl"),
+            // Check names, emails, and cities
+            search: (builder, q) => builder.andWhere(sub => {
+                sub.where('first_name', 'ilike', `%${q}%`)
+                   .orWhere('last_name', 'ilike', `%${q}%`)
+                   .orWhereRaw("CONCAT(first_name, ' ', last_name) ILIKE ?", [`%${q}%`])
+                   .orWhere('email', 'ilike', `%${q}%`)
+                   .orWhere('city', 'ilike', `%${q}%`);
+            })
+        },
+
+        donations: {
+            countColumn: "donations.donation_id",
+            orderBy: [["donations.donation_date", "desc"]],
+            from: (scope) => {
+                const builder = db("donations")
+                    .join("participants", "donations.participant_id", "participants.participant_id")
+                    .whereNull("donations.deletion_id");
+                limitToOwner(builder, "donations.participant_id", scope);
+                return builder;
+            },
+            select: (builder) => builder.select("donations.*", "participants.first_name", "participants.last_name"),
+            // By donor name, amount, or date
+            search: (builder, q) => builder.andWhere(sub => {
+                sub.where('participants.first_name', 'ilike', `%${q}%`)
+                   .orWhere('participants.last_name', 'ilike', `%${q}%`)
+                   .orWhereRaw("CONCAT(participants.first_name, ' ', participants.last_name) ILIKE ?", [`%${q}%`]);
+
+                if (!isNaN(q)) {
+                    sub.orWhere('donation_amount', '=', q);
+                }
+                sub.orWhereRaw("TO_CHAR(donations.donation_date, 'MM/DD/YYYY') ILIKE ?", [`%${q}%`])
+                   .orWhereRaw("TO_CHAR(donations.donation_date, 'YYYY-MM-DD') ILIKE ?", [`%${q}%`])
+                   .orWhereRaw("TO_CHAR(donations.donation_date, 'Month') ILIKE ?", [`%${q}%`]);
+            })
+        },
+
+        surveys: {
+            countColumn: "surveys.survey_id",
+            orderBy: [["surveys.submission_date", "desc"]],
+            from: (scope) => {
+                const builder = db("surveys")
+                    .join("participants", "surveys.participant_id", "participants.participant_id")
+                    .join("event_occurrences", "surveys.event_occurrence_id", "event_occurrences.event_occurrence_id")
+                    .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+                    .whereNull("surveys.deletion_id");
+                limitToOwner(builder, "surveys.participant_id", scope);
+                return builder;
+            },
+            select: (builder) => builder.select("surveys.*", "participants.first_name", "participants.last_name", "event_templates.event_name", "event_occurrences.start_time"),
+            search: (builder, q) => builder.andWhere(sub => {
+                sub.where('participants.first_name', 'ilike', `%${q}%`)
+                   .orWhere('participants.last_name', 'ilike', `%${q}%`)
+                   .orWhereRaw("CONCAT(participants.first_name, ' ', participants.last_name) ILIKE ?", [`%${q}%`])
+                   .orWhere('event_templates.event_name', 'ilike', `%${q}%`)
+                   .orWhere('surveys.comments', 'ilike', `%${q}%`)
+                   .orWhereRaw("TO_CHAR(surveys.submission_date, 'MM/DD/YYYY') ILIKE ?", [`%${q}%`]);
+            })
+        },
+
+        events: {
+            countColumn: "event_occurrences.event_occurrence_id",
+            orderBy: [["event_occurrences.start_time", "desc"]],
+            from: (scope) => {
+                const builder = db("event_occurrences")
+                    .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+                    .join("locations", "event_occurrences.location_id", "locations.location_id")
+                    .whereNull("event_occurrences.deletion_id");
+
+                if (scope) {
+                    // Regular users only see events they signed up for, plus whether they did the survey
+                    const participantId = scope.participantId ?? null;
+                    builder.join("registrations", "event_occurrences.event_occurrence_id", "registrations.event_occurrence_id")
+                        .where("registrations.participant_id", participantId)
+                        .whereNot("registrations.registration_status", "cancelled")
+                        .leftJoin("surveys", function() {
+                            this.on("event_occurrences.event_occurrence_id", "=", "surveys.event_occurrence_id")
+                                .andOn("surveys.participant_id", "=", db.raw("?", [participantId]))
+                                .andOnNull("surveys.deletion_id");
+                        });
+                } else {
+                    // Staff get a live count of how full each event is
+                    builder.leftJoin(registrationCounts(), "event_occurrences.event_occurrence_id", "seat_counts.event_occurrence_id");
+                }
+                return builder;
+            },
+            select: (builder, scope) => {
+                builder.select("event_occurrences.*", "event_templates.event_name", "event_templates.event_description", "locations.location_name");
+                if (scope) {
+                    builder.select("surveys.survey_id", "registrations.registration_status", "registrations.checked_in_at");
+                } else {
+                    builder.select("seat_counts.registered_count", "seat_counts.waitlisted_count", "seat_counts.attended_count");
+                }
+                return builder;
+            },
+            search: searchEvents
+        },
+
+        // The Upcoming Events page: every event that hasn't started yet, soonest first, with how full it is.
+        // Everyone sees all of them. The scope only picks whose registration is shown next to each one.
+        upcomingEvents: {
+            countColumn: "event_occurrences.event_occurrence_id",
+            orderBy: [["event_occurrences.start_time", "asc"]],
+            from: (scope) => db("event_occurrences")
+                .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+                .join("locations", "event_occurrences.location_id", "locations.location_id")
+                .leftJoin(registrationCounts(), "event_occurrences.event_occurrence_id", "seat_counts.event_occurrence_id")
+                .leftJoin("registrations", function() {
+                    this.on("event_occurrences.event_occurrence_id", "=", "registrations.event_occurrence_id")
+                        .andOn("registrations.participant_id", "=", db.raw("?", [scope?.participantId ?? null]))
+                        .andOnNull("registrations.deletion_id");
+                })
+                .whereNull("event_occurrences.deletion_id")
+                .where("event_occurrences.start_time", ">", new Date()),
+            select: (builder) => builder.select("event_occurrences.*", "event_templates.event_name", "event_templates.event_description",
+                "locations.location_name", "seat_counts.registered_count", "seat_counts.waitlisted_count", "registrations.registration_status"),
+            search: searchEvents
+        },
+
+        milestones: {
+            countColumn: "milestones.milestone_id",
+            orderBy: [["milestones.milestone_date", "desc"]],
+            from: (scope) => {
+                const builder = db("milestones")
+                    .join("participants", "milestones.participant_id", "participants.participant_id")
+                    .join("milestone_types", "milestones.milestone_type_id", "milestone_types.milestone_type_id")
+                    .whereNull("milestones.deletion_id");
+                limitToOwner(builder, "milestones.participant_id", scope);
+                return builder;
+            },
+            select: (builder) => builder.select("milestones.*", "participants.first_name", "participants.last_name", "milestone_types.milestone_title"),
+            search: (builder, q) => builder.andWhere(sub => {
+                sub.where('participants.first_name', 'ilike', `%${q}%`)
+                   .orWhere('milestone_types.milestone_title', 'ilike', `%${q}%`)
+                   .orWhereRaw("TO_CHAR(milestones.milestone_date, 'MM/DD/YYYY') ILIKE ?", [`%${q}%`]);
+            })
+        },
+
+        pledges: {
+            countColumn: "pledges.pledge_id",
+            orderBy: [["pledges.start_date", "desc"], ["pledges.pledge_id", "desc"]],
+            from: (scope) => {
+                const builder = db("pledges")
+                    .join("participants", "pledges.participant_id", "participants.participant_id")
+                    .leftJoin(pledgeTotals(), "pledges.pledge_id", "pledge_totals.pledge_id")
+                    .whereNull("pledges.deletion_id");
+                limitToOwner(builder, "pledges.participant_id", scope);
+                return builder;
+            },
+            select: (builder) => builder.select("pledges.*", "participants.first_name", "participants.last_name", "participants.email",
+                                                "pledge_totals.installment_count", "pledge_totals.unpaid_count", "pledge_totals.received_total",
+                                                db.raw(`${pledgeStatus} AS status`)),
+            search: (builder, q) => builder.andWhere(sub => {
+                sub.where('participants.first_name', 'ilike', `%${q}%`)
+                   .orWhere('participants.last_name', 'ilike', `%${q}%`)
+                   .orWhereRaw("CONCAT(participants.first_name, ' ', participants.last_name) ILIKE ?", [`%${q}%`])
+                   .orWhere('participants.email', 'ilike', `%${q}%`);
+            }),
+            filter: (builder, { status }) => {
+                if (status) builder.whereRaw(`(${pledgeStatus}) = ?`, [status]);
+            }
+        },
+
+        users: {
+            countColumn: "users.user_id",
+            orderBy: [["users.user_id", "asc"]],
+            from: (scope) => {
+                const builder = db("users")
+                    .leftJoin("participants", "users.participant_id", "participants.participant_id")
+                    .whereNull("users.deletion_id");
+                limitToOwner(builder, "users.participant_id", scope);
+                return builder;
+            },
+            // Never send password hashes anywhere
+            select: (builder) => builder.select("users.user_id", "users.username", "users.role", "users.participant_id",
+                                                "participants.first_name", "participants.last_name"),
+            search: (builder, q) => builder.andWhere(sub => {
+                sub.where('users.username', 'ilike', `%${q}%`);
+            })
+        },
+
+        // The audit log (see lib/audit.js). Only people with "audit.view" get here, so there's no scope.
+        audit: {
+            countColumn: "audit_log.audit_id",
+            orderBy: [["audit_log.occurred_at", "desc"], ["audit_log.audit_id", "desc"]],
+            from: () => db("audit_log"),
+            select: (builder) => builder.select("audit_log.*"),
+            // The search box finds who made the change
+            search: (builder, q) => builder.andWhere(sub => {
+                sub.where('audit_log.actor_username', 'ilike', `%${q}%`);
+                if (/^\d+$/.test(q)) sub.orWhere('audit_log.actor_user_id', q);
+            }),
+            // from / to are "YYYY-MM-DD" dates; "to" includes that whole day
+            filter: (builder, { entity, entityId, action, source, from, to }) => {
+                if (entity) builder.where("audit_log.entity", entity);
+                if (entityId) builder.where("audit_log.entity_id", entityId);
+                if (action) builder.where("audit_log.action", action);
+                if (source) builder.where("audit_log.source", source);
+                if (from) builder.where("audit_log.occurred_at", ">=", from);
+                if (to) builder.whereRaw("audit_log.occurred_at < ?::date + 1", [to]);
+            }
+        },
+
+        // What's in the trash (see lib/trash.js), one row per Delete click. Only for "trash.manage", so no scope.
+        trash: {
+            countColumn: "deletions.deletion_id",
+            orderBy: [["deletions.deleted_at", "desc"], ["deletions.deletion_id", "desc"]],
+            from: () => db("deletions"),
+            select: (builder) => builder.select("deletions.*"),
+            search: (builder, q) => builder.andWhere(sub => {
+                sub.where('deletions.description', 'ilike', `%${q}%`)
+                   .orWhere('deletions.deleted_by_username', 'ilike', `%${q}%`);
+            }),
+            filter: (builder, { entity }) => {
+                if (entity) builder.where("deletions.entity", entity);
+            }
+        }
+    };
+
+    // Builds the full (un-paged) query for a list: tables, visibility rules, search and sort order.
+    const buildQuery = (name, { scope = null, search = null, filters = null } = {}) => {
+        const list = lists[name];
+        const builder = list.from(scope);
+        list.select(builder, scope);
+        if (search) list.search(builder, search);
+        if (filters && list.filter) list.filter(builder, filters);
+        list.orderBy.forEach(([column, direction]) => builder.orderBy(column, direction));
+        return builder;
+    };
+
+    // Counts every match, then fetches just the requested page of them.
+    const fetchPage = async (name, { scope = null, search = null, filters = null, page = 1, limit = 100 } = {}) => {
+        const list = lists[name];
+
+        // Step 1: Count how many total results match the search
+        const countQuery = list.from(scope).count(`${list.countColumn} as count`).first();
+        if (search) list.search(countQuery, search);
+        if (filters && list.filter) list.filter(countQuery, filters);
+        const countResult = await countQuery;
+        const totalCount = parseInt(countResult.count);
+
+        // Step 2: Get the actual slice of data for the current page
+        const rows = await buildQuery(name, { scope, search, filters }).limit(limit).offset((page - 1) * limit);
+
+        return { rows, totalCount, totalPages: Math.ceil(totalCount / limit) };
+    };
+
+    return { lists, buildQuery, fetchPage, registrationCounts };
+}
@@ -0,0 +1,63 @@
+// Outgoing Email
+// Anything the app needs to email (like password reset links) goes through sendMail().
+// The actual delivery is handled by a "transport", which we pick with the MAIL_TRANSPORT setting:
+//   - "console" (default): prints the email in the terminal. Great for local development.
+//   - "file": saves each email as a .json file in MAIL_DIR (default: ./mail-outbox) so you can open it later.
+// A real mail service can be plugged in with registerTransport() without changing any of the code that sends mail.
+
+import fs from "fs/promises";
+import path from "path";
+
+// Every transport is just a function that takes the app's settings and returns an object with a send(message) method.
+const transports = {
+    console: () => ({
+        async send(message) {
+            console.log([
+                "----- OUTGOING EMAIL -----",
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                "",
+                message.text,
+                "--------------------------"
+            ].join("\n"));
+        }
+    }),
+
+    file: (options) => {
+        const dir = options.dir || process.env.MAIL_DIR || path.join(process.cwd(), "mail-outbox");
+        return {
+            async send(message) {
+                await fs.mkdir(dir, { recursive: true });
+                // Timestamp first so the files sort in the order they were sent
+                const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, "_");
+                const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+                await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+            }
+        };
+    }
+};
+
+// Lets other code add a new way of delivering mail (for example Amazon SES or SMTP).
+// After registering, set MAIL_TRANSPORT to the same name to start using it.
+export function registerTransport(name, factory) {
+    transports[name] = factory;
+}
+
+// Builds a mailer using the transport named in the settings (or the console one if none is set).
+export function createMailer(options = {}) {
+    const name = options.transport || process.env.MAIL_TRANSPORT || "console";
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${name}"`);
+    }
+    const transport = factory(options);
+    const from = options.from || process.env.MAIL_FROM || "Ella Rises <no-reply@ellarises.org>";
+
+    return {
+        // message: { to, subject, text, html? }
+        async sendMail(message) {
+            await transport.send({ from, ...message });
+        }
+    };
+}
@@ -0,0 +1,17 @@
+// NPS (Net Promoter Score) Buckets
+// Every survey asks "How likely are you to recommend us?" on a 1-5 scale.
+// We sort each answer into one of the rows in the nps_buckets table:
+//   1-3 -> Detractor (bucket 1)
+//   4   -> Passive   (bucket 2)
+//   5   -> Promoter  (bucket 3)
+
+export const NPS_BUCKETS = { DETRACTOR: 1, PASSIVE: 2, PROMOTER: 3 };
+
+// Returns the nps_bucket_id for a recommend score, or null if the score is missing or out of range.
+export function npsBucketFor(recommendScore) {
+    const score = parseInt(recommendScore);
+    if (score >= 1 && score <= 3) return NPS_BUCKETS.DETRACTOR;
+    if (score === 4) return NPS_BUCKETS.PASSIVE;
+    if (score === 5) return NPS_BUCKETS.PROMOTER;
+    return null;
+}
@@ -0,0 +1,61 @@
+// Password Hashing Helpers
+// We never store passwords as plain text. Instead we run them through scrypt (a deliberately slow
+// key-derivation function built into Node's crypto module) with a random salt, and store the result.
+// Even if someone got a copy of the users table, they couldn't read anyone's password.
+//
+// A stored hash looks like: scrypt$<N>$<r>$<p>$<salt>$<hash>
+// Keeping the cost settings in the string means we can make hashing stronger later
+// without breaking the passwords people already have.
+
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// How hard scrypt works. N=16384 takes roughly 50ms per hash, which is unnoticeable for one login
+// but makes guessing millions of passwords impractical.
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const PREFIX = "scrypt";
+
+// Turns a plain password into a salted hash string that is safe to save in the database.
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString("hex");
+    const key = await scrypt(password, salt, KEY_LENGTH, COST);
+    return [PREFIX, COST.N, COST.r, COST.p, salt, key.toString("hex")].join("$");
+}
+
+// Tells us whether a stored value is one of our hashes (instead of an old plain-text password).
+export function isHashed(stored) {
+    return typeof stored === "string" && stored.startsWith(`${PREFIX}$`);
+}
+
+// Checks a password someone typed against what we have saved.
+// Returns { valid, needsRehash }. needsRehash is true when the login worked but the saved value
+// is still plain text (or uses weaker settings than today), so the caller should save a fresh hash.
+export async function verifyPassword(password, stored) {
+    if (typeof password !== "string" || typeof stored !== "string") {
+        return { valid: false, needsRehash: false };
+    }
+
+    // Old accounts from before hashing: compare directly, then ask the caller to upgrade them
+    if (!isHashed(stored)) {
+        return { valid: safeEqual(Buffer.from(password), Buffer.from(stored)), needsRehash: true };
+    }
+
+    const [, N, r, p, salt, expected] = stored.split("$");
+    const cost = { N: parseInt(N), r: parseInt(r), p: parseInt(p) };
+    const expectedKey = Buffer.from(expected, "hex");
+    const key = await scrypt(password, salt, expectedKey.length, cost);
+
+    const valid = safeEqual(key, expectedKey);
+    const outdated = cost.N !== COST.N || cost.r !== COST.r || cost.p !== COST.p;
+    return { valid, needsRehash: valid && outdated };
+}
+
+// Compares two buffers in constant time so attackers can't learn anything from how long a check takes.
+function safeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    return crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,226 @@
+// Milestone Pathways
+// Milestones on their own are one-off achievements. A pathway puts some of them in order, like the STEAM
+// program: Enrolled -> First Project -> Mentorship -> Graduated, so we can see how far along each
+// participant is and who has stopped moving.
+//
+// Each step of a pathway is one milestone type, with:
+//   - prerequisites: the steps that have to be done first (by default, just the step before it)
+//   - a target: how many days after its prerequisites a participant should reach it (optional)
+// A participant is on a pathway as soon as they have any of its milestones, and reaching a step is the
+// same thing as having that milestone recorded, so nothing extra is saved per participant.
+// Someone is "stalled" when the step they're working on is past its target.
+
+import { UserError } from "./errors.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each step status means, for the progress views.
+export const STEP_STATUSES = {
+    done: "Done",
+    current: "Working on it",
+    waiting: "Ready",
+    locked: "Not yet"
+};
+
+// Turns the Add/Edit Step form into a row for pathway_steps.
+export function stepFromForm(body) {
+    const step = {
+        milestone_type_id: parseInt(body.milestone_type_id) || null,
+        target_days: String(body.target_days || "").trim() ? parseInt(body.target_days) : null,
+        // A single checked box comes through as a string, several as an array
+        prerequisite_step_ids: [body.prerequisite_step_ids || []].flat().map(Number).filter(Boolean)
+    };
+    if (!step.milestone_type_id) throw new UserError("Pick a milestone for this step.");
+    if (step.target_days !== null && !(step.target_days > 0)) throw new UserError("The target has to be a number of days above zero.");
+    return step;
+}
+
+// The steps that have to be done before this one: its own list, or else the step before it.
+const prerequisitesOf = (step, steps) => {
+    if (step.prerequisite_step_ids?.length) return steps.filter(s => step.prerequisite_step_ids.includes(s.step_id));
+    const index = steps.indexOf(step);
+    return index > 0 ? [steps[index - 1]] : [];
+};
+
+// Works out one participant's progress on one pathway.
+//   steps    - the pathway's steps, in order
+//   reached  - Map of milestone_type_id -> the date they first reached it
+// Returns { started, startedOn, finished, done, total, percent, current, stalled, daysOverdue, steps }
+// where each step gets a status (see STEP_STATUSES), reachedOn, dueOn, overdue and outOfOrder
+// (reached before one of its prerequisites, which usually means a milestone was recorded late).
+export function progressFor(steps, reached, today = new Date()) {
+    const results = steps.map(step => ({ ...step, reachedOn: reached.get(step.milestone_type_id) || null }));
+
+    for (const step of results) {
+        const prerequisites = prerequisitesOf(step, results);
+        const prerequisitesDone = prerequisites.every(p => p.reachedOn);
+
+        if (step.reachedOn) {
+            step.status = "done";
+            step.outOfOrder = prerequisites.some(p => !p.reachedOn || p.reachedOn > step.reachedOn);
+            continue;
+        }
+        step.status = prerequisitesDone ? "waiting" : "locked";
+        // The clock starts when the last prerequisite was reached (the first step has no deadline)
+        if (prerequisitesDone && prerequisites.length > 0 && step.target_days) {
+            const startedOn = new Date(Math.max(...prerequisites.map(p => new Date(p.reachedOn).getTime())));
+            step.dueOn = new Date(startedOn.getTime() + step.target_days * DAY_MS);
+            step.overdue = step.dueOn < today;
+        }
+    }
+
+    const done = results.filter(s => s.status === "done");
+    const started = done.length > 0;
+    // The step they're working on: the first one they can do but haven't yet
+    const current = started ? results.find(s => s.status === "waiting") || null : null;
+    if (current) current.status = "current";
+
+    return {
+        started,
+        startedOn: started ? new Date(Math.min(...done.map(s => new Date(s.reachedOn).getTime()))) : null,
+        finished: steps.length > 0 && done.length === steps.length,
+        done: done.length,
+        total: steps.length,
+        percent: steps.length > 0 ? Math.round((done.length / steps.length) * 100) : 0,
+        current,
+        stalled: Boolean(current?.overdue),
+        daysOverdue: current?.overdue ? Math.floor((today - current.dueOn) / DAY_MS) : 0,
+        steps: results
+    };
+}
+
+export function createPathways(db) {
+
+    // Every pathway with how many steps it has, for the Pathways page
+    const list = () => db("milestone_pathways")
+        .select("milestone_pathways.*")
+        .select(db.raw("(SELECT COUNT(*)::int FROM pathway_steps WHERE pathway_steps.pathway_id = milestone_pathways.pathway_id) AS step_count"))
+        .orderBy("pathway_name");
+
+    const find = (pathwayId) => db("milestone_pathways").where({ pathway_id: pathwayId }).first();
+
+    // One pathway's steps in order, with their milestone's name
+    const stepsFor = (pathwayId) => db("pathway_steps")
+        .join("milestone_types", "pathway_steps.milestone_type_id", "milestone_types.milestone_type_id")
+        .where("pathway_steps.pathway_id", pathwayId)
+        .select("pathway_steps.*", "milestone_types.milestone_title")
+        .orderBy("pathway_steps.step_order")
+        .orderBy("pathway_steps.step_id");
+
+    // The first date each participant reached each milestone type (trashed milestones don't count).
+    // Returns Map of participant_id -> Map of milestone_type_id -> date.
+    const reachedBy = async (milestoneTypeIds, participantId = null) => {
+        const query = db("milestones")
+            .whereIn("milestone_type_id", milestoneTypeIds)
+            .whereNull("deletion_id")
+            .select("participant_id", "milestone_type_id")
+            .min("milestone_date as reached_on")
+            .groupBy("participant_id", "milestone_type_id");
+        if (participantId) query.where({ participant_id: participantId });
+
+        const result = new Map();
+        for (const row of await query) {
+            if (!result.has(row.participant_id)) result.set(row.participant_id, new Map());
+            result.get(row.participant_id).set(row.milestone_type_id, row.reached_on);
+        }
+        return result;
+    };
+
+    // --- EDITING PATHWAYS ---
+
+    // Adds a step to the end of a pathway, or changes an existing one (when stepId is given).
+    const saveStep = (pathwayId, step, stepId = null) => db.transaction(async (trx) => {
+        const others = await trx("pathway_steps").where({ pathway_id: pathwayId }).whereNot({ step_id: stepId ?? 0 });
+        if (others.some(s => s.milestone_type_id === step.milestone_type_id)) {
+            throw new UserError("That milestone is already a step on this pathway.");
+        }
+        // Prerequisites have to be other steps on the same pathway
+        const otherIds = others.map(s => s.step_id);
+        step.prerequisite_step_ids = step.prerequisite_step_ids.filter(id => otherIds.includes(id));
+
+        if (stepId) {
+            await trx("pathway_steps").where({ step_id: stepId, pathway_id: pathwayId }).update(step);
+            return;
+        }
+        const { max } = await trx("pathway_steps").where({ pathway_id: pathwayId }).max("step_order as max").first();
+        await trx("pathway_steps").insert({ ...step, pathway_id: pathwayId, step_order: (max ?? 0) + 1 });
+    });
+
+    // Removes a step (and takes it off the other steps' prerequisites). Recorded milestones aren't touched.
+    const removeStep = (pathwayId, stepId) => db.transaction(async (trx) => {
+        await trx("pathway_steps").where({ step_id: stepId, pathway_id: pathwayId }).del();
+        await trx("pathway_steps")
+            .where({ pathway_id: pathwayId })
+            .update({ prerequisite_step_ids: trx.raw("array_remove(prerequisite_step_ids, ?)", [parseInt(stepId)]) });
+    });
+
+    // Swaps a step with the one above ("up") or below ("down") it.
+    const moveStep = (pathwayId, stepId, direction) => db.transaction(async (trx) => {
+        const steps = await trx("pathway_steps").where({ pathway_id: pathwayId }).orderBy("step_order").orderBy("step_id");
+        const index = steps.findIndex(s => s.step_id === parseInt(stepId));
+        const otherIndex = direction === "up" ? index - 1 : index + 1;
+        if (index < 0 || !steps[otherIndex]) return;
+
+        // Renumber everything so two steps never share a step_order
+        [steps[index], steps[otherIndex]] = [steps[otherIndex], steps[index]];
+        for (const [position, step] of steps.entries()) {
+            await trx("pathway_steps").where({ step_id: step.step_id }).update({ step_order: position + 1 });
+        }
+    });
+
+    // --- PROGRESS ---
+
+    // Every pathway one participant is on, with their progress. Pathways they haven't started are left out.
+    const participantProgress = async (participantId) => {
+        const results = [];
+        for (const pathway of await list()) {
+            const steps = await stepsFor(pathway.pathway_id);
+            if (steps.length === 0) continue;
+            const reached = await reachedBy(steps.map(s => s.milestone_type_id), participantId);
+            const progress = progressFor(steps, reached.get(participantId) || new Map());
+            if (progress.started) results.push({ pathway, progress });
+        }
+        return results;
+    };
+
+    // Everyone on one pathway: how many reached each step, how many are working on it, and who is stalled.
+    // "from" / "to" ("YYYY-MM-DD") narrow it to a cohort: people who started the pathway in that range.
+    const cohortReport = async (pathwayId, { from, to } = {}) => {
+        const steps = await stepsFor(pathwayId);
+        const reached = steps.length > 0 ? await reachedBy(steps.map(s => s.milestone_type_id)) : new Map();
+
+        const fromDate = from ? new Date(`${from}T00:00:00`) : null;
+        const toDate = to ? new Date(`${to}T23:59:59`) : null;
+        let members = [...reached.entries()]
+            .map(([participantId, dates]) => ({ participantId, progress: progressFor(steps, dates) }))
+            .filter(m => (!fromDate || m.progress.startedOn >= fromDate) && (!toDate || m.progress.startedOn <= toDate));
+
+        // Names for everyone still in the report (people in the trash are left out)
+        const participants = await db("participants")
+            .whereIn("participant_id", members.map(m => m.participantId))
+            .whereNull("deletion_id")
+            .select("participant_id", "first_name", "last_name", "email");
+        const byId = new Map(participants.map(p => [p.participant_id, p]));
+        members = members.filter(m => byId.has(m.participantId)).map(m => ({ ...m, participant: byId.get(m.participantId) }));
+
+        const byStep = steps.map(step => {
+            const atStep = members.filter(m => m.progress.current?.step_id === step.step_id);
+            return {
+                step,
+                reached: members.filter(m => m.progress.steps.find(s => s.step_id === step.step_id).status === "done").length,
+                current: atStep.length,
+                stalled: atStep.filter(m => m.progress.stalled).sort((a, b) => b.progress.daysOverdue - a.progress.daysOverdue)
+            };
+        });
+
+        return {
+            steps,
+            byStep,
+            total: members.length,
+            finished: members.filter(m => m.progress.finished).length,
+            stalled: members.filter(m => m.progress.stalled).length
+        };
+    };
+
+    return { list, find, stepsFor, saveStep, removeStep, moveStep, participantProgress, cohortReport };
+}
@@ -0,0 +1,277 @@
+// Online Payments
+// The public donate page sends donors to a payment provider's checkout page instead of trusting whatever
+// amount was typed into our form. The provider tells us how it went by calling our webhook
+// (POST /payments/webhook), and only a CONFIRMED payment turns into a row in the donations table.
+//
+// The flow:
+//   1. startCheckout()   - saves a 'pending' payment and asks the provider for a checkout page
+//   2. the donor pays (or doesn't) on the provider's page
+//   3. handleWebhook()   - the provider's signed message marks the payment succeeded, failed or refunded
+//
+// Providers can send the same webhook more than once, so every event id is saved in payment_events
+// and repeats are ignored. That way a donation is never recorded twice.
+//
+// Like the mail transports in lib/mailer.js, the provider is picked with a setting (PAYMENT_PROVIDER)
+// and new ones can be added with registerProvider(). The built-in "fake" provider is for development and
+// testing: its checkout page lives inside our own app and lets you choose whether the payment goes through.
+// With NODE_ENV=production the app won't start unless PAYMENT_PROVIDER and PAYMENT_WEBHOOK_SECRET are both set.
+
+import crypto from "crypto";
+import { SYSTEM_ACTOR } from "./audit.js";
+import { UserError } from "./errors.js";
+
+// --- WEBHOOK SIGNATURES ---
+// Anyone on the internet can POST to our webhook, so every message must be signed with a secret we share
+// with the provider. The signature header looks like "t=<unix time>,v1=<HMAC-SHA256 of 't.body'>".
+// Including the time stops someone from replaying an old message days later.
+export const SIGNATURE_HEADER = "x-payment-signature";
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+export function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `t=${timestamp},v1=${signature}`;
+}
+
+export function verifyWebhookSignature(secret, body, header) {
+    const parts = Object.fromEntries(String(header || "").split(",").map(part => part.split("=")));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+    const expected = Buffer.from(signWebhook(secret, body, timestamp).split("v1=")[1], "hex");
+    const given = Buffer.from(parts.v1, "hex");
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// --- PROVIDERS ---
+// Every provider is a function that takes the settings and returns an object with:
+//   name
+//   createCheckout({ paymentId, amount, currency, email, successUrl, cancelUrl }) -> { reference, checkoutUrl }
+//   parseWebhook(rawBody, headers) -> { eventId, type, reference, amount, reason }
+//       type is one of "payment.succeeded", "payment.failed" or "payment.refunded".
+//       Throw a UserError if the message isn't genuine.
+//   refund(reference, amount) - asks the provider to send the money back. The provider confirms with a
+//       "payment.refunded" webhook, and that's when we record the refund.
+const providers = {
+    fake: (options) => {
+        const secret = options.webhookSecret || "fake-provider-secret";
+        if (process.env.NODE_ENV === "production") {
+            console.warn("WARNING: PAYMENT_PROVIDER is 'fake', so donations are NOT charged. Set up a real provider before going live.");
+        }
+
+        // Pretends to be the provider's servers calling our webhook
+        const sendEvent = async (type, reference, extra = {}) => {
+            const body = JSON.stringify({ id: `evt_${crypto.randomBytes(12).toString("hex")}`, type, reference, ...extra });
+            await options.deliver(body, { [SIGNATURE_HEADER]: signWebhook(secret, body) });
+        };
+
+        return {
+            name: "fake",
+            async createCheckout({ paymentId }) {
+                const reference = `fake_${paymentId}_${crypto.randomBytes(8).toString("hex")}`;
+                return { reference, checkoutUrl: `/payments/fake/checkout/${reference}` };
+            },
+            parseWebhook(rawBody, headers) {
+                if (!verifyWebhookSignature(secret, rawBody, headers[SIGNATURE_HEADER])) {
+                    throw new UserError("Invalid webhook signature.");
+                }
+                const event = JSON.parse(rawBody);
+                return { eventId: event.id, type: event.type, reference: event.reference, amount: event.amount, reason: event.reason };
+            },
+            async refund(reference, amount) {
+                await sendEvent("payment.refunded", reference, { amount });
+            },
+            // Only the fake provider has this: the buttons on its checkout page call it
+            async completeCheckout(reference, succeeded) {
+                await sendEvent(succeeded ? "payment.succeeded" : "payment.failed", reference,
+                    succeeded ? {} : { reason: "The card was declined (fake provider)." });
+            }
+        };
+    }
+};
+
+// Lets other code add a real provider (for example Stripe). Set PAYMENT_PROVIDER to the same name to use it.
+export function registerProvider(name, factory) {
+    providers[name] = factory;
+}
+
+// options.audit is the audit log (lib/audit.js). Donations made by webhooks are logged as the 'system'.
+// options.trash is lib/trash.js, where fully refunded donations go.
+export function createPayments(db, options = {}) {
+    const { audit, trash } = options;
+    // Without these, the site would quietly use the fake provider and its well-known secret, so anyone could
+    // "pay" on the fake checkout page or sign their own webhooks. That's fine on a laptop, never on the live site.
+    if (process.env.NODE_ENV === "production") {
+        const missing = [
+            !(options.provider || process.env.PAYMENT_PROVIDER) && "PAYMENT_PROVIDER",
+            !(options.webhookSecret || process.env.PAYMENT_WEBHOOK_SECRET) && "PAYMENT_WEBHOOK_SECRET"
+        ].filter(Boolean);
+        if (missing.length) {
+            throw new Error(`${missing.join(" and ")} must be set when NODE_ENV is "production"`);
+        }
+    }
+    const name = options.provider || process.env.PAYMENT_PROVIDER || "fake";
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider "${name}"`);
+    }
+    // "deliver" is only used by the fake provider, to call our webhook handler the way a real provider would
+    const provider = factory({
+        webhookSecret: options.webhookSecret || process.env.PAYMENT_WEBHOOK_SECRET,
+        deliver: (body, headers) => handleWebhook(body, headers)
+    });
+
+    const findPayment = (conn, where) => conn("payments").where(where).first();
+
+    // Step 1: save a pending payment and get the URL of the provider's checkout page.
+    // donor: { first_name, last_name, email }. The donor's participant record isn't touched until they've paid.
+    const startCheckout = async ({ donor, amount, baseUrl }) => {
+        const [payment] = await db("payments").insert({
+            provider: provider.name,
+            amount,
+            donor_first_name: donor.first_name,
+            donor_last_name: donor.last_name,
+            donor_email: donor.email
+        }).returning("*");
+
+        const { reference, checkoutUrl } = await provider.createCheckout({
+            paymentId: payment.payment_id,
+            amount: Number(amount),
+            currency: payment.currency,
+            email: donor.email,
+            successUrl: `${baseUrl}/donate/complete`,
+            cancelUrl: `${baseUrl}/donate?cancelled=1`
+        });
+        await db("payments").where({ payment_id: payment.payment_id }).update({ provider_reference: reference });
+        return { paymentId: payment.payment_id, checkoutUrl };
+    };
+
+    // The payment went through: find (or create) the donor and record the donation.
+    const markSucceeded = async (trx, payment) => {
+        if (payment.donation_id || payment.payment_status !== "pending") return;
+
+        // Same as the old donate page: we match donors by email, and new donors get a basic participant record.
+        // The donate page requires an email, but a blank one must never match someone who has no email either.
+        const email = (payment.donor_email || "").trim();
+        let participant = email ? await trx("participants").where({ email }).whereNull("deletion_id").first() : null;
+        if (!participant) {
+            participant = await audit.create(trx, SYSTEM_ACTOR, "participants", {
+                first_name: payment.donor_first_name,
+                last_name: payment.donor_last_name,
+                email: email || null
+            });
+        }
+
+        const donation = await audit.create(trx, SYSTEM_ACTOR, "donations", {
+            participant_id: participant.participant_id,
+            donation_amount: payment.amount,
+            donation_date: new Date()
+        });
+
+        await trx("payments").where({ payment_id: payment.payment_id }).update({
+            payment_status: "succeeded",
+            participant_id: participant.participant_id,
+            donation_id: donation.donation_id,
+            updated_at: new Date()
+        });
+    };
+
+    // Money was sent back. A full refund moves the donation to the trash (see lib/trash.js), so it can still be
+    // looked up there; a partial one lowers its amount. The payment row keeps the record of what was refunded and when.
+    const markRefunded = async (trx, payment, amount) => {
+        if (payment.payment_status !== "succeeded") return;
+
+        const refunded = Math.min(Number(payment.refunded_amount) + Number(amount ?? payment.amount), Number(payment.amount));
+        const remaining = Number(payment.amount) - refunded;
+
+        if (payment.donation_id) {
+            if (remaining > 0) {
+                await audit.update(trx, SYSTEM_ACTOR, "donations", payment.donation_id, { donation_amount: remaining });
+            } else {
+                await trash.remove(SYSTEM_ACTOR, "donations", payment.donation_id, trx);
+            }
+        }
+        await trx("payments").where({ payment_id: payment.payment_id }).update({
+            payment_status: remaining > 0 ? "succeeded" : "refunded",
+            refunded_amount: refunded,
+            refunded_at: new Date(),
+            updated_at: new Date()
+        });
+    };
+
+    // Step 3: handles one webhook message from the provider. Returns { status } describing what happened.
+    // Safe to call with the same message twice; the second time does nothing.
+    const handleWebhook = async (rawBody, headers) => {
+        let event;
+        try {
+            event = provider.parseWebhook(rawBody, headers);
+        } catch (err) {
+            throw err instanceof UserError ? err : new UserError("Webhook body couldn't be read.");
+        }
+        if (!event.eventId || !event.reference) {
+            throw new UserError("Webhook is missing an event id or payment reference.");
+        }
+
+        return db.transaction(async (trx) => {
+            const payment = await trx("payments")
+                .where({ provider: provider.name, provider_reference: event.reference })
+                .forUpdate()
+                .first();
+
+            // Remember the event first. If it's already there we've handled it before.
+            const saved = await trx("payment_events")
+                .insert({
+                    provider: provider.name,
+                    provider_event_id: event.eventId,
+                    event_type: event.type,
+                    payment_id: payment ? payment.payment_id : null,
+                    payload: rawBody
+                })
+                .onConflict(["provider", "provider_event_id"]).ignore()
+                .returning("payment_event_id");
+            if (saved.length === 0) return { status: "duplicate" };
+            if (!payment) return { status: "unknown_payment" };
+
+            if (event.type === "payment.succeeded") {
+                await markSucceeded(trx, payment);
+            } else if (event.type === "payment.failed") {
+                if (payment.payment_status === "pending") {
+                    await trx("payments").where({ payment_id: payment.payment_id })
+                        .update({ payment_status: "failed", failure_reason: event.reason || null, updated_at: new Date() });
+                }
+            } else if (event.type === "payment.refunded") {
+                await markRefunded(trx, payment, event.amount);
+            } else {
+                return { status: "ignored" };
+            }
+            return { status: "processed" };
+        });
+    };
+
+    // Refunds a donation that was paid online. Returns false if it wasn't (checks, cash, ...).
+    // The donation itself changes once the provider confirms.
+    const refundDonation = async (donationId) => {
+        const payment = await findPayment(db, { donation_id: donationId, payment_status: "succeeded" });
+        if (!payment) return false;
+        await provider.refund(payment.provider_reference, Number(payment.amount) - Number(payment.refunded_amount));
+        return true;
+    };
+
+    // Deleting a donation, from the Donations page or the API. An online donation is refunded, and goes to the
+    // trash when the provider confirms the money is back (see markRefunded). Any other donation goes to the trash
+    // right away. Returns "refunded" or "trashed".
+    const removeDonation = async (actor, donationId) => {
+        if (await refundDonation(donationId)) return "refunded";
+        await trash.remove(actor, "donations", donationId);
+        return "trashed";
+    };
+
+    return {
+        provider,
+        startCheckout,
+        handleWebhook,
+        refundDonation,
+        removeDonation,
+        findPayment: (where) => findPayment(db, where)
+    };
+}
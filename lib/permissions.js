@@ -0,0 +1,105 @@
+// Roles & Permissions
+// Instead of checking "is this person a manager?" all over the app, every route asks for a specific
+// permission like "donations.edit" or "surveys.view_all". This file is the one place that says which
+// roles get which permissions. Adding a new role (or giving an existing one more access) only means
+// editing the ROLES list below; none of the routes need to change.
+//
+// Permissions are named "<resource>.<action>":
+//   view      - see your OWN records (your donations, your surveys, ...)
+//   view_all  - see EVERYONE's records
+//   create / edit / delete - change records
+
+// Every resource gets the same basic set of actions.
+const RESOURCES = ["participants", "donations", "pledges", "surveys", "events", "milestones", "users"];
+const ACTIONS = ["view", "view_all", "create", "edit", "delete"];
+
+// A few permissions that don't fit the pattern above.
+const EXTRA_PERMISSIONS = [
+    "audit.view",           // Browse the audit log of who changed what
+    "dashboard.view",       // The manager dashboard with stats and charts
+    "events.checkin",       // Run check-in at the door: mark who came, scan QR codes, sign up walk-ins
+    "events.register",      // Sign yourself up for events
+    "events.setup",         // Add, edit and retire event templates (program types) and locations
+    "imports.run",          // Upload spreadsheets of participants, donations or milestones
+    "milestones.pathways",  // Set up milestone pathways and see who is stalled on them
+    "participants.merge",   // Find duplicate participants and combine them into one record
+    "surveys.design",       // Build survey forms and pick which events use them
+    "surveys.reports",      // The Survey Reports page: NPS and average scores by event, location and date
+    "surveys.submit",       // Fill out feedback for events you went to
+    "trash.manage",         // Restore or permanently delete things from the trash, and set how long it keeps them
+    "users.assign_admin"    // Create admin accounts or change an admin's account
+];
+
+export const PERMISSIONS = [
+    ...RESOURCES.flatMap(resource => ACTIONS.map(action => `${resource}.${action}`)),
+    ...EXTRA_PERMISSIONS
+];
+
+// Everything a regular participant can do. Staff roles get this too, since staff are often participants themselves.
+const PARTICIPANT_PERMISSIONS = [
+    "participants.view", "donations.view", "surveys.view", "surveys.submit",
+    "events.view", "events.register", "milestones.view"
+];
+
+// All permissions for one resource, e.g. allFor("events") -> ["events.view", "events.view_all", ...]
+const allFor = (resource) => PERMISSIONS.filter(p => p.startsWith(`${resource}.`));
+
+// The roles we offer, in order from most to least access. "label" is what we show on screen.
+export const ROLES = {
+    admin: {
+        label: "Administrator",
+        permissions: PERMISSIONS
+    },
+    manager: {
+        label: "Manager",
+        permissions: PERMISSIONS.filter(p => p !== "users.assign_admin")
+    },
+    event_staff: {
+        label: "Event Staff",
+        permissions: [
+            ...PARTICIPANT_PERMISSIONS,
+            // Everything for events except changing the list of programs and places
+            ...allFor("events").filter(p => p !== "events.setup"),
+            "participants.view_all",
+            "surveys.view_all", "surveys.create", "surveys.reports"
+        ]
+    },
+    volunteer: {
+        label: "Volunteer",
+        permissions: [
+            ...PARTICIPANT_PERMISSIONS,
+            "events.view_all", "events.checkin",
+            "participants.view_all"
+        ]
+    },
+    participant: {
+        label: "Participant",
+        permissions: PARTICIPANT_PERMISSIONS
+    }
+};
+
+// Accounts created before roles existed were saved as 'user'. They are participants.
+const ROLE_ALIASES = { user: "participant" };
+
+// Turns whatever is saved in users.role into one of the ROLES keys (or null if we don't recognize it).
+export function normalizeRole(role) {
+    const key = ROLE_ALIASES[role] || role;
+    return ROLES[key] ? key : null;
+}
+
+// The single question the whole app asks: does this role have this permission?
+export function hasPermission(role, permission) {
+    const key = normalizeRole(role);
+    return key ? ROLES[key].permissions.includes(permission) : false;
+}
+
+// Checks whether someone with "actorRole" may give an account "newRole".
+// "currentRole" is the role the account has right now (when editing), so managers can't demote an admin either.
+// Returns an error message, or null if the change is allowed.
+export function roleChangeError(actorRole, newRole, currentRole = null) {
+    if (!normalizeRole(newRole)) return "Unknown role.";
+    if ((normalizeRole(newRole) === "admin" || normalizeRole(currentRole) === "admin") && !hasPermission(actorRole, "users.assign_admin")) {
+        return "Only administrators can manage administrator accounts.";
+    }
+    return null;
+}
@@ -0,0 +1,132 @@
+// Pledges & Recurring Donations
+// Lots of supporters promise to give every month (or quarter, or year) instead of all at once.
+// A pledge records that promise; its schedule decides when each payment is due:
+//   2025-01-15 monthly -> due 2025-01-15, 2025-02-15, 2025-03-15, ...
+// The pledge job (generateInstallments) runs on a timer and adds an "installment" row for every payment
+// that has come due. When the money arrives, recordPayment() saves a regular donation and links it.
+//
+// Every pledge is in one of these states (worked out in SQL by the pledges list in lib/lists.js):
+//   outstanding - still going, and nothing is more than PLEDGE_GRACE_DAYS overdue
+//   lapsed      - at least one payment is more than PLEDGE_GRACE_DAYS overdue
+//   fulfilled   - the schedule is over (or it was a one-time pledge) and every payment came in
+//   cancelled   - the donor (or a manager) called it off
+
+// How often a pledge repeats, in months. "once" is a single promised gift on the start date.
+export const PLEDGE_FREQUENCIES = {
+    once: { label: "One time", months: 0 },
+    monthly: { label: "Monthly", months: 1 },
+    quarterly: { label: "Quarterly", months: 3 },
+    annual: { label: "Annual", months: 12 }
+};
+
+// How late a payment can be before we call the pledge lapsed.
+export const PLEDGE_GRACE_DAYS = 30;
+
+// Label and Bootstrap badge color for each status.
+export const PLEDGE_STATUSES = {
+    outstanding: { label: "Outstanding", badge: "bg-primary" },
+    lapsed: { label: "Lapsed", badge: "bg-danger" },
+    fulfilled: { label: "Fulfilled", badge: "bg-success" },
+    cancelled: { label: "Cancelled", badge: "bg-secondary" }
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// DATE columns come back as JavaScript Dates at local midnight, so we read them with local getters.
+const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Adds whole months to a date. If the new month is shorter, we use its last day (Jan 31 + 1 month = Feb 28).
+const addMonths = (date, months) => {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return target;
+};
+
+// Every due date for a pledge from its start up to (and including) "until", as "YYYY-MM-DD" strings.
+// Payments after the pledge's end date are never included.
+export function dueDates(pledge, until) {
+    const start = new Date(pledge.start_date);
+    const last = pledge.end_date && new Date(pledge.end_date) < until ? new Date(pledge.end_date) : until;
+    const { months } = PLEDGE_FREQUENCIES[pledge.frequency] || PLEDGE_FREQUENCIES.once;
+
+    const dates = [];
+    for (let n = 0, due = start; due <= last; due = addMonths(start, ++n * months)) {
+        dates.push(toDateString(due));
+        if (months === 0) break;
+    }
+    return dates;
+}
+
+export function createPledges(db, { audit }) {
+
+    // Adds an installment for every payment that is due by "asOf" and doesn't have one yet.
+    // Safe to run as often as we like: existing installments are left alone.
+    // Pass a pledgeId to only fill in one pledge (e.g. right after it's created). Returns how many were added.
+    const generateInstallments = async (conn = db, { asOf = new Date(), pledgeId = null } = {}) => {
+        const query = conn("pledges").whereNull("cancelled_at").whereNull("deletion_id").where("start_date", "<=", asOf);
+        if (pledgeId) query.where({ pledge_id: pledgeId });
+        const pledges = await query;
+
+        let added = 0;
+        for (const pledge of pledges) {
+            const rows = dueDates(pledge, asOf).map(due_date => ({
+                pledge_id: pledge.pledge_id,
+                due_date,
+                expected_amount: pledge.pledge_amount
+            }));
+            if (rows.length === 0) continue;
+
+            const inserted = await conn("pledge_installments")
+                .insert(rows)
+                .onConflict(["pledge_id", "due_date"]).ignore()
+                .returning("pledge_installment_id");
+            added += inserted.length;
+        }
+        return added;
+    };
+
+    // After a pledge's amount or schedule changes, throw away the payments we were still waiting on
+    // and build them again from the new schedule. Payments that already came in are kept as they are.
+    const rebuildSchedule = async (trx, pledgeId) => {
+        await trx("pledge_installments").where({ pledge_id: pledgeId }).whereNull("donation_id").del();
+        await generateInstallments(trx, { pledgeId });
+    };
+
+    // Records the payment for one installment as a regular donation and links the two together.
+    // Returns the new donation id, or null if the installment doesn't exist or was already paid.
+    // "actor" is who recorded it, for the audit log.
+    const recordPayment = (installmentId, { donationDate = new Date(), amount = null, actor } = {}) => db.transaction(async (trx) => {
+        const installment = await trx("pledge_installments")
+            .join("pledges", "pledge_installments.pledge_id", "pledges.pledge_id")
+            .select("pledge_installments.*", "pledges.participant_id")
+            .where("pledge_installments.pledge_installment_id", installmentId)
+            .whereNull("pledges.deletion_id")
+            .forUpdate()
+            .first();
+        if (!installment || installment.donation_id) return null;
+
+        const donation = await audit.create(trx, actor, "donations", {
+            participant_id: installment.participant_id,
+            donation_date: donationDate,
+            donation_amount: amount ?? installment.expected_amount
+        });
+
+        await trx("pledge_installments")
+            .where({ pledge_installment_id: installmentId })
+            .update({ donation_id: donation.donation_id });
+        return donation.donation_id;
+    });
+
+    // Runs the pledge job once now and then every "hours" hours. Returns the timer so it can be stopped.
+    const startJob = (hours) => {
+        const run = () => generateInstallments()
+            .then(added => { if (added > 0) console.log(`Pledge job: added ${added} installment(s)`); })
+            .catch(err => console.error("Pledge Job Error:", err));
+        run();
+        // unref() so a pending timer never keeps the process alive on its own
+        return setInterval(run, hours * 60 * 60 * 1000).unref();
+    };
+
+    return { generateInstallments, rebuildSchedule, recordPayment, startJob };
+}
@@ -0,0 +1,74 @@
+// My Ella Rises (participant profile)
+// The page participants land on after logging in: their contact details, profile photo and password,
+// plus everything they've done with us in one timeline (events they came to, surveys, milestones and
+// donations), newest first.
+
+// New passwords have to be at least this long.
+export const MIN_PASSWORD_LENGTH = 8;
+
+export function createProfile(db) {
+
+    // Everything one participant has done with us, newest first. Each item is
+    // { kind: 'event' | 'survey' | 'milestone' | 'donation', date, title, detail, link }
+    const timeline = async (participantId) => {
+        const [events, surveys, milestones, donations] = await Promise.all([
+            // Past events they were registered for (or walked in to), and whether they came
+            db("registrations")
+                .join("event_occurrences", "registrations.event_occurrence_id", "event_occurrences.event_occurrence_id")
+                .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+                .leftJoin("locations", "event_occurrences.location_id", "locations.location_id")
+                .where("registrations.participant_id", participantId)
+                .where("registrations.registration_status", "registered")
+                .where("event_occurrences.start_time", "<=", new Date())
+                .whereNull("registrations.deletion_id")
+                .whereNull("event_occurrences.deletion_id")
+                .select("event_occurrences.start_time", "event_templates.event_name", "locations.location_name", "registrations.checked_in_at"),
+            db("surveys")
+                .join("event_occurrences", "surveys.event_occurrence_id", "event_occurrences.event_occurrence_id")
+                .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+                .where("surveys.participant_id", participantId)
+                .whereNull("surveys.deletion_id")
+                .select("surveys.survey_id", "surveys.submission_date", "event_templates.event_name"),
+            db("milestones")
+                .join("milestone_types", "milestones.milestone_type_id", "milestone_types.milestone_type_id")
+                .where("milestones.participant_id", participantId)
+                .whereNull("milestones.deletion_id")
+                .select("milestones.milestone_date", "milestone_types.milestone_title"),
+            db("donations")
+                .where({ participant_id: participantId })
+                .whereNull("deletion_id")
+                .select("donation_id", "donation_date", "donation_amount")
+        ]);
+
+        const items = [
+            ...events.map(e => ({
+                kind: "event", date: e.start_time, title: e.event_name,
+                detail: [e.location_name, e.checked_in_at ? "Attended" : "Registered"].filter(Boolean).join(" · "),
+                link: null
+            })),
+            ...surveys.map(s => ({ kind: "survey", date: s.submission_date, title: `Feedback for ${s.event_name}`, detail: null, link: `/survey/view/${s.survey_id}` })),
+            ...milestones.map(m => ({ kind: "milestone", date: m.milestone_date, title: m.milestone_title, detail: null, link: null })),
+            ...donations.map(d => ({
+                kind: "donation", date: d.donation_date, title: `Donation of $${Number(d.donation_amount).toFixed(2)}`,
+                detail: null, link: `/donations/receipt/${d.donation_id}`
+            }))
+        ];
+        return items.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+    };
+
+    // Events they've signed up for that haven't happened yet (including ones they're waitlisted for)
+    const upcoming = (participantId) => db("registrations")
+        .join("event_occurrences", "registrations.event_occurrence_id", "event_occurrences.event_occurrence_id")
+        .join("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+        .leftJoin("locations", "event_occurrences.location_id", "locations.location_id")
+        .where("registrations.participant_id", participantId)
+        .whereIn("registrations.registration_status", ["registered", "waitlisted"])
+        .where("event_occurrences.start_time", ">", new Date())
+        .whereNull("registrations.deletion_id")
+        .whereNull("event_occurrences.deletion_id")
+        .select("event_occurrences.event_occurrence_id", "event_occurrences.start_time", "event_templates.event_name",
+                "locations.location_name", "registrations.registration_status")
+        .orderBy("event_occurrences.start_time");
+
+    return { timeline, upcoming };
+}
@@ -0,0 +1,120 @@
+// Donation Receipts & Giving Statements
+// Donors need paperwork for their taxes, so we build two kinds of PDF on the server with PDFKit:
+//   - A receipt for one donation. Every receipt has a number based on the donation id (e.g. ER-000042),
+//     so the same donation always gets the same receipt number no matter how many times it's downloaded.
+//   - A year-end giving statement listing all of one participant's donations in a tax year, with the total.
+// The organization details printed on them come from these settings:
+//   ORG_NAME (default "Ella Rises"), ORG_ADDRESS, ORG_TAX_ID (the EIN donors put on their tax forms)
+
+import PDFDocument from "pdfkit";
+
+// Read when a PDF is made (not when this file loads), so values from .env are already in place.
+const organization = () => ({
+    name: process.env.ORG_NAME || "Ella Rises",
+    address: process.env.ORG_ADDRESS || "",
+    taxId: process.env.ORG_TAX_ID || ""
+});
+
+// The number printed on a receipt. Donation ids never change, so neither do receipt numbers.
+export const receiptNumber = (donation) => `ER-${String(donation.donation_id).padStart(6, "0")}`;
+
+const money = (amount) => `$${Number(amount).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+// A donation entered without a date says "undated" (new Date(null) would print January 1, 1970)
+const longDate = (date) => date ? new Date(date).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" }) : "undated";
+
+// The donor's name and mailing address, skipping any parts we don't have.
+const donorLines = (participant) => [
+    `${participant.first_name} ${participant.last_name}`,
+    participant.city || participant.state || participant.zip_code
+        ? `${[participant.city, participant.state].filter(Boolean).join(", ")} ${participant.zip_code || ""}`.trim()
+        : null,
+    participant.email
+].filter(Boolean);
+
+// Starts a new letter-sized PDF with our name and address at the top. Returns the PDFKit document.
+const startDocument = (stream, title) => {
+    const org = organization();
+    const doc = new PDFDocument({ size: "LETTER", margin: 54, info: { Title: title, Author: org.name } });
+    doc.pipe(stream);
+
+    doc.font("Helvetica-Bold").fontSize(20).text(org.name);
+    doc.font("Helvetica").fontSize(10).fillColor("#555555");
+    if (org.address) doc.text(org.address);
+    if (org.taxId) doc.text(`Tax ID (EIN): ${org.taxId}`);
+    doc.fillColor("black").moveDown(2);
+
+    doc.font("Helvetica-Bold").fontSize(16).text(title);
+    doc.font("Helvetica").fontSize(11).moveDown();
+    return doc;
+};
+
+// The standard wording the IRS expects on a donation acknowledgment.
+const writeTaxNote = (doc, gifts) => {
+    doc.moveDown(2).fontSize(9).fillColor("#555555").text(
+        `No goods or services were provided in exchange for ${gifts}. ` +
+        `${organization().name} is a tax-exempt nonprofit organization. Please keep this document for your tax records.`
+    );
+    doc.fillColor("black");
+};
+
+// Writes a receipt for one donation to "stream" (usually the response).
+export function writeReceiptPdf(stream, { donation, participant }) {
+    const doc = startDocument(stream, "Donation Receipt");
+
+    doc.text(`Receipt number: ${receiptNumber(donation)}`);
+    doc.text(`Date issued: ${longDate(new Date())}`);
+    doc.moveDown();
+
+    doc.font("Helvetica-Bold").text("Received from:");
+    doc.font("Helvetica");
+    donorLines(participant).forEach(line => doc.text(line));
+    doc.moveDown();
+
+    doc.font("Helvetica-Bold").text("Donation:");
+    doc.font("Helvetica");
+    doc.text(`Date: ${longDate(donation.donation_date)}`);
+    doc.text(`Amount: ${money(donation.donation_amount)}`);
+
+    doc.moveDown().text(`Thank you for your generous gift, ${participant.first_name}!`);
+    writeTaxNote(doc, "this contribution");
+    doc.end();
+}
+
+// Writes a year-end giving statement to "stream". "donations" should already be limited to that year.
+export function writeStatementPdf(stream, { participant, year, donations }) {
+    const doc = startDocument(stream, `${year} Giving Statement`);
+
+    doc.text(`Date issued: ${longDate(new Date())}`);
+    doc.moveDown();
+    donorLines(participant).forEach(line => doc.text(line));
+    doc.moveDown();
+
+    if (donations.length === 0) {
+        doc.text(`We have no donations on record for ${year}.`);
+    } else {
+        // A simple table: receipt number and date on the left, amount lined up on the right
+        const left = doc.page.margins.left;
+        const right = doc.page.width - doc.page.margins.right;
+        const row = (cells, bold = false) => {
+            const y = doc.y;
+            doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+            doc.text(cells[0], left, y, { width: 120 });
+            doc.text(cells[1], left + 130, y, { width: 200 });
+            doc.text(cells[2], left, y, { width: right - left, align: "right" });
+            doc.moveDown(0.4);
+        };
+
+        row(["Receipt", "Date", "Amount"], true);
+        doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke().moveDown(0.4);
+        donations.forEach(d => row([receiptNumber(d), longDate(d.donation_date), money(d.donation_amount)]));
+        doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke().moveDown(0.4);
+
+        const total = donations.reduce((sum, d) => sum + Number(d.donation_amount), 0);
+        row([`Total for ${year}`, `${donations.length} donation${donations.length === 1 ? "" : "s"}`, money(total)], true);
+        doc.x = left;
+    }
+
+    doc.moveDown().text(`Thank you for supporting ${organization().name} in ${year}, ${participant.first_name}!`);
+    writeTaxNote(doc, "these contributions");
+    doc.end();
+}
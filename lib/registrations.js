@@ -0,0 +1,107 @@
+// Event Registration & Waitlist
+// Participants sign themselves up for upcoming events. Each event has a capacity; once it's full,
+// new sign-ups go on a waitlist and get bumped up automatically when someone cancels.
+// These helpers are shared by the web pages and the JSON API.
+// Registrations in the trash (see lib/trash.js) don't hold a seat or a place in line.
+
+import { newCheckinToken } from "./checkin.js";
+
+export function createRegistrations(db) {
+    // Locks the event row for the rest of the transaction. Two people clicking "Register" at the same
+    // moment for the last seat will line up here instead of both getting it.
+    const lockEvent = (trx, eventOccurrenceId) => trx("event_occurrences")
+        .where({ event_occurrence_id: eventOccurrenceId })
+        .whereNull("deletion_id")
+        .forUpdate()
+        .first();
+
+    // Counts the seats already taken. Waitlisted and cancelled people don't hold a seat.
+    const countRegistered = async (trx, eventOccurrenceId) => {
+        const result = await trx("registrations")
+            .where({ event_occurrence_id: eventOccurrenceId, registration_status: 'registered' })
+            .whereNull("deletion_id")
+            .count("participant_id as count")
+            .first();
+        return parseInt(result.count);
+    };
+
+    // Fills any open seats with the people who have been waiting the longest.
+    // Call this inside a transaction that has already locked the event with lockEvent().
+    const promoteFromWaitlist = async (trx, event) => {
+        let nextInLine = trx("registrations")
+            .where({ event_occurrence_id: event.event_occurrence_id, registration_status: 'waitlisted' })
+            .whereNull("deletion_id")
+            .orderBy("registration_date")
+            .select("participant_id");
+
+        // A blank capacity means the event has no limit, so everyone waiting gets in
+        if (event.capacity !== null) {
+            const openSeats = event.capacity - await countRegistered(trx, event.event_occurrence_id);
+            if (openSeats <= 0) return;
+            nextInLine = nextInLine.limit(openSeats);
+        }
+
+        const promoted = (await nextInLine).map(r => r.participant_id);
+        if (promoted.length === 0) return;
+
+        await trx("registrations")
+            .where({ event_occurrence_id: event.event_occurrence_id })
+            .whereIn("participant_id", promoted)
+            .update({ registration_status: 'registered' });
+    };
+
+    // Signs a participant up for an event and returns 'registered' or 'waitlisted'.
+    // Returns null if the event doesn't exist or has already started.
+    const registerForEvent = (participantId, eventOccurrenceId) => db.transaction(async (trx) => {
+        const event = await lockEvent(trx, eventOccurrenceId);
+        if (!event || new Date(event.start_time) <= new Date()) return null;
+
+        // There's only ever one row per person and event. One in the trash counts as cancelled.
+        const existing = await trx("registrations")
+            .where({ participant_id: participantId, event_occurrence_id: eventOccurrenceId })
+            .first();
+
+        // Clicking "Register" twice shouldn't lose your spot
+        if (existing && !existing.deletion_id && existing.registration_status !== 'cancelled') {
+            return existing.registration_status;
+        }
+
+        const seatsTaken = await countRegistered(trx, eventOccurrenceId);
+        const status = (event.capacity === null || seatsTaken < event.capacity) ? 'registered' : 'waitlisted';
+
+        if (existing) {
+            // Coming back after cancelling puts you at the back of the line (and takes the row out of the trash)
+            await trx("registrations")
+                .where({ participant_id: participantId, event_occurrence_id: eventOccurrenceId })
+                .update({ registration_status: status, registration_date: new Date(), deletion_id: null });
+        } else {
+            await trx("registrations").insert({
+                participant_id: participantId,
+                event_occurrence_id: eventOccurrenceId,
+                registration_status: status,
+                registration_date: new Date(),
+                checkin_token: newCheckinToken()
+            });
+        }
+        return status;
+    });
+
+    // Gives up a participant's seat (or waitlist spot) and lets the next person in line take it.
+    // Returns false if there was nothing to cancel.
+    const cancelRegistration = (participantId, eventOccurrenceId) => db.transaction(async (trx) => {
+        const event = await lockEvent(trx, eventOccurrenceId);
+        if (!event) return false;
+
+        const cancelled = await trx("registrations")
+            .where({ participant_id: participantId, event_occurrence_id: eventOccurrenceId })
+            .whereNull("deletion_id")
+            .whereNot({ registration_status: 'cancelled' })
+            .update({ registration_status: 'cancelled' });
+        if (cancelled === 0) return false;
+
+        await promoteFromWaitlist(trx, event);
+        return true;
+    });
+
+    return { lockEvent, countRegistered, promoteFromWaitlist, registerForEvent, cancelRegistration };
+}
@@ -0,0 +1,88 @@
+// Survey Reports
+// Live numbers for the Survey Reports page, worked out straight from the surveys table every time the
+// page loads (so a survey submitted a minute ago is already counted).
+//
+// NPS (Net Promoter Score) = % of promoters - % of detractors, so it goes from -100 to 100.
+// Which bucket each answer falls in is decided when the survey is saved (see lib/nps.js).
+//
+// Every report takes the same filters: { templateId, locationId, from, to }
+//   templateId / locationId - only surveys for that kind of event / that place
+//   from / to               - "YYYY-MM-DD", compared to the day of the event (not the day the survey was filled out)
+
+import { NPS_BUCKETS } from "./nps.js";
+
+// The 1-5 questions we average, with what to call them on screen.
+export const SURVEY_SCORES = {
+    score_satisfaction: "Satisfaction",
+    score_usefulness: "Usefulness",
+    score_instructor: "Instructor",
+    score_overall: "Overall"
+};
+
+// Ways to split up the results. "column" is what we group by, "label" is what we show for each group.
+export const REPORT_GROUPINGS = {
+    template: { label: "Event", column: "event_templates.event_template_id", name: "event_templates.event_name" },
+    location: { label: "Location", column: "locations.location_id", name: "locations.location_name" }
+};
+
+// How big each step of the "over time" table is. These are Postgres date_trunc() units.
+export const TREND_INTERVALS = { week: "Week", month: "Month", quarter: "Quarter", year: "Year" };
+
+// Turns promoter / detractor counts into a score from -100 to 100. Null if nobody answered the question.
+export const npsScore = ({ promoters, detractors, npsResponses }) =>
+    npsResponses > 0 ? Math.round(((promoters - detractors) / npsResponses) * 100) : null;
+
+export function createSurveyReports(db) {
+
+    // Every report starts from the same rows: surveys that aren't in the trash, with their event's details.
+    const baseQuery = ({ templateId, locationId, from, to } = {}) => {
+        const query = db("surveys")
+            .join("event_occurrences", "surveys.event_occurrence_id", "event_occurrences.event_occurrence_id")
+            .leftJoin("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+            .leftJoin("locations", "event_occurrences.location_id", "locations.location_id")
+            .whereNull("surveys.deletion_id");
+        if (templateId) query.where("event_occurrences.event_template_id", templateId);
+        if (locationId) query.where("event_occurrences.location_id", locationId);
+        if (from) query.where("event_occurrences.start_time", ">=", from);
+        if (to) query.whereRaw("event_occurrences.start_time < ?::date + 1", [to]);
+        return query;
+    };
+
+    // The numbers every report row has: how many responses, each average, and the NPS counts.
+    const selectTotals = (query) => query.select(
+        db.raw("COUNT(*)::int AS responses"),
+        ...Object.keys(SURVEY_SCORES).map(column => db.raw(`ROUND(AVG(surveys.??), 2)::float AS ??`, [column, column])),
+        db.raw("COUNT(*) FILTER (WHERE surveys.nps_bucket_id = ?)::int AS promoters", [NPS_BUCKETS.PROMOTER]),
+        db.raw("COUNT(*) FILTER (WHERE surveys.nps_bucket_id = ?)::int AS passives", [NPS_BUCKETS.PASSIVE]),
+        db.raw("COUNT(*) FILTER (WHERE surveys.nps_bucket_id = ?)::int AS detractors", [NPS_BUCKETS.DETRACTOR]),
+        db.raw("COUNT(surveys.nps_bucket_id)::int AS \"npsResponses\"")
+    );
+
+    const withNps = (row) => ({ ...row, nps: npsScore(row) });
+
+    // One row for everything that matches the filters.
+    const summary = async (filters) => withNps(await selectTotals(baseQuery(filters)).first());
+
+    // One row per event (or per location), most responses first. Each row also has "groupId" and "groupName".
+    const breakdown = async (groupBy, filters) => {
+        const { column, name } = REPORT_GROUPINGS[groupBy] || REPORT_GROUPINGS.template;
+        const rows = await selectTotals(baseQuery(filters))
+            .select(db.raw("?? AS \"groupId\"", [column]), db.raw("?? AS \"groupName\"", [name]))
+            .groupBy(column, name)
+            .orderBy("responses", "desc")
+            .orderBy("groupName");
+        return rows.map(withNps);
+    };
+
+    // One row per week / month / quarter / year, oldest first. "period" is the first day of each one.
+    const trend = async (interval, filters) => {
+        const unit = TREND_INTERVALS[interval] ? interval : "month";
+        const rows = await selectTotals(baseQuery(filters))
+            .select(db.raw("date_trunc(?, event_occurrences.start_time) AS period", [unit]))
+            .groupBy("period")
+            .orderBy("period");
+        return rows.map(withNps);
+    };
+
+    return { summary, breakdown, trend };
+}
@@ -0,0 +1,221 @@
+// Recurring Event Series
+// Weekly mentorship and monthly workshops used to mean typing in every date by hand. Now a manager
+// describes the pattern once ("every Tuesday and Thursday at 6pm until June, except spring break") and
+// we create all the events at once. Each event is still its own event_occurrences row (with its own
+// registrations, check-in and surveys); event_series_id just remembers which series it came from.
+//
+// Later on, an event in a series can be changed or cancelled on its own, or together with every
+// event after it in the series ("this and following").
+
+import { isRealDate } from "./validation.js";
+import { UserError } from "./errors.js";
+
+export const FREQUENCIES = { weekly: "Weekly", monthly: "Monthly" };
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// A typo in the end date shouldn't create ten years of events.
+export const MAX_SERIES_LENGTH = 200;
+
+const pad = (n) => String(n).padStart(2, "0");
+// "YYYY-MM-DD" in local time, the same way the date pickers show it
+const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// "The 2nd Tuesday": which week of the month a date falls in (1-5)
+const weekOfMonth = (date) => Math.ceil(date.getDate() / 7);
+
+// The nth weekday of a month, e.g. nthWeekday(2025, 2, 2, 2) = the 2nd Tuesday of March 2025.
+// Returns null if the month doesn't have one (there's no 5th Tuesday in most months).
+const nthWeekday = (year, month, weekday, n) => {
+    const first = new Date(year, month, 1).getDay();
+    const day = 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+    const date = new Date(year, month, day);
+    return date.getMonth() === month ? date : null;
+};
+
+// Works out the start time of every event in a series. All dates are in the server's local time, so
+// "6pm every Tuesday" stays 6pm across daylight saving changes.
+//   rule: { frequency, repeatEvery, weekdays, monthlyBy, firstStart, untilDate, count, skipDates }
+// The series ends at untilDate (inclusive) or after "count" events, whichever comes first.
+// Skipped dates don't count toward "count".
+export function seriesStartTimes(rule) {
+    const first = new Date(rule.firstStart);
+    const until = rule.untilDate ? new Date(`${rule.untilDate}T23:59:59`) : null;
+    const count = rule.count || MAX_SERIES_LENGTH;
+    const skip = new Set(rule.skipDates || []);
+    const every = Math.max(1, parseInt(rule.repeatEvery) || 1);
+    const at = (y, m, d) => new Date(y, m, d, first.getHours(), first.getMinutes());
+
+    const starts = [];
+    const add = (date) => {
+        if (date < first || skip.has(dayKey(date))) return;
+        starts.push(date);
+    };
+    const done = (date) => starts.length >= count || (until && date > until) || starts.length >= MAX_SERIES_LENGTH;
+    // Safety net for rules that rarely match (like "the 5th Friday, every 12 months"): stop looking after 20 years
+    const tooFar = (date) => date.getFullYear() > first.getFullYear() + 20;
+
+    if (rule.frequency === "weekly") {
+        const weekdays = [...new Set(rule.weekdays?.length ? rule.weekdays.map(Number) : [first.getDay()])].sort();
+        // Walk week by week from the Sunday of the first event's week
+        for (let week = 0; ; week += every) {
+            const sunday = at(first.getFullYear(), first.getMonth(), first.getDate() - first.getDay() + week * 7);
+            if (done(sunday) || tooFar(sunday)) break;
+            for (const weekday of weekdays) {
+                const date = at(sunday.getFullYear(), sunday.getMonth(), sunday.getDate() + weekday);
+                if (done(date)) break;
+                add(date);
+            }
+        }
+    } else {
+        const week = weekOfMonth(first);
+        for (let month = 0; ; month += every) {
+            const monthStart = at(first.getFullYear(), first.getMonth() + month, 1);
+            if (done(monthStart) || tooFar(monthStart)) break;
+            // Same day of the month, or the same "nth weekday". Months that don't have that day are skipped.
+            const date = rule.monthlyBy === "weekday"
+                ? nthWeekday(monthStart.getFullYear(), monthStart.getMonth(), first.getDay(), week)
+                : at(monthStart.getFullYear(), monthStart.getMonth(), first.getDate());
+            if (!date || date.getMonth() !== monthStart.getMonth()) continue;
+            const start = at(date.getFullYear(), date.getMonth(), date.getDate());
+            if (done(start)) break;
+            add(start);
+        }
+    }
+    return starts;
+}
+
+// Reads the "Repeat" part of the Add Event form. Returns null when "Does not repeat" is picked.
+// Skip dates are typed as YYYY-MM-DD, separated by commas or new lines.
+export function ruleFromForm(body) {
+    if (!FREQUENCIES[body.frequency]) return null;
+
+    const rule = {
+        frequency: body.frequency,
+        repeatEvery: parseInt(body.repeat_every) || 1,
+        weekdays: [body.weekdays || []].flat().map(Number).filter(d => d >= 0 && d <= 6),
+        monthlyBy: body.monthly_by === "weekday" ? "weekday" : "day",
+        firstStart: body.start_time,
+        untilDate: body.ends === "on" ? body.until_date || null : null,
+        count: body.ends === "after" ? parseInt(body.occurrence_count) || null : null,
+        skipDates: String(body.skip_dates || "").split(/[\s,]+/).filter(Boolean)
+    };
+
+    if (rule.repeatEvery < 1 || rule.repeatEvery > 12) throw new UserError("Repeat every 1 to 12 weeks or months.");
+    if (!rule.untilDate && !rule.count) throw new UserError("Pick when the series ends: on a date, or after a number of events.");
+    // Checked like every other date (lib/validation.js). Otherwise a bad one would never stop the series.
+    if (rule.untilDate && !(/^\d{4}-\d{2}-\d{2}$/.test(rule.untilDate) && isRealDate(rule.untilDate))) {
+        throw new UserError("The end date isn't a valid date.", 400, "until_date");
+    }
+    if (rule.count && (rule.count < 1 || rule.count > MAX_SERIES_LENGTH)) throw new UserError(`A series can have at most ${MAX_SERIES_LENGTH} events.`);
+    if (rule.untilDate && new Date(`${rule.untilDate}T23:59:59`) < new Date(rule.firstStart)) throw new UserError("The end date is before the first event.", 400, "until_date");
+    const badSkip = rule.skipDates.find(d => !/^\d{4}-\d{2}-\d{2}$/.test(d));
+    if (badSkip) throw new UserError(`"${badSkip}" isn't a date. Write skip dates like 2025-03-17.`);
+    return rule;
+}
+
+// The event fields that can be changed for "this and following" events at once.
+const SHARED_FIELDS = ["event_template_id", "location_id", "capacity"];
+
+export function createEventSeries(db, { audit, trash, registrations }) {
+
+    // Creates the series and all of its events in one go. "event" has the usual Add Event fields
+    // (event_template_id, location_id, capacity, start_time, end_time). Returns the new events.
+    const createSeries = (actor, event, rule) => db.transaction(async (trx) => {
+        const firstStart = new Date(event.start_time);
+        const durationMs = new Date(event.end_time) - firstStart;
+        if (!(durationMs > 0)) throw new UserError("The end time has to be after the start time.");
+
+        const starts = seriesStartTimes(rule);
+        if (starts.length === 0) throw new UserError("Those settings don't produce any dates.");
+
+        const [series] = await trx("event_series").insert({
+            event_template_id: event.event_template_id,
+            location_id: event.location_id,
+            capacity: event.capacity,
+            frequency: rule.frequency,
+            repeat_every: rule.repeatEvery,
+            weekdays: rule.frequency === "weekly" ? rule.weekdays : null,
+            monthly_by: rule.frequency === "monthly" ? rule.monthlyBy : null,
+            first_start: firstStart,
+            duration_minutes: Math.round(durationMs / 60000),
+            until_date: rule.untilDate,
+            occurrence_count: rule.count,
+            skip_dates: rule.skipDates
+        }).returning("*");
+
+        const created = [];
+        for (const start of starts) {
+            created.push(await audit.create(trx, actor, "events", {
+                event_template_id: event.event_template_id,
+                location_id: event.location_id,
+                capacity: event.capacity,
+                start_time: start,
+                end_time: new Date(start.getTime() + durationMs),
+                event_series_id: series.event_series_id
+            }));
+        }
+        return created;
+    });
+
+    // The event plus, for "following", every later event in the same series (not counting trashed ones).
+    const eventsInScope = async (trx, eventId, scope) => {
+        const event = await trx("event_occurrences").where({ event_occurrence_id: eventId }).whereNull("deletion_id").first();
+        if (!event) return [];
+        if (scope !== "following" || !event.event_series_id) return [event];
+        return trx("event_occurrences")
+            .where({ event_series_id: event.event_series_id })
+            .where("start_time", ">=", event.start_time)
+            .whereNull("deletion_id")
+            .orderBy("start_time");
+    };
+
+    // Saves the Edit Event form for one event ("one") or this and the later ones in its series ("following").
+    // For the later ones, a new start/end time moves each of them by the same amount (so moving this week's
+    // class from 6pm to 7pm moves all the following ones to 7pm too). Returns how many events changed.
+    const updateEvents = (actor, eventId, changes, scope = "one") => db.transaction(async (trx) => {
+        const events = await eventsInScope(trx, eventId, scope);
+        if (events.length === 0) return 0;
+
+        const [current] = events;
+        const startShift = changes.start_time ? new Date(changes.start_time) - new Date(current.start_time) : 0;
+        const endShift = changes.end_time ? new Date(changes.end_time) - new Date(current.end_time) : 0;
+        const shared = Object.fromEntries(SHARED_FIELDS.filter(f => changes[f] !== undefined).map(f => [f, changes[f]]));
+
+        for (const event of events) {
+            await audit.update(trx, actor, "events", event.event_occurrence_id, {
+                ...shared,
+                start_time: new Date(new Date(event.start_time).getTime() + startShift),
+                end_time: new Date(new Date(event.end_time).getTime() + endShift)
+            });
+            // If the capacity went up, people on the waitlist get the new seats right away
+            const locked = await registrations.lockEvent(trx, event.event_occurrence_id);
+            if (locked) await registrations.promoteFromWaitlist(trx, locked);
+        }
+        return events.length;
+    });
+
+    // Cancels one event, or this and the later ones in its series. They go to the trash (each on its own
+    // row there, with its registrations and surveys), so a mistake can be undone. Returns how many were cancelled.
+    const cancelEvents = async (actor, eventId, scope = "one") => {
+        const events = await eventsInScope(db, eventId, scope);
+        for (const event of events) {
+            await trash.remove(actor, "events", event.event_occurrence_id);
+        }
+        return events.length;
+    };
+
+    // The series an event belongs to, with how many of its events are left from this one on. Null if it isn't in one.
+    const seriesFor = async (event) => {
+        if (!event.event_series_id) return null;
+        const series = await db("event_series").where({ event_series_id: event.event_series_id }).first();
+        const { count } = await db("event_occurrences")
+            .where({ event_series_id: event.event_series_id })
+            .where("start_time", ">=", event.start_time)
+            .whereNull("deletion_id")
+            .count("* as count")
+            .first();
+        return { ...series, following_count: parseInt(count) };
+    };
+
+    return { createSeries, updateEvents, cancelEvents, seriesFor };
+}
@@ -0,0 +1,20 @@
+// App Settings
+// A few things managers can change from inside the app instead of asking a developer to edit .env
+// (like how long the trash keeps deleted records). They're saved in the app_settings table as text.
+
+export function createSettings(db) {
+
+    // Returns the saved value for "key", or "fallback" if it was never set.
+    const get = async (key, fallback = null) => {
+        const row = await db("app_settings").where({ setting_key: key }).first();
+        return row ? row.setting_value : fallback;
+    };
+
+    // Saves a value, replacing the old one if there was one.
+    const set = (key, value) => db("app_settings")
+        .insert({ setting_key: key, setting_value: String(value), updated_at: new Date() })
+        .onConflict("setting_key")
+        .merge();
+
+    return { get, set };
+}
@@ -0,0 +1,129 @@
+// Event Setup: Event Templates & Locations
+// Event templates are our program types (STEAM Workshop, Mariachi, ...) and locations are the places we
+// hold them. Every event on the calendar points at one of each. Managers add and edit them on the
+// Event Setup page instead of asking someone to change the database.
+//
+// They can't be deleted, because past events (and their surveys and attendance) still point at them.
+// Instead they're "retired": hidden from the Add Event form, but still shown on old events.
+//
+// A location's room_capacity is how many people fit. No event there can have a bigger capacity.
+
+import { UserError } from "./errors.js";
+
+// The two kinds of things on the Event Setup page. "entity" is their name in the audit log.
+export const SETUP_KINDS = {
+    templates: { entity: "event_templates", table: "event_templates", id: "event_template_id", name: "event_name", label: "Event Template" },
+    locations: { entity: "locations", table: "locations", id: "location_id", name: "location_name", label: "Location" }
+};
+
+// Blank means "no default" / "no limit". Anything else has to be a whole number above zero.
+const positiveOrNull = (value, label) => {
+    const text = String(value ?? "").trim();
+    if (!text) return null;
+    const number = Number(text);
+    if (!Number.isInteger(number) || number < 1) throw new UserError(`${label} has to be a whole number above zero.`);
+    return number;
+};
+
+// Turns the Add/Edit Event Template form into a row for event_templates.
+export function templateFromForm(body) {
+    const template = {
+        event_name: String(body.event_name || "").trim(),
+        event_description: String(body.event_description || "").trim() || null,
+        default_duration_minutes: positiveOrNull(body.default_duration_minutes, "Default length"),
+        default_capacity: positiveOrNull(body.default_capacity, "Default capacity"),
+        // Blank = use the default survey (see lib/surveys.js)
+        survey_template_id: body.survey_template_id ? parseInt(body.survey_template_id) : null
+    };
+    if (!template.event_name) throw new UserError("Every event template needs a name.");
+    return template;
+}
+
+// Turns the Add/Edit Location form into a row for locations.
+export function locationFromForm(body) {
+    const location = {
+        location_name: String(body.location_name || "").trim(),
+        address: String(body.address || "").trim() || null,
+        room_capacity: positiveOrNull(body.room_capacity, "Room capacity")
+    };
+    if (!location.location_name) throw new UserError("Every location needs a name.");
+    return location;
+}
+
+export function createEventSetup(db, { audit }) {
+
+    // Everything of one kind for the Event Setup page: active ones first, then retired, each by name.
+    // "upcoming_events" is how many events that haven't happened yet use it.
+    const list = (kind) => {
+        const { table, id, name } = SETUP_KINDS[kind];
+        return db(table)
+            .select(`${table}.*`)
+            .select(db.raw(`(SELECT COUNT(*)::int FROM event_occurrences
+                WHERE event_occurrences.?? = ??.?? AND event_occurrences.deletion_id IS NULL
+                AND event_occurrences.start_time >= NOW()) AS upcoming_events`, [id, table, id]))
+            .orderByRaw("retired_at IS NOT NULL")
+            .orderBy(name);
+    };
+
+    // The choices for the event template / location dropdowns on the event forms: the active ones, plus
+    // the one the event already uses (so editing an old event doesn't quietly switch it to something else).
+    const choices = (kind, currentId = null) => {
+        const { table, id, name } = SETUP_KINDS[kind];
+        return db(table)
+            .where(sub => {
+                sub.whereNull("retired_at");
+                if (currentId) sub.orWhere(id, currentId);
+            })
+            .orderBy(name);
+    };
+
+    const find = (kind, recordId) => {
+        const { table, id } = SETUP_KINDS[kind];
+        return db(table).where({ [id]: recordId }).first();
+    };
+
+    // Checks an event's capacity against its location's room capacity.
+    // Returns an error message, or null if it fits (or the location has no limit).
+    // A blank capacity means the event has no limit, which only works in a room without one.
+    const capacityError = async (locationId, capacity) => {
+        if (!locationId || capacity === undefined) return null;
+        const location = await find("locations", locationId);
+        if (!location) return "Pick a location from the list.";
+        if (capacity === null || capacity === "") {
+            return location.room_capacity ? `${location.location_name} only fits ${location.room_capacity} people, so the event needs a capacity.` : null;
+        }
+        if (location.room_capacity && Number(capacity) > location.room_capacity) {
+            return `${location.location_name} only fits ${location.room_capacity} people, so the capacity can't be ${capacity}.`;
+        }
+        return null;
+    };
+
+    // Adds a new event template or location (when recordId is null), or saves changes to one. Returns the row.
+    const save = async (actor, kind, values, recordId = null) => {
+        const { entity, id } = SETUP_KINDS[kind];
+
+        // Shrinking a room can't leave upcoming events with more seats than the room has
+        if (kind === "locations" && recordId && values.room_capacity) {
+            const { count } = await db("event_occurrences")
+                .where({ [id]: recordId })
+                .whereNull("deletion_id")
+                .where("start_time", ">=", new Date())
+                .where(q => q.where("capacity", ">", values.room_capacity).orWhereNull("capacity"))
+                .count("* as count")
+                .first();
+            if (parseInt(count) > 0) {
+                throw new UserError(`${count} upcoming event(s) here have no capacity or one above ${values.room_capacity}. Lower their capacity first.`, 409);
+            }
+        }
+
+        return recordId
+            ? audit.update(db, actor, entity, recordId, values)
+            : audit.create(db, actor, entity, values);
+    };
+
+    // Retires an event template or location (or brings it back, with retired = false).
+    const setRetired = (actor, kind, recordId, retired) =>
+        audit.update(db, actor, SETUP_KINDS[kind].entity, recordId, { retired_at: retired ? new Date() : null });
+
+    return { list, choices, find, capacityError, save, setRetired };
+}
@@ -0,0 +1,118 @@
+// File Storage
+// Uploaded files (right now just profile pictures) are saved through a "driver", which we pick with the
+// STORAGE_DRIVER setting:
+//   - "s3" (default): an Amazon S3 bucket (S3_BUCKET_NAME, AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY).
+//     Files are uploaded with the S3_ACL permission (default "public-read"; set it to an empty value for buckets
+//     that are made public with a bucket policy instead). Their web address starts with S3_PUBLIC_URL, which
+//     defaults to the bucket's own address. Set it if the files are served through a CDN.
+//   - "local": a folder on this computer, UPLOAD_DIR (default: ./uploads). The app serves it at /uploads.
+//     Handy for local development, since you don't need an AWS account.
+// Another place to keep files can be plugged in with registerDriver(), like registerTransport() in lib/mailer.js.
+//
+// Every file is saved under a "key" like "profile-pics/1f3a....webp", and the database keeps its web address.
+// remove() takes that web address, so the routes never have to know where a file actually lives.
+
+import fs from "fs/promises";
+import path from "path";
+import { DeleteObjectCommand, PutObjectCommand, S3Client } from "@aws-sdk/client-s3";
+
+// Every driver is a function that takes the settings and returns { baseUrl, put(key, body, contentType), delete(key) }.
+// A driver can also return staticFiles: { urlPath, directory } when the app has to serve the files itself.
+const drivers = {
+    s3: (options) => {
+        const bucket = (options.bucket || process.env.S3_BUCKET_NAME || "ella-rises-uploads").trim();
+        const region = (options.region || process.env.AWS_REGION || "us-east-2").trim();
+        // ?? instead of ||, so S3_ACL= (empty) really means "no ACL"
+        const acl = (options.acl ?? process.env.S3_ACL ?? "public-read").trim();
+        const client = options.client || new S3Client({
+            region,
+            credentials: {
+                accessKeyId: (process.env.AWS_ACCESS_KEY_ID || "").trim(),
+                secretAccessKey: (process.env.AWS_SECRET_ACCESS_KEY || "").trim()
+            }
+        });
+
+        return {
+            baseUrl: (options.publicUrl || process.env.S3_PUBLIC_URL || `https://${bucket}.s3.${region}.amazonaws.com`).trim(),
+            async put(key, body, contentType) {
+                await client.send(new PutObjectCommand({
+                    Bucket: bucket, Key: key, Body: body, ContentType: contentType, ...(acl ? { ACL: acl } : {})
+                }));
+            },
+            async delete(key) {
+                await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            }
+        };
+    },
+
+    local: (options) => {
+        const directory = path.resolve(options.directory || process.env.UPLOAD_DIR || "uploads");
+        const urlPath = "/uploads";
+        // Keys come from our own code, but this makes sure a key can never point outside the upload folder
+        const fileFor = (key) => {
+            const file = path.join(directory, key);
+            if (!file.startsWith(directory + path.sep)) throw new Error(`"${key}" isn't a valid storage key`);
+            return file;
+        };
+
+        return {
+            baseUrl: urlPath,
+            staticFiles: { urlPath, directory },
+            async put(key, body) {
+                const file = fileFor(key);
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.writeFile(file, body);
+            },
+            async delete(key) {
+                // force: a file that's already gone is fine
+                await fs.rm(fileFor(key), { force: true });
+            }
+        };
+    }
+};
+
+// Lets other code add a new place to keep files. After registering, set STORAGE_DRIVER to the same name.
+export function registerDriver(name, factory) {
+    drivers[name] = factory;
+}
+
+// Builds the file storage using the driver named in the settings (or S3 if none is set).
+// options: { driver, and the driver's own settings: bucket, region, acl, publicUrl, client for "s3"; directory for "local" }
+export function createStorage(options = {}) {
+    const name = options.driver || process.env.STORAGE_DRIVER || "s3";
+    const factory = drivers[name];
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${name}"`);
+    }
+    const driver = factory(options);
+    const prefix = driver.baseUrl.replace(/\/+$/, "") + "/";
+
+    // The key a web address points to, or null when the file isn't one of ours
+    // (like a picture saved before we switched drivers, or a link to somewhere else).
+    const keyFor = (url) => {
+        if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+        try {
+            const key = decodeURIComponent(url.slice(prefix.length));
+            return key && !key.split("/").includes("..") ? key : null;
+        } catch {
+            return null;
+        }
+    };
+
+    return {
+        // When set, the app has to serve these files itself (see createApp() in app.js)
+        staticFiles: driver.staticFiles || null,
+
+        // Saves a file and returns its web address
+        async save(key, body, contentType) {
+            await driver.put(key, body, contentType);
+            return prefix + key.split("/").map(encodeURIComponent).join("/");
+        },
+
+        // Deletes the file at a web address. Addresses that aren't ours are left alone.
+        async remove(url) {
+            const key = keyFor(url);
+            if (key) await driver.delete(key);
+        }
+    };
+}
@@ -0,0 +1,287 @@
+// Survey Builder
+// Feedback forms used to be five fixed 1-5 questions. Now managers build their own "survey templates"
+// out of questions (ratings, multiple choice, free text, yes/no), and each event template picks which
+// survey its events use. Events that haven't picked one get the default survey.
+//
+// Answers are saved one row per question in survey_answers. Two kinds of questions ALSO fill in the
+// old columns on the surveys table, so NPS, the Survey Reports page and exports keep working:
+//   - the question marked "recommend" -> score_recommendation and the NPS bucket (see lib/nps.js)
+//   - a question with a "survey_column" -> that column (e.g. a rating copied into score_satisfaction)
+// Responses from before the builder have no answer rows and are shown from those columns instead.
+
+import { npsBucketFor } from "./nps.js";
+import { SURVEY_SCORES } from "./reports.js";
+import { UserError } from "./errors.js";
+
+export const QUESTION_TYPES = {
+    rating: "Rating (1-5)",
+    choice: "Multiple Choice",
+    text: "Free Text",
+    yes_no: "Yes / No"
+};
+
+// Columns of the surveys table a question can be copied into. Ratings go into scores, text into comments.
+export const SURVEY_COLUMNS = {
+    ...Object.fromEntries(Object.entries(SURVEY_SCORES).map(([column, label]) => [column, { label: `${label} score`, type: "rating" }])),
+    comments: { label: "Comments", type: "text" }
+};
+
+// The form field for each question's answer, e.g. "question_12"
+export const answerField = (question) => `question_${question.question_id}`;
+
+// Checks one answer against its question. Returns the value to save (as text), or null if it was left blank.
+// The UserError it throws names the question's form field, so a form can show the message under it.
+const cleanAnswer = (question, raw) => {
+    const problem = (message) => new UserError(message, 400, answerField(question));
+    const value = String(raw ?? "").trim();
+    if (!value) {
+        if (question.is_required) throw problem(`Please answer "${question.question_text}".`);
+        return null;
+    }
+    if (question.question_type === "rating") {
+        const score = parseInt(value);
+        if (!(score >= 1 && score <= 5)) throw problem(`"${question.question_text}" needs a rating from 1 to 5.`);
+        return String(score);
+    }
+    if (question.question_type === "yes_no" && !["yes", "no"].includes(value)) {
+        throw problem(`"${question.question_text}" needs a yes or no answer.`);
+    }
+    if (question.question_type === "choice" && !(question.choices || []).includes(value)) {
+        throw problem(`"${value}" isn't one of the choices for "${question.question_text}".`);
+    }
+    return value;
+};
+
+// The old surveys columns, filled in from the questions that map to them (see the top of this file).
+// Columns no question maps to are left out, so they keep whatever they had.
+const columnsFromAnswers = (answers) => {
+    const columns = {};
+    for (const { question, value } of answers) {
+        if (question.survey_column) columns[question.survey_column] = value;
+        if (question.is_recommend) {
+            columns.score_recommendation = value;
+            columns.nps_bucket_id = npsBucketFor(value);
+        }
+    }
+    return columns;
+};
+
+// Turns the "Add/Edit Question" form into a row for survey_questions.
+// "choices" is typed one per line.
+export function questionFromForm(body) {
+    const question = {
+        question_text: String(body.question_text || "").trim(),
+        question_type: body.question_type,
+        choices: null,
+        low_label: null,
+        high_label: null,
+        is_required: body.is_required === "on",
+        is_recommend: body.is_recommend === "on",
+        survey_column: body.survey_column || null
+    };
+
+    if (!question.question_text) throw new UserError("Every question needs some text.");
+    if (!QUESTION_TYPES[question.question_type]) throw new UserError("Pick a question type.");
+
+    if (question.question_type === "choice") {
+        const choices = [...new Set(String(body.choices || "").split("\n").map(c => c.trim()).filter(Boolean))];
+        if (choices.length < 2) throw new UserError("Multiple choice questions need at least two choices (one per line).");
+        question.choices = JSON.stringify(choices);
+    }
+    if (question.question_type === "rating") {
+        question.low_label = String(body.low_label || "").trim() || null;
+        question.high_label = String(body.high_label || "").trim() || null;
+    }
+    if (question.is_recommend && question.question_type !== "rating") {
+        throw new UserError("Only a 1-5 rating can be the \"recommend\" question.");
+    }
+    if (question.survey_column) {
+        const column = SURVEY_COLUMNS[question.survey_column];
+        if (!column) throw new UserError("Pick a report column from the list.");
+        if (column.type !== question.question_type) {
+            throw new UserError(`Only ${QUESTION_TYPES[column.type].toLowerCase()} questions can count as "${column.label}".`);
+        }
+    }
+    return question;
+}
+
+export function createSurveys(db, { audit }) {
+
+    // The questions on one survey, in order
+    const questionsFor = (surveyTemplateId) => db("survey_questions")
+        .where({ survey_template_id: surveyTemplateId })
+        .orderBy("sort_order")
+        .orderBy("question_id");
+
+    // The survey people should fill out for an event: its event template's survey, or the default one.
+    // Returns { template, questions }, or null if the event doesn't exist (or there's no survey at all).
+    const formForEvent = async (eventId) => {
+        const event = await db("event_occurrences")
+            .leftJoin("event_templates", "event_occurrences.event_template_id", "event_templates.event_template_id")
+            .where("event_occurrences.event_occurrence_id", eventId)
+            .whereNull("event_occurrences.deletion_id")
+            .select("event_occurrences.event_occurrence_id", "event_templates.event_name", "event_templates.survey_template_id")
+            .first();
+        if (!event) return null;
+
+        const template = event.survey_template_id
+            ? await db("survey_templates").where({ survey_template_id: event.survey_template_id }).first()
+            : await db("survey_templates").where({ is_default: true }).first();
+        if (!template) return null;
+
+        return { event, template, questions: await questionsFor(template.survey_template_id) };
+    };
+
+    // Saves one person's answers for an event. "body" is the submitted form (question_<id> fields).
+    // Throws a UserError if an answer is missing or invalid. Returns the new survey row, or null if
+    // they already filled this survey out.
+    const submit = (actor, { participantId, eventId, body }) => db.transaction(async (trx) => {
+        const form = await formForEvent(eventId);
+        if (!form) throw new UserError("That event doesn't have a survey.", 404);
+
+        const existing = await trx("surveys")
+            .where({ participant_id: participantId, event_occurrence_id: eventId })
+            .whereNull("deletion_id")
+            .first();
+        if (existing) return null;
+
+        const answers = form.questions.map(question => ({ question, value: cleanAnswer(question, body[answerField(question)]) }));
+
+        const row = await audit.create(trx, actor, "surveys", {
+            participant_id: participantId,
+            event_occurrence_id: eventId,
+            survey_template_id: form.template.survey_template_id,
+            submission_date: new Date(),
+            ...columnsFromAnswers(answers)
+        });
+        await saveAnswers(trx, row.survey_id, answers);
+        return row;
+    });
+
+    // Saves the answered questions as survey_answers rows (blank answers aren't saved)
+    const saveAnswers = async (trx, surveyId, answers) => {
+        const answered = answers.filter(a => a.value !== null);
+        if (answered.length === 0) return;
+        await trx("survey_answers").insert(answered.map(({ question, value }) => ({
+            survey_id: surveyId,
+            question_id: question.question_id,
+            question_text: question.question_text,
+            question_type: question.question_type,
+            answer_value: value
+        })));
+    };
+
+    // For the Edit Survey Response page: the questions of the survey a response was filled out on, and its
+    // answers as "values" keyed by form field (like the submitted form). null for responses from before the builder.
+    const editFormFor = async (survey) => {
+        if (!survey.survey_template_id) return null;
+        const answers = await db("survey_answers").where({ survey_id: survey.survey_id }).whereNotNull("question_id");
+        return {
+            questions: await questionsFor(survey.survey_template_id),
+            values: Object.fromEntries(answers.map(a => [answerField(a), a.answer_value]))
+        };
+    };
+
+    // Saves a manager's changes to a builder response: "links" ({ participant_id, event_occurrence_id }) and
+    // new answers from "body". The mapped score columns and NPS bucket are worked out from the answers again,
+    // so they always agree with what the response page shows. Throws a UserError if an answer is missing or invalid.
+    const updateAnswers = (actor, survey, links, body) => db.transaction(async (trx) => {
+        const questions = await questionsFor(survey.survey_template_id).transacting(trx);
+        const answers = questions.map(question => ({ question, value: cleanAnswer(question, body[answerField(question)]) }));
+
+        const row = await audit.update(trx, actor, "surveys", survey.survey_id, { ...links, ...columnsFromAnswers(answers) });
+        // Answers to questions that have since been removed from the survey stay as they were
+        await trx("survey_answers")
+            .where({ survey_id: survey.survey_id })
+            .whereIn("question_id", questions.map(q => q.question_id))
+            .del();
+        await saveAnswers(trx, survey.survey_id, answers);
+        return row;
+    });
+
+    // The answers to one response, in the order the questions were asked. Empty for responses from before the builder.
+    const answersFor = (surveyId) => db("survey_answers")
+        .leftJoin("survey_questions", "survey_answers.question_id", "survey_questions.question_id")
+        .where("survey_answers.survey_id", surveyId)
+        .select("survey_answers.*", "survey_questions.low_label", "survey_questions.high_label")
+        .orderByRaw("survey_questions.sort_order NULLS LAST")
+        .orderBy("survey_answers.survey_answer_id");
+
+    // --- EDITING SURVEYS ---
+
+    // Adds a question to the end of a survey, or changes an existing one (when questionId is given).
+    const saveQuestion = (surveyTemplateId, question, questionId = null) => db.transaction(async (trx) => {
+        // Only one "recommend" question per survey: taking the flag moves it off the old one
+        if (question.is_recommend) {
+            await trx("survey_questions")
+                .where({ survey_template_id: surveyTemplateId, is_recommend: true })
+                .whereNot({ question_id: questionId ?? 0 })
+                .update({ is_recommend: false });
+        }
+        // Same for report columns: two questions can't both fill in score_satisfaction
+        if (question.survey_column) {
+            await trx("survey_questions")
+                .where({ survey_template_id: surveyTemplateId, survey_column: question.survey_column })
+                .whereNot({ question_id: questionId ?? 0 })
+                .update({ survey_column: null });
+        }
+        if (questionId) {
+            await trx("survey_questions").where({ question_id: questionId, survey_template_id: surveyTemplateId }).update(question);
+            return;
+        }
+        const { max } = await trx("survey_questions").where({ survey_template_id: surveyTemplateId }).max("sort_order as max").first();
+        await trx("survey_questions").insert({ ...question, survey_template_id: surveyTemplateId, sort_order: (max ?? 0) + 1 });
+    });
+
+    // Removes a question. Answers already given to it stay on their responses (they keep a copy of the wording).
+    const removeQuestion = (questionId) => db("survey_questions").where({ question_id: questionId }).del();
+
+    // Swaps a question with the one above ("up") or below ("down") it.
+    const moveQuestion = (questionId, direction) => db.transaction(async (trx) => {
+        const question = await trx("survey_questions").where({ question_id: questionId }).first();
+        if (!question) return;
+        const questions = await questionsFor(question.survey_template_id).transacting(trx);
+        const index = questions.findIndex(q => q.question_id === question.question_id);
+        const other = questions[direction === "up" ? index - 1 : index + 1];
+        if (!other) return;
+
+        // Renumber everything so two questions never share a sort_order
+        [questions[index], questions[questions.indexOf(other)]] = [other, questions[index]];
+        for (const [position, q] of questions.entries()) {
+            await trx("survey_questions").where({ question_id: q.question_id }).update({ sort_order: position + 1 });
+        }
+    });
+
+    // Makes one survey the default for events whose event template hasn't picked one.
+    const setDefault = (surveyTemplateId) => db.transaction(async (trx) => {
+        await trx("survey_templates").where({ is_default: true }).update({ is_default: false });
+        await trx("survey_templates").where({ survey_template_id: surveyTemplateId }).update({ is_default: true });
+    });
+
+    // Points exactly these event templates at this survey. Event templates that used to use it go back to the default.
+    const assignEventTemplates = (surveyTemplateId, eventTemplateIds) => db.transaction(async (trx) => {
+        await trx("event_templates")
+            .where({ survey_template_id: surveyTemplateId })
+            .whereNotIn("event_template_id", eventTemplateIds)
+            .update({ survey_template_id: null });
+        if (eventTemplateIds.length > 0) {
+            await trx("event_templates").whereIn("event_template_id", eventTemplateIds).update({ survey_template_id: surveyTemplateId });
+        }
+    });
+
+    // Deletes a survey that nobody has filled out yet. Responses need their survey to make sense,
+    // and the default survey is what events fall back to, so those can't be deleted.
+    const removeTemplate = async (surveyTemplateId) => {
+        const template = await db("survey_templates").where({ survey_template_id: surveyTemplateId }).first();
+        if (!template) return;
+        if (template.is_default) throw new UserError("Make another survey the default before deleting this one.", 409);
+
+        const { count } = await db("surveys").where({ survey_template_id: surveyTemplateId }).count("* as count").first();
+        if (parseInt(count) > 0) {
+            throw new UserError(`This survey has ${count} response(s), so it can't be deleted. You can still edit its questions.`, 409);
+        }
+        await db("survey_templates").where({ survey_template_id: surveyTemplateId }).del();
+    };
+
+    return { questionsFor, formForEvent, submit, answersFor, editFormFor, updateAnswers, saveQuestion, removeQuestion, moveQuestion, setDefault, assignEventTemplates, removeTemplate };
+}
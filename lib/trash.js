@@ -0,0 +1,291 @@
+// Trash (Soft Delete)
+// Delete buttons don't wipe records out anymore, they move them to the trash. The rows stay in their
+// tables but get a deletion_id, and every query in the app skips rows that have one. A manager can
+// restore them from the Trash page, or delete them for good ("purge").
+//
+// Deleting a participant sends everything that belongs to them (donations, pledges, surveys, event
+// registrations, milestones and their login) to the trash under the SAME deletion, so one Restore click
+// brings all of it back. Deleting an event does the same for its registrations and surveys.
+//
+// Anything that has been in the trash longer than the retention period is purged by a background job.
+// Managers choose the retention period on the Trash page (0 means keep everything until someone purges it).
+
+import { AUDITED_ENTITIES, SYSTEM_ACTOR, inTransaction } from "./audit.js";
+import { discardProfilePictures } from "./images.js";
+import { UserError } from "./errors.js";
+
+export const DEFAULT_RETENTION_DAYS = 90;
+const RETENTION_SETTING = "trash_retention_days";
+
+// Event templates and locations are never deleted, only retired (see lib/setup.js), so they don't go to the trash.
+const RETIRED_NOT_DELETED = ["event_templates", "locations"];
+export const TRASHABLE_ENTITIES = Object.fromEntries(
+    Object.entries(AUDITED_ENTITIES).filter(([entity]) => !RETIRED_NOT_DELETED.includes(entity))
+);
+
+// Every table that can go to the trash. Registrations don't have a page of their own, so they only
+// ever go along with their participant or event.
+const TRASH_TABLES = {
+    ...TRASHABLE_ENTITIES,
+    registrations: { table: "registrations", id: "registration_id", label: "Registration" }
+};
+
+// What goes to the trash along with a record, and the column that ties it to that record.
+const TRASH_CASCADES = {
+    participants: { column: "participant_id", entities: ["donations", "pledges", "surveys", "registrations", "milestones", "users"] },
+    events: { column: "event_occurrence_id", entities: ["registrations", "surveys"] }
+};
+
+// Purging deletes rows for real, so the ones that point at other rows have to go first.
+const PURGE_ORDER = ["registrations", "surveys", "milestones", "users", "donations", "pledges", "participants", "events"];
+
+// The deletion_id column is how we hide rows; it's not part of the record itself, so we leave it out of the audit log.
+const withoutDeletion = ({ deletion_id, ...rest }) => rest;
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString() : "no date";
+
+// "storage" is where profile pictures are kept (lib/storage.js), so purged participants' pictures can be deleted too.
+export function createTrash(db, { audit, registrations, settings, storage }) {
+
+    // A short line for the Trash page, so managers can tell what they're restoring
+    // (the record itself is hidden by then). e.g. "$25.00 on 3/1/2025 from Ana Lopez"
+    const describe = async (trx, entity, row) => {
+        const owner = row.participant_id && entity !== "participants"
+            ? await trx("participants").where({ participant_id: row.participant_id }).first()
+            : null;
+        const from = owner ? ` from ${owner.first_name} ${owner.last_name}` : "";
+
+        switch (entity) {
+            case "participants": return `${row.first_name} ${row.last_name}${row.email ? ` (${row.email})` : ""}`;
+            case "donations": return `$${row.donation_amount} on ${formatDate(row.donation_date)}${from}`;
+            case "pledges": return `$${row.pledge_amount} ${row.frequency} pledge${from}`;
+            case "surveys": return `Survey submitted ${formatDate(row.submission_date)}${from}`;
+            case "milestones": return `Milestone on ${formatDate(row.milestone_date)}${from}`;
+            case "users": return `Login "${row.username}"${owner ? ` for ${owner.first_name} ${owner.last_name}` : ""}`;
+            case "events": {
+                const template = await trx("event_templates").where({ event_template_id: row.event_template_id }).first();
+                return `${template ? template.event_name : "Event"} on ${formatDate(row.start_time)}`;
+            }
+            default: return `${TRASH_TABLES[entity].label} #${row[TRASH_TABLES[entity].id]}`;
+        }
+    };
+
+    // Moves one record (and everything that belongs to it) to the trash.
+    // Returns the new deletion, or null if the record doesn't exist or is already in the trash.
+    // Pass the caller's transaction as "conn" if they already have one open.
+    const remove = (actor, entity, entityId, conn = db) => inTransaction(conn, async (trx) => {
+        const { table, id } = TRASH_TABLES[entity];
+        const row = await trx(table).where({ [id]: entityId }).whereNull("deletion_id").forUpdate().first();
+        if (!row) return null;
+
+        const [deletion] = await trx("deletions").insert({
+            entity,
+            entity_id: row[id],
+            description: await describe(trx, entity, row),
+            deleted_by_user_id: actor?.userId ?? null,
+            deleted_by_username: actor?.username ?? null
+        }).returning("*");
+
+        // The related records go first. The ones without an audit entity (registrations) are saved
+        // with the main record's audit entry instead, the same way a hard delete used to log them.
+        const unaudited = {};
+        const cascade = TRASH_CASCADES[entity];
+        for (const related of cascade ? cascade.entities : []) {
+            const rows = await trx(TRASH_TABLES[related].table)
+                .where({ [cascade.column]: row[id] })
+                .whereNull("deletion_id")
+                .update({ deletion_id: deletion.deletion_id })
+                .returning("*");
+            if (rows.length === 0) continue;
+
+            if (!AUDITED_ENTITIES[related]) {
+                unaudited[related] = rows.map(withoutDeletion);
+                continue;
+            }
+            for (const relatedRow of rows) {
+                await audit.record(trx, actor, {
+                    entity: related,
+                    entityId: relatedRow[TRASH_TABLES[related].id],
+                    action: "delete",
+                    before: withoutDeletion(relatedRow)
+                });
+            }
+        }
+
+        await trx(table).where({ [id]: row[id] }).update({ deletion_id: deletion.deletion_id });
+        await audit.record(trx, actor, { entity, entityId: row[id], action: "delete", before: { ...withoutDeletion(row), ...unaudited } });
+
+        // A participant in the trash doesn't hold their event seats anymore, so the waitlist moves up
+        if (entity === "participants" && unaudited.registrations) {
+            const eventIds = [...new Set(unaudited.registrations
+                .filter(r => r.registration_status === "registered")
+                .map(r => r.event_occurrence_id))];
+            for (const eventId of eventIds) {
+                const event = await registrations.lockEvent(trx, eventId);
+                if (event) await registrations.promoteFromWaitlist(trx, event);
+            }
+        }
+        return deletion;
+    });
+
+    // Brings back everything from one deletion. Returns the deletion, or null if it doesn't exist.
+    // Throws a UserError if the record belongs to something that's still in the trash, or if its
+    // email/username has been taken by someone else in the meantime.
+    // Restored registrations take their seats back, even if that puts the event over capacity.
+    const restore = (deletionId, actor) => db.transaction(async (trx) => {
+        const deletion = await trx("deletions").where({ deletion_id: deletionId }).forUpdate().first();
+        if (!deletion) return null;
+
+        // e.g. a donation whose donor was deleted later on would just be hidden again
+        const { table, id } = TRASH_TABLES[deletion.entity];
+        const row = await trx(table).where({ [id]: deletion.entity_id }).first();
+        const parents = { participant_id: "participants", event_occurrence_id: "events" };
+        for (const [column, parent] of Object.entries(parents)) {
+            if (!row || column === id || !row[column]) continue;
+            const parentTable = TRASH_TABLES[parent];
+            const parentRow = await trx(parentTable.table).where({ [parentTable.id]: row[column] }).first();
+            if (parentRow && parentRow.deletion_id) {
+                throw new UserError(`This ${TRASH_TABLES[deletion.entity].label.toLowerCase()} belongs to a ${parentTable.label.toLowerCase()} that is also in the trash. Restore that first.`, 409);
+            }
+        }
+
+        try {
+            for (const [entity, info] of Object.entries(TRASH_TABLES)) {
+                const rows = await trx(info.table)
+                    .where({ deletion_id: deletion.deletion_id })
+                    .update({ deletion_id: null })
+                    .returning("*");
+                if (!TRASHABLE_ENTITIES[entity]) continue;
+                for (const restored of rows) {
+                    await audit.record(trx, actor, { entity, entityId: restored[info.id], action: "restore", after: withoutDeletion(restored) });
+                }
+            }
+        } catch (err) {
+            // 23505 = unique violation (see the *_active_unique indexes in db/migrations/009_trash.js)
+            if (err.code === "23505") {
+                throw new UserError("Someone else is now using this email address or username, so it can't be restored. Change theirs first.", 409);
+            }
+            throw err;
+        }
+
+        await trx("deletions").where({ deletion_id: deletion.deletion_id }).del();
+        return deletion;
+    });
+
+    // Deletes everything in one deletion for real. Must be called inside a transaction.
+    // Returns the profile pictures of the participants it deleted. They're removed from storage once the
+    // transaction has committed, so a purge that fails halfway never leaves a record without its picture.
+    const purgeDeletion = async (trx, deletion, actor) => {
+        const otherDeletions = new Set();
+        const pictures = [];
+
+        for (const entity of PURGE_ORDER) {
+            const { table, id } = TRASH_TABLES[entity];
+            const rows = await trx(table).where({ deletion_id: deletion.deletion_id });
+            const ids = rows.map(r => r[id]);
+            if (ids.length === 0) continue;
+            if (entity === "participants") pictures.push(...rows.map(r => r.profilePictureUrl));
+
+            // Things from OTHER deletions that belong to these records (a donation deleted on its own before
+            // its donor was) could never be restored without them, so they're purged too.
+            const cascade = TRASH_CASCADES[entity];
+            for (const related of cascade ? cascade.entities : []) {
+                const relatedTable = TRASH_TABLES[related];
+                const leftovers = await trx(relatedTable.table)
+                    .whereIn(cascade.column, ids)
+                    .whereNotNull("deletion_id")
+                    .del()
+                    .returning([relatedTable.id, "deletion_id"]);
+                for (const leftover of leftovers) {
+                    otherDeletions.add(leftover.deletion_id);
+                    if (AUDITED_ENTITIES[related]) {
+                        await audit.record(trx, actor, { entity: related, entityId: leftover[relatedTable.id], action: "purge" });
+                    }
+                }
+            }
+
+            await trx(table).whereIn(id, ids).del();
+            if (AUDITED_ENTITIES[entity]) {
+                for (const entityId of ids) {
+                    await audit.record(trx, actor, { entity, entityId, action: "purge" });
+                }
+            }
+        }
+
+        // Other deletions whose main record just went with this one have nothing left to restore
+        otherDeletions.delete(deletion.deletion_id);
+        for (const otherId of otherDeletions) {
+            const other = await trx("deletions").where({ deletion_id: otherId }).first();
+            if (!other) continue;
+            const { table, id } = TRASH_TABLES[other.entity];
+            const stillThere = await trx(table).where({ [id]: other.entity_id }).first();
+            if (!stillThere) await trx("deletions").where({ deletion_id: otherId }).del();
+        }
+        await trx("deletions").where({ deletion_id: deletion.deletion_id }).del();
+        return pictures;
+    };
+
+    // Deletes one deletion for real. Returns false if it doesn't exist.
+    const purge = async (deletionId, actor) => {
+        const pictures = await db.transaction(async (trx) => {
+            const deletion = await trx("deletions").where({ deletion_id: deletionId }).forUpdate().first();
+            if (!deletion) return null;
+            return purgeDeletion(trx, deletion, actor);
+        });
+        if (!pictures) return false;
+        if (storage) await discardProfilePictures(storage, pictures);
+        return true;
+    };
+
+    // How many days things stay in the trash. 0 means forever.
+    const getRetentionDays = async () => {
+        const days = parseInt(await settings.get(RETENTION_SETTING, DEFAULT_RETENTION_DAYS));
+        return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+    };
+    const setRetentionDays = (days) => settings.set(RETENTION_SETTING, days);
+
+    // Purges everything older than the retention period. Returns how many deletions were purged.
+    // Each one gets its own transaction, so one that fails doesn't stop the rest.
+    const purgeExpired = async (actor = SYSTEM_ACTOR) => {
+        const days = await getRetentionDays();
+        if (days === 0) return 0;
+
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const expired = await db("deletions").where("deleted_at", "<", cutoff).orderBy("deleted_at").select("deletion_id");
+        let purged = 0;
+        for (const { deletion_id } of expired) {
+            try {
+                if (await purge(deletion_id, actor)) purged++;
+            } catch (err) {
+                console.error(`Trash: couldn't purge deletion ${deletion_id}`, err);
+            }
+        }
+        return purged;
+    };
+
+    // How many rows of each kind are in each deletion, for the "also deleted" column on the Trash page.
+    // Returns { <deletion_id>: { donations: 3, surveys: 1, ... } }
+    const contents = async (deletionIds) => {
+        const result = Object.fromEntries(deletionIds.map(deletionId => [deletionId, {}]));
+        if (deletionIds.length === 0) return result;
+
+        for (const [entity, { table }] of Object.entries(TRASH_TABLES)) {
+            const counts = await db(table).whereIn("deletion_id", deletionIds)
+                .select("deletion_id").count("* as count").groupBy("deletion_id");
+            counts.forEach(c => { result[c.deletion_id][entity] = parseInt(c.count); });
+        }
+        return result;
+    };
+
+    // Runs purgeExpired once now and then every "hours" hours. Returns the timer so it can be stopped.
+    const startJob = (hours) => {
+        const run = () => purgeExpired()
+            .then(purged => { if (purged > 0) console.log(`Trash job: purged ${purged} deletion(s)`); })
+            .catch(err => console.error("Trash Job Error:", err));
+        run();
+        // unref() so a pending timer never keeps the process alive on its own
+        return setInterval(run, hours * 60 * 60 * 1000).unref();
+    };
+
+    return { remove, restore, purge, purgeExpired, getRetentionDays, setRetentionDays, contents, startJob };
+}
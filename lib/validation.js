@@ -0,0 +1,291 @@
+// Form & API Validation
+// Every kind of record people can type in has a schema here: which fields a form (or the API) is allowed
+// to set, what each one has to look like, and rules that compare fields with each other (like an event
+// ending after it starts). validate() checks what was sent against a schema and gives back either clean
+// values that are ready for the database, or an "errors" object that the form shows under each box,
+// like { email: "Email doesn't look like an email address." } (see views/partials/field_error.ejs).
+//
+// Anything that isn't in the schema is dropped, so nobody can write to columns we didn't mean to expose.
+
+import { PLEDGE_FREQUENCIES } from "./pledges.js";
+import { MIN_PASSWORD_LENGTH } from "./profile.js";
+
+// --- FIELD RULES ---
+// Each rule has a label (for the messages), whether it's required, and convert(text), which returns the
+// value to save, or undefined when the text isn't valid (then "message" is shown).
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T.*)?$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// new Date() quietly turns February 31 into March 3, so the day part is also checked against what it became
+export const isRealDate = (text) => {
+    const day = new Date(`${text.slice(0, 10)}T00:00:00Z`);
+    return !Number.isNaN(new Date(text).getTime()) && !Number.isNaN(day.getTime()) && day.toISOString().startsWith(text.slice(0, 10));
+};
+
+// Plain text, up to "max" characters (the size of its database column)
+const text = (label, { required = false, max = 255 } = {}) => ({
+    label, required,
+    message: `${label} can't be longer than ${max} characters.`,
+    convert: (value) => value.length <= max ? value : undefined
+});
+
+const email = (label, { required = false } = {}) => ({
+    label, required,
+    message: `${label} doesn't look like an email address.`,
+    convert: (value) => EMAIL_PATTERN.test(value) && value.length <= 255 ? value : undefined
+});
+
+// A whole number, optionally between min and max
+const integer = (label, { required = false, min, max } = {}) => ({
+    label, required,
+    message: min !== undefined && max !== undefined ? `${label} has to be a whole number from ${min} to ${max}.`
+        : min !== undefined ? `${label} has to be a whole number of at least ${min}.`
+        : `${label} has to be a whole number.`,
+    convert: (value) => {
+        const number = Number(value);
+        if (!Number.isInteger(number)) return undefined;
+        if (min !== undefined && number < min) return undefined;
+        if (max !== undefined && number > max) return undefined;
+        return number;
+    }
+});
+
+// A new password, as typed (it's hashed before it's saved)
+const password = (label, { required = false } = {}) => ({
+    label, required,
+    message: `${label} has to be at least ${MIN_PASSWORD_LENGTH} characters.`,
+    convert: (value) => value.length >= MIN_PASSWORD_LENGTH && value.length <= 200 ? value : undefined
+});
+
+// One of a fixed list of choices (the keys of "options")
+const choice = (label, options, { required = false } = {}) => ({
+    label, required,
+    message: `Pick a valid ${label.toLowerCase()}.`,
+    convert: (value) => Object.hasOwn(options, value) ? value : undefined
+});
+
+// The id of another record (picked from a dropdown)
+const id = (label, { required = false } = {}) => ({
+    ...integer(label, { required, min: 1 }),
+    message: `Pick a valid ${label.toLowerCase()}.`
+});
+
+// Money: above zero, with at most two decimal places
+const amount = (label, { required = false } = {}) => ({
+    label, required,
+    message: `${label} has to be an amount above zero, like 25 or 25.50.`,
+    convert: (value) => {
+        const number = Number(value);
+        return /^\d+(\.\d{1,2})?$/.test(value) && number > 0 && number < 100000000 ? number : undefined;
+    }
+});
+
+// A day, as YYYY-MM-DD. The text is saved as it was typed, so it never shifts by a time zone.
+const date = (label, { required = false } = {}) => ({
+    label, required,
+    message: `${label} isn't a valid date.`,
+    convert: (value) => DATE_PATTERN.test(value) && isRealDate(value) ? value : undefined
+});
+
+// A day and time, as sent by <input type="datetime-local"> (YYYY-MM-DDTHH:MM) or as a full ISO timestamp
+const datetime = (label, { required = false } = {}) => ({
+    label, required,
+    message: `${label} isn't a valid date and time.`,
+    convert: (value) => DATETIME_PATTERN.test(value) && isRealDate(value) ? value : undefined
+});
+
+// --- SCHEMAS ---
+// "fields" are the columns that can be set. "checks" are rules that look at the whole record; each one
+// puts its message on "field" when valid() says no. Checks get the saved record with the new values on top,
+// so they also work when only some of the fields are sent (API updates).
+
+const SCORE = { required: true, min: 1, max: 5 };
+const bothSet = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined;
+
+export const SCHEMAS = {
+    participants: {
+        fields: {
+            first_name: text("First name", { required: true, max: 100 }),
+            last_name: text("Last name", { required: true, max: 100 }),
+            email: email("Email"),
+            phone: text("Phone", { max: 30 }),
+            dob: date("Date of birth"),
+            city: text("City", { max: 100 }),
+            state: text("State", { max: 50 }),
+            zip_code: text("Zip", { max: 20 }),
+            school_or_employer: text("School or employer", { max: 200 })
+        },
+        checks: [
+            { field: "dob", message: "Date of birth can't be in the future.", valid: (p) => !p.dob || new Date(p.dob) <= new Date() }
+        ]
+    },
+    donations: {
+        fields: {
+            participant_id: id("Donor", { required: true }),
+            donation_date: date("Date", { required: true }),
+            donation_amount: amount("Amount", { required: true })
+        },
+        checks: []
+    },
+    events: {
+        fields: {
+            event_template_id: id("Event template", { required: true }),
+            location_id: id("Location", { required: true }),
+            start_time: datetime("Start time", { required: true }),
+            end_time: datetime("End time", { required: true }),
+            // Blank means no limit (see lib/registrations.js)
+            capacity: integer("Capacity", { min: 1 })
+        },
+        checks: [
+            {
+                field: "end_time", message: "The event has to end after it starts.",
+                valid: (e) => !bothSet(e.start_time, e.end_time) || new Date(e.end_time) > new Date(e.start_time)
+            }
+        ]
+    },
+    surveys: {
+        fields: {
+            participant_id: id("Participant", { required: true }),
+            event_occurrence_id: id("Event", { required: true }),
+            score_satisfaction: integer("Satisfaction", SCORE),
+            score_usefulness: integer("Usefulness", SCORE),
+            score_instructor: integer("Instructor", SCORE),
+            score_recommendation: integer("Recommend", SCORE),
+            score_overall: integer("Overall", SCORE),
+            comments: text("Comments", { max: 5000 }),
+            submission_date: datetime("Submission date")
+        },
+        checks: []
+    },
+    // Editing a response that was filled out with the survey builder: its scores come from its answers
+    // (see updateAnswers() in lib/surveys.js), so only who and which event are typed in here.
+    surveyResponses: {
+        fields: {
+            participant_id: id("Participant", { required: true }),
+            event_occurrence_id: id("Event", { required: true })
+        },
+        checks: []
+    },
+    // The public donate page. Donors are matched to participants by email, so it can't be left blank.
+    donate: {
+        fields: {
+            first_name: text("First name", { required: true, max: 100 }),
+            last_name: text("Last name", { required: true, max: 100 }),
+            email: email("Email", { required: true }),
+            donation_amount: amount("Amount", { required: true })
+        },
+        checks: [
+            { field: "donation_amount", message: "Please enter a donation of at least $1.00.", valid: (d) => !d.donation_amount || d.donation_amount >= 1 }
+        ]
+    },
+    // The date filters on report pages (sent in the address, so they can be anything)
+    reportDates: {
+        fields: {
+            from: date("From date"),
+            to: date("To date")
+        },
+        checks: []
+    },
+    // Login accounts. Which roles someone may hand out is checked separately (roleChangeError() in lib/permissions.js).
+    users: {
+        fields: {
+            username: text("Username", { required: true, max: 100 }),
+            password: password("Password", { required: true }),
+            role: text("Role", { required: true, max: 20 }),
+            participant_id: id("Linked participant")
+        },
+        checks: []
+    },
+    pledges: {
+        fields: {
+            participant_id: id("Donor", { required: true }),
+            pledge_amount: amount("Amount", { required: true }),
+            frequency: choice("Frequency", PLEDGE_FREQUENCIES, { required: true }),
+            start_date: date("First payment due", { required: true }),
+            end_date: date("End date"),
+            notes: text("Notes", { max: 5000 })
+        },
+        checks: [
+            {
+                field: "end_date", message: "The end date can't be before the start date.",
+                valid: (p) => !bothSet(p.start_date, p.end_date) || new Date(p.end_date) >= new Date(p.start_date)
+            }
+        ]
+    },
+    // Recording a payment against one pledge installment. Blank means today / the expected amount.
+    pledgePayments: {
+        fields: {
+            donation_date: date("Date"),
+            donation_amount: amount("Amount")
+        },
+        checks: []
+    },
+    milestones: {
+        fields: {
+            participant_id: id("Participant", { required: true }),
+            milestone_type_id: id("Milestone type", { required: true }),
+            milestone_date: date("Date achieved", { required: true })
+        },
+        checks: []
+    }
+};
+
+// Checks "body" against a schema. Returns { values, errors }: errors is null when everything is fine.
+//   partial:  only check the fields that were sent (API updates). Otherwise a missing required field is an error.
+//   existing: the saved record, so the checks can compare new values with ones that weren't sent.
+// Blank text is saved as null. Fields that weren't sent at all are left out, so they keep their saved value.
+export function validate(schema, body = {}, { partial = false, existing = null } = {}) {
+    const values = {};
+    const errors = {};
+
+    Object.entries(schema.fields).forEach(([field, rule]) => {
+        const raw = body[field];
+        if (raw === undefined && (partial || !rule.required)) return;
+
+        if (raw !== null && raw !== undefined && typeof raw === "object") {
+            errors[field] = `${rule.label} has to be a single value.`;
+            return;
+        }
+        const text = String(raw ?? "").trim();
+        if (!text) {
+            if (rule.required) errors[field] = `${rule.label} is required.`;
+            else values[field] = null;
+            return;
+        }
+        const value = rule.convert(text);
+        if (value === undefined) errors[field] = rule.message;
+        else values[field] = value;
+    });
+
+    const record = { ...existing, ...values };
+    schema.checks.forEach(check => {
+        if (!errors[check.field] && !check.valid(record)) errors[check.field] = check.message;
+    });
+
+    return { values, errors: Object.keys(errors).length ? errors : null };
+}
+
+// For showing a form again after a mistake: the saved record (if there is one) with what was typed on top,
+// so nobody has to type it all again. Only the schema's fields are copied from the form.
+export const withTyped = (schema, record, body) => ({
+    ...record,
+    ...Object.fromEntries(Object.keys(schema.fields).filter(field => body[field] !== undefined).map(field => [field, body[field]]))
+});
+
+// The first problem, for places that show one message instead of one per field (like the API's "message")
+export const firstError = (errors) => Object.values(errors)[0];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Formats a date for <input type="date">. Dates from the database are Date objects; what was typed into a
+// form that's being shown again is still text, so that is put back exactly as it was.
+// A DATE column comes back as midnight here (local time), so the day is read in local time too, like
+// lib/pledges.js does. toISOString() would turn it into UTC, which is the day before anywhere east of UTC.
+export const dateInputValue = (value) => {
+    if (value === null || value === undefined || value === "") return "";
+    if (typeof value === "string") return value.slice(0, 10);
+    const date = new Date(value);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
@@ -0,0 +1,306 @@
+// JSON API (v1)
+// Everything under /api/v1 returns JSON instead of web pages, so reporting scripts and apps can use our data.
+//
+// Signing in:
+//   - Scripts send an API token:  Authorization: Bearer <token>   (tokens are made on the /api-tokens page)
+//   - Browsers that are already logged in just use their normal session cookie.
+// Either way, the same roles & permissions from lib/permissions.js decide what you can see and change.
+// Every change is saved in the audit log (lib/audit.js) with "api" as its source.
+//
+// Every resource supports:
+//   GET    /api/v1/<resource>?q=&page=&per_page=   list (same search & paging as the web pages)
+//   GET    /api/v1/<resource>/:id                  one record
+//   POST   /api/v1/<resource>                      create
+//   PATCH  /api/v1/<resource>/:id                  update (only the fields you send)
+//   DELETE /api/v1/<resource>/:id                  delete (moves it to the trash, see lib/trash.js)
+//                                                  Online donations are refunded first, and answer 202 instead of 204.
+//
+// Errors always look like: { "error": { "status": 404, "code": "not_found", "message": "..." } }
+// Values that don't pass the same checks as the web forms (lib/validation.js) come back as a 400 "invalid_input"
+// error, with a message for each field in "details.fields".
+
+import express from "express";
+import crypto from "crypto";
+import { hasPermission, normalizeRole, roleChangeError } from "../lib/permissions.js";
+import { hashPassword } from "../lib/passwords.js";
+import { npsBucketFor } from "../lib/nps.js";
+import { SCHEMAS, firstError, validate } from "../lib/validation.js";
+
+// Thrown anywhere in the API to send back a JSON error with the right status code.
+export class ApiError extends Error {
+    constructor(status, code, message, details = undefined) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// We only store a hash of each API token, the same way we treat reset tokens.
+export const hashApiToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Makes a brand new random token. The "er_" prefix makes our tokens easy to spot if one leaks into a log.
+export const generateApiToken = () => `er_${crypto.randomBytes(32).toString("hex")}`;
+
+const MAX_PER_PAGE = 100;
+
+// Which table each resource lives in, its id column, and which fields callers are allowed to set.
+// Anything not on the "fields" list is ignored, so nobody can write to columns we didn't mean to expose.
+const RESOURCES = {
+    participants: {
+        table: "participants",
+        id: "participant_id",
+        fields: ["first_name", "last_name", "email", "phone", "dob", "city", "state", "zip_code", "school_or_employer"]
+    },
+    donations: {
+        table: "donations",
+        id: "donation_id",
+        fields: ["participant_id", "donation_date", "donation_amount"]
+    },
+    events: {
+        table: "event_occurrences",
+        id: "event_occurrence_id",
+        fields: ["event_template_id", "location_id", "start_time", "end_time", "capacity"]
+    },
+    surveys: {
+        table: "surveys",
+        id: "survey_id",
+        fields: ["participant_id", "event_occurrence_id", "score_satisfaction", "score_usefulness", "score_instructor",
+                 "score_recommendation", "score_overall", "comments", "submission_date"]
+    },
+    milestones: {
+        table: "milestones",
+        id: "milestone_id",
+        fields: ["participant_id", "milestone_type_id", "milestone_date"]
+    },
+    users: {
+        table: "users",
+        id: "user_id",
+        fields: ["username", "password", "role", "participant_id"]
+    }
+};
+
+// Copies only the allowed fields out of the request body.
+const pickFields = (body, fields) => {
+    const data = {};
+    fields.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+// Never send a password hash (users) or a private calendar feed token (participants) back to anyone.
+const withoutSecrets = ({ password, calendar_token, ...rest }) => rest;
+
+export function createApiRouter({ db, listQueries, registrations, audit, trash, payments, eventSetup }) {
+    const router = express.Router();
+    router.use(express.json());
+
+    // --- AUTHENTICATION ---
+    // Figures out who is calling: a script with a token, or a logged-in browser.
+    // After this runs, req.auth holds their user id, role and participant id, and req.can() checks permissions.
+    router.use(async (req, res, next) => {
+        const header = req.get("authorization") || "";
+        const bearer = header.match(/^Bearer\s+(\S+)$/i);
+
+        if (bearer) {
+            const token = await db("api_tokens")
+                .join("users", "api_tokens.user_id", "users.user_id")
+                .select("api_tokens.api_token_id", "users.user_id", "users.username", "users.role", "users.participant_id")
+                .where({ "api_tokens.token_hash": hashApiToken(bearer[1]) })
+                .whereNull("api_tokens.revoked_at")
+                .whereNull("users.deletion_id")
+                .first();
+            if (!token) {
+                throw new ApiError(401, "invalid_token", "The API token is invalid or has been revoked.");
+            }
+            await db("api_tokens").where({ api_token_id: token.api_token_id }).update({ last_used_at: new Date() });
+            req.auth = { userId: token.user_id, username: token.username, role: normalizeRole(token.role), participantId: token.participant_id };
+        } else if (req.session && req.session.isLoggedIn) {
+            req.auth = { userId: req.session.user_id, username: req.session.username, role: req.session.role, participantId: req.session.participantId };
+        } else {
+            throw new ApiError(401, "unauthenticated", "Log in or send an API token to use the API.");
+        }
+
+        req.can = (permission) => hasPermission(req.auth.role, permission);
+        // Who the audit log says made the changes in this request (see lib/audit.js)
+        req.actor = { userId: req.auth.userId ?? null, username: req.auth.username ?? null, source: "api" };
+
+        // Writes must be sent as JSON. Besides keeping things consistent, this stops other websites from
+        // using a plain HTML form to make changes with a logged-in visitor's session.
+        if (["POST", "PUT", "PATCH"].includes(req.method) && !req.is("application/json")) {
+            throw new ApiError(415, "unsupported_media_type", "Send request bodies as application/json.");
+        }
+        next();
+    });
+
+    // Like the authorize() gatekeeper for web pages, but answers in JSON.
+    const requirePermission = (permission) => (req, res, next) => {
+        if (!req.can(permission)) {
+            throw new ApiError(403, "forbidden", `You don't have the "${permission}" permission.`);
+        }
+        next();
+    };
+
+    // Same rule as the web pages: people who can't see everyone's records only get their own.
+    const scopeFor = (req, name) => req.can(`${name}.view_all`) ? null : { participantId: req.auth.participantId ?? null };
+
+    // Loads one record the caller is allowed to see, or throws a 404.
+    const findVisible = async (req, name, id) => {
+        const resource = RESOURCES[name];
+        const row = await listQueries.buildQuery(name, { scope: scopeFor(req, name) })
+            .where(`${resource.table}.${resource.id}`, id)
+            .first();
+        if (!row) {
+            throw new ApiError(404, "not_found", `No ${name} record with id ${id}.`);
+        }
+        return row;
+    };
+
+    // Some resources need a little extra work before saving, the same as their web forms do.
+    // Updates only check the fields that were sent; creates also need every required field.
+    const prepare = async (req, name, data, existing = null) => {
+        if (SCHEMAS[name]) {
+            const { values, errors } = validate(SCHEMAS[name], data, { partial: Boolean(existing), existing });
+            if (errors) throw new ApiError(400, "invalid_input", firstError(errors), { fields: errors });
+            data = values;
+        }
+        if (name === "surveys" && data.score_recommendation !== undefined) {
+            data.nps_bucket_id = npsBucketFor(data.score_recommendation);
+        }
+        if (name === "events") {
+            // An event can't have more seats than its room (checked with the saved values for anything not sent)
+            const merged = { ...existing, ...data };
+            const error = await eventSetup.capacityError(merged.location_id, merged.capacity);
+            if (error) throw new ApiError(400, "invalid_input", error);
+        }
+        if (name === "users") {
+            if (data.password !== undefined) {
+                if (!data.password) throw new ApiError(400, "invalid_input", "Password can't be blank.");
+                data.password = await hashPassword(data.password);
+            }
+            if (data.role !== undefined || !existing) {
+                if (!normalizeRole(data.role)) throw new ApiError(400, "invalid_input", "Unknown role.");
+                const error = roleChangeError(req.auth.role, data.role, existing ? existing.role : null);
+                if (error) throw new ApiError(403, "forbidden", error);
+            }
+        }
+        return data;
+    };
+
+    Object.entries(RESOURCES).forEach(([name, resource]) => {
+        // List with search and paging
+        router.get(`/${name}`, requirePermission(`${name}.view`), async (req, res) => {
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const perPage = Math.min(Math.max(parseInt(req.query.per_page) || MAX_PER_PAGE, 1), MAX_PER_PAGE);
+
+            const { rows, totalCount, totalPages } = await listQueries.fetchPage(name, {
+                scope: scopeFor(req, name), search: req.query.q, page, limit: perPage
+            });
+
+            res.json({
+                data: rows.map(withoutSecrets),
+                meta: { page, per_page: perPage, total: totalCount, total_pages: totalPages }
+            });
+        });
+
+        // One record
+        router.get(`/${name}/:id`, requirePermission(`${name}.view`), async (req, res) => {
+            const row = await findVisible(req, name, req.params.id);
+            res.json({ data: withoutSecrets(row) });
+        });
+
+        // Create
+        router.post(`/${name}`, requirePermission(`${name}.create`), async (req, res) => {
+            const data = await prepare(req, name, pickFields(req.body || {}, resource.fields));
+            if (Object.keys(data).length === 0) {
+                throw new ApiError(400, "invalid_input", "None of the fields you sent can be set.", { allowed_fields: resource.fields });
+            }
+            const row = await audit.create(db, req.actor, name, data);
+            res.status(201).json({ data: withoutSecrets(row) });
+        });
+
+        // Update
+        router.patch(`/${name}/:id`, requirePermission(`${name}.edit`), async (req, res) => {
+            const existing = await db(resource.table).where({ [resource.id]: req.params.id }).whereNull("deletion_id").first();
+            if (!existing) {
+                throw new ApiError(404, "not_found", `No ${name} record with id ${req.params.id}.`);
+            }
+            const data = await prepare(req, name, pickFields(req.body || {}, resource.fields), existing);
+            if (Object.keys(data).length === 0) {
+                throw new ApiError(400, "invalid_input", "None of the fields you sent can be set.", { allowed_fields: resource.fields });
+            }
+
+            const row = await db.transaction(async (trx) => {
+                const updated = await audit.update(trx, req.actor, name, req.params.id, data);
+                // A bigger capacity lets people off the waitlist, just like on the Edit Event page
+                if (name === "events") {
+                    const event = await registrations.lockEvent(trx, req.params.id);
+                    await registrations.promoteFromWaitlist(trx, event);
+                }
+                return updated;
+            });
+            res.json({ data: withoutSecrets(row) });
+        });
+
+        // Delete
+        router.delete(`/${name}/:id`, requirePermission(`${name}.delete`), async (req, res) => {
+            const existing = await db(resource.table).where({ [resource.id]: req.params.id }).whereNull("deletion_id").first();
+            if (!existing) {
+                throw new ApiError(404, "not_found", `No ${name} record with id ${req.params.id}.`);
+            }
+
+            if (name === "users") {
+                if (existing.user_id === req.auth.userId) {
+                    throw new ApiError(400, "invalid_input", "You can't delete your own account.");
+                }
+                if (normalizeRole(existing.role) === "admin" && !req.can("users.assign_admin")) {
+                    throw new ApiError(403, "forbidden", "Only administrators can manage administrator accounts.");
+                }
+            }
+            if (name === "donations") {
+                // Online donations are refunded, the same as with the Delete button (see lib/payments.js). That answers
+                // 202, because the donation only goes to the trash once the provider confirms the refund.
+                if (await payments.removeDonation(req.actor, req.params.id) === "refunded") {
+                    return res.status(202).json({ data: { donation_id: existing.donation_id, refunded: true } });
+                }
+            } else {
+                // Deleted records go to the trash, and participants and events take their history with them (see lib/trash.js)
+                await trash.remove(req.actor, name, req.params.id);
+            }
+            res.status(204).end();
+        });
+    });
+
+    // Anything else under /api/v1 doesn't exist
+    router.use((req, res) => {
+        throw new ApiError(404, "not_found", `No API route for ${req.method} ${req.originalUrl}.`);
+    });
+
+    // --- ERRORS ---
+    // Turns every error into the same JSON shape. Database errors we expect (duplicates, bad ids,
+    // badly formatted values) become 400/409 answers instead of a generic 500.
+    router.use((err, req, res, next) => {
+        let error;
+        if (err instanceof ApiError) {
+            error = err;
+        } else if (err.type === "entity.parse.failed") {
+            error = new ApiError(400, "invalid_json", "The request body isn't valid JSON.");
+        } else if (err.code === "23505") {
+            error = new ApiError(409, "conflict", "A record with that value already exists.", { constraint: err.constraint });
+        } else if (err.code === "23503") {
+            error = new ApiError(409, "conflict", "That record is linked to other records.", { constraint: err.constraint });
+        } else if (["22P02", "22007", "22008", "22003", "23502", "23514"].includes(err.code)) {
+            error = new ApiError(400, "invalid_input", "One of the values you sent isn't valid.", { detail: err.message });
+        } else {
+            console.error("API Error:", err);
+            error = new ApiError(500, "internal_error", "Something went wrong on our end.");
+        }
+
+        res.status(error.status).json({
+            error: { status: error.status, code: error.code, message: error.message, details: error.details }
+        });
+    });
+
+    return router;
+}
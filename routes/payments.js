@@ -0,0 +1,49 @@
+// Payment Routes
+// Mounted at /payments. Holds the webhook our payment provider calls, plus the pretend checkout page
+// used by the "fake" provider during development (see lib/payments.js).
+// app.js mounts this before its own form reader, so each route here reads its body itself.
+
+import express from "express";
+import { UserError } from "../lib/errors.js";
+
+export function createPaymentsRouter({ payments }) {
+    const router = express.Router();
+
+    // The provider tells us a payment succeeded, failed or was refunded.
+    // We need the body exactly as it was sent to check its signature, so it's read as raw text here.
+    router.post("/webhook", express.raw({ type: "*/*" }), async (req, res) => {
+        try {
+            const body = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+            const result = await payments.handleWebhook(body, req.headers);
+            // Any 2xx answer tells the provider to stop retrying, including for messages we've already seen
+            res.json({ received: true, status: result.status });
+        } catch (err) {
+            if (err instanceof UserError) {
+                return res.status(err.status).json({ error: err.message });
+            }
+            console.error("Payment Webhook Error:", err);
+            res.status(500).json({ error: "Webhook could not be processed." });
+        }
+    });
+
+    // The fake provider's checkout page. Real providers host this page on their own site.
+    if (payments.provider.name === "fake") {
+        router.get("/fake/checkout/:reference", async (req, res) => {
+            const payment = await payments.findPayment({ provider: "fake", provider_reference: req.params.reference });
+            if (!payment) return res.status(404).send("Checkout not found.");
+            res.render("payments_fake_checkout", { payment });
+        });
+
+        // "Pay" or "Decline": sends the matching signed webhook, then returns to the donate page like a real checkout would
+        router.post("/fake/checkout/:reference", express.urlencoded({ extended: false }), async (req, res) => {
+            const payment = await payments.findPayment({ provider: "fake", provider_reference: req.params.reference });
+            if (!payment) return res.status(404).send("Checkout not found.");
+
+            if (req.body.outcome === "cancel") return res.redirect("/donate?cancelled=1");
+            await payments.provider.completeCheckout(payment.provider_reference, req.body.outcome === "pay");
+            res.redirect("/donate/complete");
+        });
+    }
+
+    return router;
+}
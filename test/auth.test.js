@@ -0,0 +1,62 @@
+// Logging in and out, and what happens to people who aren't logged in.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { PASSWORD, skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("logging in", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    before(async () => { testApp = await startTestApp(); });
+    after(() => testApp.close());
+
+    test("sends staff with the Dashboard permission to the dashboard", async () => {
+        const response = await testApp.client().login("manager");
+        assert.equal(response.status, 302);
+        assert.equal(response.location, "/dashboard");
+    });
+
+    test("sends participants to their own page", async () => {
+        const response = await testApp.client().login("ana");
+        assert.equal(response.location, "/me");
+    });
+
+    test("sends everyone else to the events", async () => {
+        const response = await testApp.client().login("volunteer");
+        assert.equal(response.location, "/events");
+    });
+
+    test("turns away a wrong password", async () => {
+        const browser = testApp.client();
+        const response = await browser.login("manager", "not-the-password");
+        assert.equal(response.status, 200);
+        assert.match(response.text, /Invalid credentials/);
+        assert.equal((await browser.get("/participants")).location, "/login");
+    });
+
+    test("turns away someone who doesn't have an account", async () => {
+        const response = await testApp.client().login("nobody");
+        assert.match(response.text, /Invalid credentials/);
+    });
+
+    test("upgrades an old plain text password the first time it's used", async () => {
+        await testApp.db("users").insert({ username: "oldtimer", password: PASSWORD, role: "user" });
+        const response = await testApp.client().login("oldtimer");
+        assert.equal(response.status, 302);
+        const { password } = await testApp.db("users").where({ username: "oldtimer" }).first();
+        assert.notEqual(password, PASSWORD);
+    });
+
+    test("sends people who aren't logged in to the login page", async () => {
+        const browser = testApp.client();
+        for (const page of ["/participants", "/donations", "/dashboard", "/me"]) {
+            assert.equal((await browser.get(page)).location, "/login", page);
+        }
+    });
+
+    test("logging out ends the session", async () => {
+        const browser = testApp.client();
+        await browser.login("manager");
+        assert.equal((await browser.get("/participants")).status, 200);
+        await browser.get("/logout");
+        assert.equal((await browser.get("/participants")).location, "/login");
+    });
+});
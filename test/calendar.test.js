@@ -0,0 +1,22 @@
+// Which days a page of the public calendar shows (lib/calendar.js).
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { calendarRange, dayKey } from "../lib/calendar.js";
+
+describe("calendarRange", () => {
+    test("a month page runs from the Sunday before the 1st to the Saturday after the last day", () => {
+        const range = calendarRange("month", "2025-01-15");
+        assert.equal(dayKey(range.start), "2024-12-29");
+        assert.equal(dayKey(range.end), "2025-02-02");
+        assert.equal(range.prev, "2024-12-01");
+        assert.equal(range.next, "2025-02-01");
+    });
+
+    test("days that don't exist show this month instead", () => {
+        const thisMonth = calendarRange("month").month;
+        for (const date of ["2025-13-45", "2025-02-30", "2025-00-10", "garbage"]) {
+            const range = calendarRange("month", date);
+            assert.equal(range.month.getTime(), thisMonth.getTime(), date);
+        }
+    });
+});
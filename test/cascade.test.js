@@ -0,0 +1,68 @@
+// Deleting a participant takes everything of theirs to the trash with them, and restoring brings it all back (lib/trash.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("deleting a participant", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let manager;
+    before(async () => {
+        testApp = await startTestApp();
+        manager = testApp.client();
+        await manager.login("manager");
+    });
+    after(() => testApp.close());
+
+    const RELATED = ["donations", "surveys", "registrations", "milestones", "users"];
+    // The deletion_id of every row that belongs to a participant, by table
+    const deletionIds = async (participantId) => {
+        const ids = {};
+        for (const table of ["participants", ...RELATED]) {
+            const rows = await testApp.db(table).where({ participant_id: participantId }).select("deletion_id");
+            ids[table] = rows.map(row => row.deletion_id);
+        }
+        return ids;
+    };
+
+    test("moves the participant and all their records to the trash together", async () => {
+        const response = await manager.post("/participants/delete/1");
+        assert.equal(response.location, "/participants");
+
+        const ids = await deletionIds(1);
+        const [deletionId] = ids.participants;
+        assert.ok(deletionId);
+        for (const table of RELATED) {
+            assert.ok(ids[table].length > 0, table);
+            assert.ok(ids[table].every(id => id === deletionId), table);
+        }
+    });
+
+    test("leaves everyone else's records alone", async () => {
+        const ids = await deletionIds(2);
+        for (const [table, list] of Object.entries(ids)) {
+            assert.ok(list.every(id => id === null), table);
+        }
+    });
+
+    test("hides them from the lists and stops their login", async () => {
+        const { body } = await manager.getJson("/api/v1/participants");
+        assert.ok(!body.data.some(row => row.participant_id === 1));
+        const { body: donations } = await manager.getJson("/api/v1/donations");
+        assert.ok(!donations.data.some(row => row.participant_id === 1));
+
+        const response = await testApp.client().login("ana");
+        assert.match(response.text, /Invalid credentials/);
+    });
+
+    test("restoring from the trash brings everything back", async () => {
+        const { deletion_id } = await testApp.db("participants").where({ participant_id: 1 }).first();
+        const response = await manager.post(`/trash/restore/${deletion_id}`);
+        assert.match(response.location, /notice=Restored/);
+
+        const ids = await deletionIds(1);
+        for (const [table, list] of Object.entries(ids)) {
+            assert.ok(list.every(id => id === null), table);
+        }
+        assert.equal((await testApp.client().login("ana")).location, "/me");
+    });
+});
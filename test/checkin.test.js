@@ -0,0 +1,57 @@
+// Event check-in: scanning the QR code from someone's ticket on an event's check-in page (lib/checkin.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+import { newCheckinToken } from "../lib/checkin.js";
+
+describe("checking in by QR code", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let staff;
+    let token;
+    before(async () => {
+        testApp = await startTestApp();
+        staff = testApp.client();
+        await staff.login("staff");
+
+        // A second event (id 2) that Cam signed up for
+        const soon = new Date(Date.now() + 60 * 60 * 1000);
+        await testApp.db("event_occurrences").insert({
+            event_template_id: 1, location_id: 1, capacity: 20,
+            start_time: soon, end_time: new Date(soon.getTime() + 2 * 60 * 60 * 1000)
+        });
+        token = newCheckinToken();
+        await testApp.db("registrations").insert({ participant_id: 3, event_occurrence_id: 2, registration_status: "registered", registration_date: new Date(), checkin_token: token });
+    });
+    after(() => testApp.close());
+
+    const checkedInAt = async () =>
+        (await testApp.db("registrations").where({ participant_id: 3, event_occurrence_id: 2 }).first()).checked_in_at;
+
+    test("a code for a different event is refused without checking anyone in", async () => {
+        const response = await staff.post("/events/1/checkin-scan", { code: `http://localhost/checkin/${token}` });
+        assert.match(response.location, /^\/events\/1\/checkin\?error=/);
+        assert.match(decodeURIComponent(response.location.replace(/\+/g, " ")), /registered for a different event, so they weren't checked in/);
+        assert.equal(await checkedInAt(), null);
+    });
+
+    test("new registrations get a long random code, and old ones get one on their ticket", async () => {
+        const ana = testApp.client();
+        await ana.login("ana");
+        await ana.post("/events/register/2");
+        const registration = await testApp.db("registrations").where({ participant_id: 1, event_occurrence_id: 2 }).first();
+        assert.match(registration.checkin_token, /^[0-9a-f]{64}$/);
+
+        // Like a registration whose md5 code was cleared by 020_secure_checkin_tokens.js
+        await testApp.db("registrations").where({ registration_id: registration.registration_id }).update({ checkin_token: null });
+        const ticket = await ana.get("/events/ticket/2");
+        assert.equal(ticket.status, 200);
+        const { checkin_token } = await testApp.db("registrations").where({ registration_id: registration.registration_id }).first();
+        assert.match(checkin_token, /^[0-9a-f]{64}$/);
+    });
+
+    test("the same code checks them in at the right event", async () => {
+        const response = await staff.post("/events/2/checkin-scan", { code: token });
+        assert.match(response.location, /^\/events\/2\/checkin\?notice=/);
+        assert.ok(await checkedInAt());
+    });
+});
@@ -0,0 +1,73 @@
+// Adding and editing events (a blank capacity means the event has no limit), and signing up for them (lib/registrations.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("event capacity", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let manager;
+    before(async () => {
+        testApp = await startTestApp();
+        manager = testApp.client();
+        await manager.login("manager");
+    });
+    after(() => testApp.close());
+
+    const eventForm = (changes) => ({
+        event_template_id: "1", location_id: "1", start_time: "2030-01-01T18:00", end_time: "2030-01-01T20:00", capacity: "", ...changes
+    });
+
+    test("can be left blank for an event with no limit", async () => {
+        const response = await manager.post("/events/add", eventForm());
+        assert.equal(response.location, "/events");
+        const event = await testApp.db("event_occurrences").orderBy("event_occurrence_id", "desc").first();
+        assert.equal(event.capacity, null);
+
+        const edit = await manager.post(`/events/edit/${event.event_occurrence_id}`, eventForm({ capacity: "12" }));
+        assert.equal(edit.location, "/events");
+        await manager.post(`/events/edit/${event.event_occurrence_id}`, eventForm());
+        assert.equal((await testApp.db("event_occurrences").where({ event_occurrence_id: event.event_occurrence_id }).first()).capacity, null);
+    });
+
+    test("has to be a whole number above zero when it's given", async () => {
+        const response = await manager.post("/events/add", eventForm({ capacity: "0" }));
+        assert.equal(response.status, 400);
+        assert.match(response.text, /Capacity has to be a whole number of at least 1\./);
+    });
+
+    test("is needed in a room that only fits so many people", async () => {
+        await testApp.db("locations").where({ location_id: 1 }).update({ room_capacity: 30 });
+        const response = await manager.post("/events/add", eventForm());
+        assert.equal(response.status, 400);
+        assert.match(response.text, /only fits 30 people, so the event needs a capacity\./);
+    });
+});
+
+describe("registering for an event", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let bea;
+    before(async () => {
+        testApp = await startTestApp();
+        bea = testApp.client();
+        await bea.login("bea");
+
+        // An upcoming event (id 2) with a waitlisted registration of Bea's that is in the trash
+        const soon = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        await testApp.db("event_occurrences").insert({
+            event_template_id: 1, location_id: 1, capacity: 20,
+            start_time: soon, end_time: new Date(soon.getTime() + 2 * 60 * 60 * 1000)
+        });
+        const [deletion] = await testApp.db("deletions").insert({ entity: "participants", entity_id: 2 }).returning("*");
+        await testApp.db("registrations").insert({
+            participant_id: 2, event_occurrence_id: 2, registration_status: "waitlisted", registration_date: new Date(), deletion_id: deletion.deletion_id
+        });
+    });
+    after(() => testApp.close());
+
+    test("a registration in the trash counts as cancelled", async () => {
+        await bea.post("/events/register/2");
+        const registration = await testApp.db("registrations").where({ participant_id: 2, event_occurrence_id: 2 }).first();
+        assert.equal(registration.registration_status, "registered");
+        assert.equal(registration.deletion_id, null);
+    });
+});
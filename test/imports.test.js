@@ -0,0 +1,29 @@
+// CSV imports: the upload step of the import screen (app.js and lib/importer.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("importing a CSV file", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let manager;
+    before(async () => {
+        testApp = await startTestApp();
+        manager = testApp.client();
+        await manager.login("manager");
+    });
+    after(() => testApp.close());
+
+    const csv = (content) => ({ field: "csv_file", name: "people.csv", type: "text/csv", content: Buffer.from(content) });
+
+    test("shows the columns of the uploaded file", async () => {
+        const response = await manager.upload("/import/upload", { type: "participants" }, csv("First Name,Last Name,Email\nEva,Reyes,eva@example.org\n"));
+        assert.equal(response.status, 200);
+        assert.match(response.text, /Last Name/);
+    });
+
+    test("a file over the size limit gets the import page back with a message", async () => {
+        const response = await manager.upload("/import/upload", { type: "participants" }, csv("x".repeat(6 * 1024 * 1024)));
+        assert.equal(response.status, 400);
+        assert.match(response.text, /That file is too big/);
+    });
+});
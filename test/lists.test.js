@@ -0,0 +1,78 @@
+// Search and paging on the list pages and the JSON API (they share the queries in lib/lists.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("search and pagination", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let manager;
+    before(async () => {
+        testApp = await startTestApp();
+        manager = testApp.client();
+        await manager.login("manager");
+    });
+    after(() => testApp.close());
+
+    const names = (rows) => rows.map(row => row.first_name);
+
+    test("splits a list into pages", async () => {
+        const first = await manager.getJson("/api/v1/participants?per_page=2");
+        assert.deepEqual(first.body.meta, { page: 1, per_page: 2, total: 5, total_pages: 3 });
+        assert.deepEqual(names(first.body.data), ["Ana", "Bea"]);
+
+        const last = await manager.getJson("/api/v1/participants?per_page=2&page=3");
+        assert.deepEqual(names(last.body.data), ["Eva"]);
+    });
+
+    test("returns an empty page past the end", async () => {
+        const { body } = await manager.getJson("/api/v1/participants?per_page=2&page=9");
+        assert.deepEqual(body.data, []);
+        assert.equal(body.meta.total, 5);
+    });
+
+    test("searches names, full names, emails and cities without caring about case", async () => {
+        const search = async (q) => names((await manager.getJson(`/api/v1/participants?q=${encodeURIComponent(q)}`)).body.data);
+        assert.deepEqual(await search("lopez"), ["Ana", "Dani"]);
+        assert.deepEqual(await search("Ana Lopez"), ["Ana"]);
+        assert.deepEqual(await search("bea@example"), ["Bea"]);
+        assert.deepEqual(await search("OREM"), ["Bea", "Eva"]);
+        assert.deepEqual(await search("nobody like this"), []);
+    });
+
+    test("the participants page shows only the people who match", async () => {
+        const { status, text } = await manager.get("/participants?q=Garcia");
+        assert.equal(status, 200);
+        assert.match(text, /Garcia/);
+        assert.doesNotMatch(text, /Nguyen/);
+    });
+
+    test("the upcoming events page lists events that haven't started, soonest first, with your own registration", async () => {
+        const [robotics] = await testApp.db("event_templates").insert({ event_name: "Robotics Club" }).returning("*");
+        const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        await testApp.db("event_occurrences").insert([
+            { event_template_id: 1, location_id: 1, capacity: 20, start_time: inDays(3), end_time: inDays(3.1) },
+            { event_template_id: robotics.event_template_id, location_id: 1, capacity: 20, start_time: inDays(2), end_time: inDays(2.1) }
+        ]);
+        await testApp.db("registrations").insert({ participant_id: 1, event_occurrence_id: 3, registration_status: "registered", registration_date: new Date() });
+
+        const ana = testApp.client();
+        await ana.login("ana");
+        const { status, text } = await ana.get("/events/upcoming");
+        assert.equal(status, 200);
+        assert.ok(text.indexOf("Robotics Club") < text.indexOf("STEAM Workshop"));
+        assert.doesNotMatch(text, /\/events\/register\/1"/);
+        assert.match(text, /\/events\/cancel\/3"/);
+        assert.match(text, /\/events\/register\/2"/);
+
+        const search = await ana.get("/events/upcoming?q=robot");
+        assert.match(search.text, /Robotics Club/);
+        assert.doesNotMatch(search.text, /STEAM Workshop/);
+    });
+
+    test("search only looks inside what you're allowed to see", async () => {
+        const ana = testApp.client();
+        await ana.login("ana");
+        const { body } = await ana.getJson("/api/v1/donations?q=Garcia");
+        assert.deepEqual(body.data, []);
+    });
+});
@@ -0,0 +1,69 @@
+// Sorting the "would you recommend us?" score into Detractor / Passive / Promoter (lib/nps.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { NPS_BUCKETS, npsBucketFor } from "../lib/nps.js";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("npsBucketFor", () => {
+    test("1 to 3 are detractors, 4 is passive and 5 is a promoter", () => {
+        assert.deepEqual([1, 2, 3, 4, 5].map(npsBucketFor), [
+            NPS_BUCKETS.DETRACTOR, NPS_BUCKETS.DETRACTOR, NPS_BUCKETS.DETRACTOR, NPS_BUCKETS.PASSIVE, NPS_BUCKETS.PROMOTER
+        ]);
+    });
+
+    test("reads scores sent as text, the way forms send them", () => {
+        assert.equal(npsBucketFor("5"), NPS_BUCKETS.PROMOTER);
+    });
+
+    test("has no bucket for missing or out of range scores", () => {
+        for (const score of [0, 6, 10, -1, null, undefined, "", "abc"]) {
+            assert.equal(npsBucketFor(score), null, String(score));
+        }
+    });
+});
+
+describe("saving surveys", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let manager;
+    before(async () => {
+        testApp = await startTestApp();
+        manager = testApp.client();
+        await manager.login("manager");
+    });
+    after(() => testApp.close());
+
+    const survey = (recommend) => ({
+        participant_id: 2, event_occurrence_id: 1, score_satisfaction: 4, score_usefulness: 4,
+        score_instructor: 4, score_recommendation: recommend, score_overall: 4
+    });
+
+    test("a new survey gets the bucket for its recommend score", async () => {
+        const response = await manager.post("/surveys/add", survey(4));
+        assert.equal(response.location, "/surveys");
+        const saved = await testApp.db("surveys").where({ participant_id: 2 }).first();
+        assert.equal(saved.nps_bucket_id, NPS_BUCKETS.PASSIVE);
+    });
+
+    test("changing the recommend score moves the survey to the new bucket", async () => {
+        const { survey_id } = await testApp.db("surveys").where({ participant_id: 2 }).first();
+        await manager.post(`/surveys/edit/${survey_id}`, survey(2));
+        const saved = await testApp.db("surveys").where({ survey_id }).first();
+        assert.equal(saved.nps_bucket_id, NPS_BUCKETS.DETRACTOR);
+    });
+
+    test("a score outside 1-5 isn't saved", async () => {
+        const before = await testApp.db("surveys").count("* as count").first();
+        const response = await manager.post("/surveys/add", survey(9));
+        assert.equal(response.status, 400);
+        const after = await testApp.db("surveys").count("* as count").first();
+        assert.equal(after.count, before.count);
+    });
+
+    test("the survey report ignores date filters that aren't real days", async () => {
+        const response = await manager.get("/reports/surveys?from=garbage&to=2025-13-45");
+        assert.equal(response.status, 200);
+        assert.match(response.text, /From date isn&#39;t a valid date\./);
+        assert.match(response.text, /To date isn&#39;t a valid date\./);
+        assert.equal((await manager.get("/reports/surveys?from=2025-01-01&to=2025-12-31")).status, 200);
+    });
+});
@@ -0,0 +1,52 @@
+// Adding and editing participants: two people can't share an email, and the forms say so instead of erroring.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("participant emails", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let manager;
+    before(async () => {
+        testApp = await startTestApp();
+        manager = testApp.client();
+        await manager.login("manager");
+    });
+    after(() => testApp.close());
+
+    const emailOf = async (participantId) => (await testApp.db("participants").where({ participant_id: participantId }).first()).email;
+    const TAKEN = /Another participant already uses that email\./;
+
+    test("participants can't take someone else's email on their own page", async () => {
+        const ana = testApp.client();
+        await ana.login("ana");
+        const response = await ana.post("/me/profile", { first_name: "Ana", last_name: "Lopez", email: "bea@example.org" });
+        assert.equal(response.status, 400);
+        assert.match(response.text, TAKEN);
+        assert.doesNotMatch(response.text, /update "participants"/i);
+        assert.equal(await emailOf(1), "ana@example.org");
+    });
+
+    test("keeping your own email isn't a problem", async () => {
+        const ana = testApp.client();
+        await ana.login("ana");
+        const response = await ana.post("/me/profile", { first_name: "Ana", last_name: "Lopez", email: "ana@example.org", city: "Lehi" });
+        assert.match(response.location, /^\/me\?notice=/);
+    });
+
+    test("staff get the same message when editing or adding someone", async () => {
+        const edit = await manager.post("/participants/edit/3", { first_name: "Cam", last_name: "Nguyen", email: "ana@example.org" });
+        assert.equal(edit.status, 400);
+        assert.match(edit.text, TAKEN);
+        assert.equal(await emailOf(3), "cam@example.org");
+
+        const add = await manager.post("/participants/add", { first_name: "New", last_name: "Person", email: "eva@example.org" });
+        assert.equal(add.status, 400);
+        assert.match(add.text, TAKEN);
+    });
+
+    test("an email that belonged to someone in the trash can be used again", async () => {
+        await manager.post("/participants/delete/5");
+        const add = await manager.post("/participants/add", { first_name: "Eve", last_name: "Reyes", email: "eva@example.org" });
+        assert.equal(add.location, "/participants");
+    });
+});
@@ -0,0 +1,138 @@
+// Online donations: the public donate page, the fake provider's checkout, and the webhook (lib/payments.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+import { SIGNATURE_HEADER, createPayments, signWebhook } from "../lib/payments.js";
+
+describe("online donations", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    before(async () => { testApp = await startTestApp(); });
+    after(() => testApp.close());
+
+    // Goes through the fake provider's checkout page and presses "Pay"
+    const payFor = async (donor, checkoutUrl) => {
+        const response = await donor.post(checkoutUrl, { outcome: "pay" });
+        assert.equal(response.location, "/donate/complete");
+    };
+
+    test("a donation is credited to the participant with the donor's email", async () => {
+        const donor = testApp.client();
+        const response = await donor.post("/donate", { first_name: "Ana", last_name: "Lopez", email: "ana@example.org", donation_amount: "20" });
+        assert.match(response.location, /^\/payments\/fake\/checkout\//);
+        await payFor(donor, response.location);
+
+        const payment = await testApp.db("payments").orderBy("payment_id", "desc").first();
+        assert.equal(payment.payment_status, "succeeded");
+        assert.equal(payment.participant_id, 1);
+    });
+
+    test("the donor's name and email are required", async () => {
+        const before = await testApp.db("payments").count("payment_id as count").first();
+        const response = await testApp.client().post("/donate", { first_name: "", last_name: "Stranger", email: "", donation_amount: "20" });
+        assert.equal(response.status, 400);
+        assert.match(response.text, /Email is required\./);
+        assert.match(response.text, /First name is required\./);
+
+        const after = await testApp.db("payments").count("payment_id as count").first();
+        assert.equal(after.count, before.count);
+    });
+
+    test("a payment without an email never matches a participant who has no email", async () => {
+        await testApp.db("participants").where({ participant_id: 5 }).update({ email: "" });
+        await testApp.db("payments").insert({
+            provider: "fake", provider_reference: "fake_blank_email", amount: 15,
+            donor_first_name: "Someone", donor_last_name: "Else", donor_email: ""
+        });
+        await payFor(testApp.client(), "/payments/fake/checkout/fake_blank_email");
+
+        const payment = await testApp.db("payments").where({ provider_reference: "fake_blank_email" }).first();
+        assert.equal(payment.payment_status, "succeeded");
+        assert.notEqual(payment.participant_id, 5);
+        const donor = await testApp.db("participants").where({ participant_id: payment.participant_id }).first();
+        assert.equal(donor.first_name, "Someone");
+        assert.equal(donor.email, null);
+    });
+
+    test("a signed webhook is accepted whatever content type it's sent with", async () => {
+        await testApp.db("payments").insert({
+            provider: "fake", provider_reference: "fake_form_encoded", amount: 10,
+            donor_first_name: "Ana", donor_last_name: "Lopez", donor_email: "ana@example.org"
+        });
+        const body = JSON.stringify({ id: "evt_form_encoded", type: "payment.succeeded", reference: "fake_form_encoded" });
+        const response = await fetch(`${testApp.baseUrl}/payments/webhook`, {
+            method: "POST",
+            headers: {
+                "content-type": "application/x-www-form-urlencoded",
+                [SIGNATURE_HEADER]: signWebhook(process.env.PAYMENT_WEBHOOK_SECRET || "fake-provider-secret", body)
+            },
+            body
+        });
+        assert.equal(response.status, 200);
+
+        const payment = await testApp.db("payments").where({ provider_reference: "fake_form_encoded" }).first();
+        assert.equal(payment.payment_status, "succeeded");
+    });
+
+    test("refunding an online donation in full moves it to the trash", async () => {
+        const { donation_id } = await testApp.db("payments").where({ provider_reference: "fake_form_encoded" }).first();
+        const manager = testApp.client();
+        await manager.login("manager");
+        assert.equal((await manager.post(`/donations/delete/${donation_id}`)).location, "/donations");
+
+        const payment = await testApp.db("payments").where({ provider_reference: "fake_form_encoded" }).first();
+        assert.equal(payment.payment_status, "refunded");
+        const donation = await testApp.db("donations").where({ donation_id }).first();
+        assert.ok(donation.deletion_id);
+        const deletion = await testApp.db("deletions").where({ deletion_id: donation.deletion_id }).first();
+        assert.equal(deletion.entity, "donations");
+    });
+
+    test("deleting an online donation through the API refunds it too", async () => {
+        await testApp.db("payments").insert({
+            provider: "fake", provider_reference: "fake_api_refund", amount: 30,
+            donor_first_name: "Ana", donor_last_name: "Lopez", donor_email: "ana@example.org"
+        });
+        await payFor(testApp.client(), "/payments/fake/checkout/fake_api_refund");
+        const { donation_id } = await testApp.db("payments").where({ provider_reference: "fake_api_refund" }).first();
+
+        const manager = testApp.client();
+        await manager.login("manager");
+        const response = await manager.delete(`/api/v1/donations/${donation_id}`);
+        assert.equal(response.status, 202);
+        assert.deepEqual(JSON.parse(response.text), { data: { donation_id, refunded: true } });
+        assert.equal((await testApp.db("payments").where({ provider_reference: "fake_api_refund" }).first()).payment_status, "refunded");
+        assert.ok((await testApp.db("donations").where({ donation_id }).first()).deletion_id);
+
+        // Donations that weren't paid online just go to the trash
+        assert.equal((await manager.delete("/api/v1/donations/2")).status, 204);
+        assert.ok((await testApp.db("donations").where({ donation_id: 2 }).first()).deletion_id);
+    });
+});
+
+describe("payment settings", () => {
+    // Runs fn with NODE_ENV and the payment settings swapped out, then puts them back
+    const withEnv = (env, fn) => {
+        const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+        Object.entries(env).forEach(([key, value]) => value === undefined ? delete process.env[key] : process.env[key] = value);
+        try {
+            return fn();
+        } finally {
+            Object.entries(saved).forEach(([key, value]) => value === undefined ? delete process.env[key] : process.env[key] = value);
+        }
+    };
+
+    test("production refuses to start without a provider and webhook secret", () => {
+        withEnv({ NODE_ENV: "production", PAYMENT_PROVIDER: undefined, PAYMENT_WEBHOOK_SECRET: undefined }, () => {
+            assert.throws(() => createPayments(null), /PAYMENT_PROVIDER and PAYMENT_WEBHOOK_SECRET must be set/);
+        });
+        withEnv({ NODE_ENV: "production", PAYMENT_PROVIDER: "fake", PAYMENT_WEBHOOK_SECRET: undefined }, () => {
+            assert.throws(() => createPayments(null), /PAYMENT_WEBHOOK_SECRET must be set/);
+        });
+    });
+
+    test("development falls back to the fake provider", () => {
+        withEnv({ NODE_ENV: "development", PAYMENT_PROVIDER: undefined, PAYMENT_WEBHOOK_SECRET: undefined }, () => {
+            assert.equal(createPayments(null).provider.name, "fake");
+        });
+    });
+});
@@ -0,0 +1,50 @@
+// Pledges: the Add/Edit Pledge forms and recording a payment check what was typed (SCHEMAS.pledges in lib/validation.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("pledge forms", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let manager;
+    before(async () => {
+        testApp = await startTestApp();
+        manager = testApp.client();
+        await manager.login("manager");
+    });
+    after(() => testApp.close());
+
+    const pledgeForm = (changes) => ({
+        participant_id: "1", pledge_amount: "25", frequency: "monthly", start_date: "2025-01-15", end_date: "", notes: "", ...changes
+    });
+
+    test("blank or made-up values are shown under their boxes instead of erroring", async () => {
+        const response = await manager.post("/pledges/add", pledgeForm({ participant_id: "", pledge_amount: "lots", start_date: "2025-02-30" }));
+        assert.equal(response.status, 400);
+        assert.match(response.text, /Donor is required\./);
+        assert.match(response.text, /Amount has to be an amount above zero/);
+        assert.match(response.text, /First payment due isn&#39;t a valid date\./);
+        assert.equal((await testApp.db("pledges").count("* as count").first()).count, "0");
+    });
+
+    test("a pledge can't end before it starts, when adding or editing", async () => {
+        const add = await manager.post("/pledges/add", pledgeForm({ end_date: "2024-12-01" }));
+        assert.equal(add.status, 400);
+        assert.match(add.text, /The end date can&#39;t be before the start date\./);
+
+        const saved = await manager.post("/pledges/add", pledgeForm());
+        const [, pledgeId] = saved.location.match(/^\/pledges\/view\/(\d+)$/);
+        const edit = await manager.post(`/pledges/edit/${pledgeId}`, pledgeForm({ pledge_amount: "" }));
+        assert.equal(edit.status, 400);
+        assert.match(edit.text, /Amount is required\./);
+    });
+
+    test("recording a payment with a bad amount goes back to the pledge with a message", async () => {
+        const installment = await testApp.db("pledge_installments").orderBy("pledge_installment_id").first();
+        const response = await manager.post(`/pledges/installments/pay/${installment.pledge_installment_id}`, { donation_date: "2025-01-15", donation_amount: "abc" });
+        assert.match(response.location, new RegExp(`^/pledges/view/${installment.pledge_id}\\?error=`));
+        assert.equal((await testApp.db("pledge_installments").where({ pledge_installment_id: installment.pledge_installment_id }).first()).donation_id, null);
+
+        const page = await manager.get(response.location);
+        assert.match(page.text, /Amount has to be an amount above zero/);
+    });
+});
@@ -0,0 +1,47 @@
+// Repeating events: the repeat settings from the Add Event form (lib/series.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { UserError } from "../lib/errors.js";
+import { ruleFromForm } from "../lib/series.js";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+const form = (changes) => ({
+    frequency: "weekly", repeat_every: "1", weekdays: ["2"], start_time: "2030-01-01T18:00", ends: "on", until_date: "2030-03-01", ...changes
+});
+
+describe("ruleFromForm", () => {
+    test("reads the repeat settings", () => {
+        const rule = ruleFromForm(form());
+        assert.equal(rule.frequency, "weekly");
+        assert.deepEqual(rule.weekdays, [2]);
+        assert.equal(rule.untilDate, "2030-03-01");
+    });
+
+    test("an end date that isn't a real day is an error on the end date box", () => {
+        for (const until_date of ["2030-13-45", "2030-02-30", "next spring"]) {
+            assert.throws(() => ruleFromForm(form({ until_date })), (err) => err instanceof UserError && err.field === "until_date", until_date);
+        }
+    });
+});
+
+describe("adding a repeating event", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let manager;
+    before(async () => {
+        testApp = await startTestApp();
+        manager = testApp.client();
+        await manager.login("manager");
+    });
+    after(() => testApp.close());
+
+    test("a bad end date shows the form again instead of creating events", async () => {
+        const before = await testApp.db("event_occurrences").count("* as count").first();
+        const response = await manager.post("/events/add", {
+            ...form({ until_date: "2030-13-45" }), end_time: "2030-01-01T20:00", event_template_id: "1", location_id: "1", capacity: "10"
+        });
+        assert.equal(response.status, 400);
+        assert.match(response.text, /The end date isn&#39;t a valid date\./);
+        const after = await testApp.db("event_occurrences").count("* as count").first();
+        assert.equal(after.count, before.count);
+    });
+});
@@ -0,0 +1,64 @@
+// Editing a survey response made with the survey builder (lib/surveys.js): the answers are what gets edited.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+import { NPS_BUCKETS } from "../lib/nps.js";
+
+describe("editing a builder survey response", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let manager;
+    let recommend;
+    let comments;
+    let surveyId;
+    before(async () => {
+        testApp = await startTestApp();
+        manager = testApp.client();
+        await manager.login("manager");
+
+        // A short survey for event 1 that only maps the recommend score and the comments
+        const [template] = await testApp.db("survey_templates").insert({ template_name: "Quick Check" }).returning("*");
+        [recommend, comments] = await testApp.db("survey_questions").insert([
+            { survey_template_id: template.survey_template_id, question_text: "Would you recommend us?", question_type: "rating", is_required: true, is_recommend: true, sort_order: 1 },
+            { survey_template_id: template.survey_template_id, question_text: "Anything else?", question_type: "text", survey_column: "comments", sort_order: 2 }
+        ]).returning("*");
+        await testApp.db("event_templates").where({ event_template_id: 1 }).update({ survey_template_id: template.survey_template_id });
+
+        const bea = testApp.client();
+        await bea.login("bea");
+        await bea.post("/submit-survey", { event_id: "1", [`question_${recommend.question_id}`]: "5", [`question_${comments.question_id}`]: "Great" });
+        ({ survey_id: surveyId } = await testApp.db("surveys").where({ participant_id: 2, event_occurrence_id: 1 }).first());
+    });
+    after(() => testApp.close());
+
+    const edit = (answers) => manager.post(`/surveys/edit/${surveyId}`, {
+        participant_id: "2", event_occurrence_id: "1",
+        [`question_${recommend.question_id}`]: answers.recommend, [`question_${comments.question_id}`]: answers.comments
+    });
+
+    test("shows the survey's own questions instead of the five scores", async () => {
+        const response = await manager.get(`/surveys/edit/${surveyId}`);
+        assert.equal(response.status, 200);
+        assert.match(response.text, /Would you recommend us\?/);
+        assert.doesNotMatch(response.text, /name="score_satisfaction"/);
+    });
+
+    test("saves the new answers and works the scores out from them again", async () => {
+        const response = await edit({ recommend: "2", comments: "Too long" });
+        assert.equal(response.location, "/surveys");
+
+        const survey = await testApp.db("surveys").where({ survey_id: surveyId }).first();
+        assert.equal(survey.score_recommendation, 2);
+        assert.equal(survey.nps_bucket_id, NPS_BUCKETS.DETRACTOR);
+        assert.equal(survey.comments, "Too long");
+        const answers = await testApp.db("survey_answers").where({ survey_id: surveyId }).orderBy("question_id").pluck("answer_value");
+        assert.deepEqual(answers, ["2", "Too long"]);
+        assert.match((await manager.get(`/survey/view/${surveyId}`)).text, /Too long/);
+    });
+
+    test("a missing answer is shown under its question and nothing changes", async () => {
+        const response = await edit({ recommend: "", comments: "Changed" });
+        assert.equal(response.status, 400);
+        assert.match(response.text, /Please answer &#34;Would you recommend us\?&#34;\./);
+        assert.equal((await testApp.db("surveys").where({ survey_id: surveyId }).first()).comments, "Too long");
+    });
+});
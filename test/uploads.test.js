@@ -0,0 +1,146 @@
+// Profile pictures: uploads are checked, shrunk and stripped (lib/images.js) and saved through lib/storage.js.
+// The test app uses the "local" storage driver, so the files end up in testApp.uploadDir.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+import { thumbnailUrl } from "../lib/images.js";
+
+// An 800x600 photo with camera details in it, like one straight off a phone
+const photo = (color = "red") => sharp({ create: { width: 800, height: 600, channels: 3, background: color } })
+    .jpeg()
+    .withExif({ IFD0: { Make: "PhoneCam", Copyright: "Ana Lopez" } })
+    .toBuffer();
+
+const picture = (content, name = "me.jpg", type = "image/jpeg") => ({ field: "profile_pic", name, type, content });
+
+describe("profile pictures", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let ana;
+    let manager;
+    before(async () => {
+        testApp = await startTestApp();
+        ana = testApp.client();
+        await ana.login("ana");
+        manager = testApp.client();
+        await manager.login("manager");
+    });
+    after(() => testApp.close());
+
+    const pictureUrl = async (participantId) =>
+        (await testApp.db("participants").where({ participant_id: participantId }).first()).profilePictureUrl;
+    // Where the local storage driver keeps the file behind a /uploads/... address
+    const fileFor = (url) => path.join(testApp.uploadDir, url.replace(/^\/uploads\//, ""));
+    const exists = (url) => fs.access(fileFor(url)).then(() => true, () => false);
+
+    test("are resized into a picture and a thumbnail, without their metadata", async () => {
+        const response = await ana.upload("/participants/upload-image", { returnTo: "me" }, picture(await photo()));
+        assert.equal(response.location, "/me");
+
+        const url = await pictureUrl(1);
+        assert.match(url, /^\/uploads\/profile-pics\/[0-9a-f]{32}\.webp$/);
+        assert.notEqual(thumbnailUrl(url), url);
+
+        const full = await sharp(await fs.readFile(fileFor(url))).metadata();
+        assert.deepEqual([full.format, full.width, full.height], ["webp", 512, 512]);
+        assert.equal(full.exif, undefined);
+        const thumb = await sharp(await fs.readFile(fileFor(thumbnailUrl(url)))).metadata();
+        assert.deepEqual([thumb.format, thumb.width, thumb.height], ["webp", 128, 128]);
+        assert.equal(thumb.exif, undefined);
+
+        // The app serves the files, and the participant list shows the thumbnail
+        const served = await ana.get(thumbnailUrl(url));
+        assert.equal(served.status, 200);
+        const list = await manager.get("/participants");
+        assert.ok(list.text.includes(thumbnailUrl(url)));
+    });
+
+    test("replacing a picture deletes the old files", async () => {
+        const oldUrl = await pictureUrl(1);
+        await ana.upload("/participants/upload-image", { returnTo: "me" }, picture(await photo("blue")));
+
+        const newUrl = await pictureUrl(1);
+        assert.notEqual(newUrl, oldUrl);
+        assert.ok(await exists(newUrl));
+        assert.ok(!(await exists(oldUrl)));
+        assert.ok(!(await exists(thumbnailUrl(oldUrl))));
+    });
+
+    test("rejects files that aren't pictures, whatever they're called", async () => {
+        const before = await pictureUrl(1);
+        const response = await ana.upload("/participants/upload-image", { returnTo: "me" },
+            picture(Buffer.from("<script>alert(1)</script>"), "cat.jpg"));
+        assert.match(response.location, /^\/me\?error=/);
+        assert.match(decodeURIComponent(response.location), /isn't a picture/);
+        assert.equal(await pictureUrl(1), before);
+    });
+
+    test("rejects files over the size limit", async () => {
+        const response = await ana.upload("/participants/upload-image", { returnTo: "me" }, picture(Buffer.alloc(6 * 1024 * 1024)));
+        assert.match(decodeURIComponent(response.location), /too big/);
+
+        const page = await ana.get(response.location);
+        assert.match(page.text, /too big/);
+    });
+
+    test("staff can change someone else's picture, but participants can't", async () => {
+        const response = await manager.upload("/participants/upload-image", { participant_id: "3" }, picture(await photo()));
+        assert.equal(response.location, "/participants");
+        assert.ok(await pictureUrl(3));
+
+        // Ana's form says Bea, but it's Ana's own picture that changes
+        const anaBefore = await pictureUrl(1);
+        await ana.upload("/participants/upload-image", { participant_id: "2", returnTo: "me" }, picture(await photo()));
+        assert.equal(await pictureUrl(2), null);
+        assert.notEqual(await pictureUrl(1), anaBefore);
+    });
+
+    test("removing a picture deletes its files", async () => {
+        const url = await pictureUrl(1);
+        const response = await ana.post("/participants/delete-image", { returnTo: "me" });
+        assert.equal(response.location, "/me");
+
+        assert.equal(await pictureUrl(1), null);
+        assert.ok(!(await exists(url)));
+        assert.ok(!(await exists(thumbnailUrl(url))));
+    });
+
+    test("purging a participant from the trash deletes their picture", async () => {
+        const url = await pictureUrl(3);
+        assert.ok(await exists(url));
+        await manager.post("/participants/delete/3");
+        // Still there while they're in the trash, so restoring brings it back
+        assert.ok(await exists(url));
+
+        const { deletion_id } = await testApp.db("participants").where({ participant_id: 3 }).first();
+        const response = await manager.post(`/trash/purge/${deletion_id}`);
+        assert.match(response.location, /notice=/);
+        assert.ok(!(await exists(url)));
+        assert.ok(!(await exists(thumbnailUrl(url))));
+    });
+
+    test("merging duplicates deletes the picture that wasn't kept", async () => {
+        for (const id of ["4", "5"]) {
+            await manager.upload("/participants/upload-image", { participant_id: id }, picture(await photo()));
+        }
+        const [keptUrl, droppedUrl] = [await pictureUrl(5), await pictureUrl(4)];
+
+        // Keep participant 4, but take the merged participant's (5's) picture
+        const response = await manager.post("/participants/merge", { keep_id: "4", merge_id: "5", field_profilePictureUrl: "merge" });
+        assert.equal(response.location, "/participants/edit/4");
+        assert.equal(await pictureUrl(4), keptUrl);
+        assert.ok(await exists(keptUrl));
+        assert.ok(!(await exists(droppedUrl)));
+        assert.ok(!(await exists(thumbnailUrl(droppedUrl))));
+    });
+
+    test("pictures saved somewhere else are left alone", async () => {
+        await testApp.db("participants").where({ participant_id: 2 })
+            .update({ profilePictureUrl: "https://example.com/bea.jpg" });
+        const response = await manager.post("/participants/delete-image", { participant_id: "2" });
+        assert.equal(response.location, "/participants");
+        assert.equal(await pictureUrl(2), null);
+    });
+});
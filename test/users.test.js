@@ -0,0 +1,48 @@
+// Login accounts: the Add/Edit User forms check what was typed (SCHEMAS.users in lib/validation.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("user accounts", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    let admin;
+    before(async () => {
+        testApp = await startTestApp();
+        admin = testApp.client();
+        await admin.login("admin");
+    });
+    after(() => testApp.close());
+
+    const countUsers = async () => (await testApp.db("users").count("* as count").first()).count;
+
+    test("can't be added without a username and password", async () => {
+        const before = await countUsers();
+        const response = await admin.post("/users/add", { username: "", password: "", role: "volunteer", participant_id: "" });
+        assert.equal(response.status, 400);
+        assert.match(response.text, /Username is required\./);
+        assert.match(response.text, /Password is required\./);
+        assert.equal(await countUsers(), before);
+    });
+
+    test("need a password that's long enough and a username nobody else has", async () => {
+        const response = await admin.post("/users/add", { username: "staff", password: "short", role: "volunteer", participant_id: "" });
+        assert.equal(response.status, 400);
+        assert.match(response.text, /Another account already uses that username\./);
+        assert.match(response.text, /Password has to be at least 8 characters\./);
+
+        const added = await admin.post("/users/add", { username: "newhelper", password: "long-enough", role: "volunteer", participant_id: "" });
+        assert.equal(added.location, "/users");
+    });
+
+    test("a blank password on the edit form keeps the old one, but a blank username is an error", async () => {
+        const { user_id, password } = await testApp.db("users").where({ username: "volunteer" }).first();
+        const kept = await admin.post(`/users/edit/${user_id}`, { username: "volunteer2", password: "", role: "volunteer", participant_id: "" });
+        assert.equal(kept.location, "/users");
+        const saved = await testApp.db("users").where({ user_id }).first();
+        assert.deepEqual([saved.username, saved.password], ["volunteer2", password]);
+
+        const blank = await admin.post(`/users/edit/${user_id}`, { username: " ", password: "", role: "volunteer", participant_id: "" });
+        assert.equal(blank.status, 400);
+        assert.match(blank.text, /Username is required\./);
+    });
+});
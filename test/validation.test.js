@@ -0,0 +1,17 @@
+// Form validation helpers (lib/validation.js)
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { dateInputValue } from "../lib/validation.js";
+
+describe("dateInputValue", () => {
+    test("keeps the day a DATE column came back as, whatever the time zone", () => {
+        // How pg hands back a DATE: midnight, local time
+        assert.equal(dateInputValue(new Date(2025, 0, 5)), "2025-01-05");
+        assert.equal(dateInputValue(new Date(2025, 11, 31)), "2025-12-31");
+    });
+
+    test("puts typed text back as it was, and blanks as blank", () => {
+        assert.equal(dateInputValue("2025-02-30"), "2025-02-30");
+        assert.equal(dateInputValue(null), "");
+    });
+});
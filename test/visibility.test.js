@@ -0,0 +1,81 @@
+// Who can see what: participants only ever see their own records, staff see what their role allows.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { skipWithoutDatabase, startTestApp } from "./helpers.js";
+
+describe("role visibility", { skip: skipWithoutDatabase }, () => {
+    let testApp;
+    before(async () => { testApp = await startTestApp(); });
+    after(() => testApp.close());
+
+    const loggedIn = async (username) => {
+        const browser = testApp.client();
+        await browser.login(username);
+        return browser;
+    };
+    const ownerIds = (rows) => [...new Set(rows.map(row => row.participant_id))].sort();
+
+    test("participants only see their own donations, surveys and milestones", async () => {
+        const ana = await loggedIn("ana");
+        for (const list of ["donations", "surveys", "milestones"]) {
+            const { body } = await ana.getJson(`/api/v1/${list}`);
+            assert.deepEqual(ownerIds(body.data), [1], list);
+        }
+        const { body } = await (await loggedIn("bea")).getJson("/api/v1/donations");
+        assert.deepEqual(ownerIds(body.data), [2]);
+    });
+
+    test("participants can't open someone else's record by its id", async () => {
+        const ana = await loggedIn("ana");
+        assert.equal((await ana.getJson("/api/v1/donations/1")).status, 200);
+        assert.equal((await ana.getJson("/api/v1/donations/2")).status, 404);
+        assert.equal((await ana.getJson("/api/v1/participants/2")).status, 404);
+    });
+
+    test("participants are sent from the participant list to their own page", async () => {
+        const ana = await loggedIn("ana");
+        assert.equal((await ana.get("/participants")).location, "/me");
+    });
+
+    test("managers see everyone's donations", async () => {
+        const { body } = await (await loggedIn("manager")).getJson("/api/v1/donations");
+        assert.deepEqual(ownerIds(body.data), [1, 2]);
+    });
+
+    test("volunteers see every participant but can't record donations", async () => {
+        const volunteer = await loggedIn("volunteer");
+        const { body } = await volunteer.getJson("/api/v1/participants");
+        assert.equal(body.meta.total, 5);
+        assert.equal((await volunteer.get("/donations/add")).status, 403);
+    });
+
+    test("nobody is sent the private calendar feed tokens", async () => {
+        await testApp.db("participants").where({ participant_id: 2 }).update({ calendar_token: "bea-secret-token" });
+        const volunteer = await loggedIn("volunteer");
+        const list = await volunteer.getJson("/api/v1/participants");
+        const one = await volunteer.getJson("/api/v1/participants/2");
+        assert.ok(list.body.data.every(row => !("calendar_token" in row)));
+        assert.ok(!("calendar_token" in one.body.data));
+        assert.ok(!list.text.includes("bea-secret-token"));
+    });
+
+    test("private calendar links use a long random token", async () => {
+        const page = await (await loggedIn("ana")).get("/events");
+        const [, token] = page.text.match(/\/calendar\/([^".]+)\.ics/);
+        assert.match(token, /^[0-9a-f]{64}$/);
+        assert.equal((await testApp.client().get(`/calendar/${token}.ics`)).status, 200);
+    });
+
+    test("only people who manage accounts can see the users page", async () => {
+        assert.equal((await (await loggedIn("ana")).get("/users")).status, 403);
+        assert.equal((await (await loggedIn("staff")).get("/users")).status, 403);
+        assert.equal((await (await loggedIn("manager")).get("/users")).status, 200);
+    });
+
+    test("participants can't delete anything", async () => {
+        const ana = await loggedIn("ana");
+        assert.equal((await ana.post("/donations/delete/1")).status, 403);
+        const donation = await testApp.db("donations").where({ donation_id: 1 }).first();
+        assert.equal(donation.deletion_id, null);
+    });
+});